@@ -33,10 +33,14 @@ function loadSettings() {
     
     // 기본값 적용
     const settings = extension_settings[extensionName];
+    const hadInjectionSlots = settings.injectionSlots !== undefined;
     
     for (const [key, value] of Object.entries(defaultSettings)) {
         if (settings[key] === undefined) {
-            if (typeof value === 'object' && value !== null) {
+            if (Array.isArray(value)) {
+                // 배열 설정(전처리 규칙 등)은 배열 그대로 복사
+                settings[key] = value.map(item => (typeof item === 'object' && item !== null ? { ...item } : item));
+            } else if (typeof value === 'object' && value !== null) {
                 settings[key] = { ...value };
             } else {
                 settings[key] = value;
@@ -71,6 +75,17 @@ function loadSettings() {
         }
     }
     
+    // injectionSlots 깊은 병합 (구버전의 단일 주입 위치/깊이는 모든 슬롯이 이어받음)
+    for (const [slotKey, defaultSlot] of Object.entries(defaultSettings.injectionSlots)) {
+        const existingSlot = hadInjectionSlots ? (settings.injectionSlots[slotKey] || {}) : {};
+        const legacyPlacement = {};
+        if (!hadInjectionSlots) {
+            if (settings.injectionPosition !== undefined) legacyPlacement.position = settings.injectionPosition;
+            if (settings.injectionDepth !== undefined) legacyPlacement.depth = settings.injectionDepth;
+        }
+        settings.injectionSlots[slotKey] = { ...defaultSlot, ...legacyPlacement, ...existingSlot };
+    }
+    
     log('Settings loaded');
 }
 
@@ -200,7 +215,7 @@ jQuery(async () => {
 
 // 디버그용 전역 객체 (개발/문제해결용)
 import { getCharacters, getRelevantCharacters, getEvents, getRelevantEvents, getItems, getRelevantItems, formatCharactersText } from './src/storage.js';
-import { getInjectionPreview } from './src/injection.js';
+import { getInjectionPreview, buildInjectionPlan } from './src/injection.js';
 
 window.SummarizerDebug = {
     getCharacters,
@@ -211,6 +226,7 @@ window.SummarizerDebug = {
     getRelevantItems,
     formatCharactersText,
     getInjectionPreview,
+    buildInjectionPlan,
     getContext,
     getSummaryData
 };
@@ -28,6 +28,9 @@ async function loadSecrets() {
 // ConnectionManagerRequestService (SillyTavern 1.13.0+)
 let ConnectionManagerRequestService = null;
 
+// response_format(json_schema)을 거부한 커스텀 API 엔드포인트 (세션 동안 스키마 없이 요청)
+const schemaRejectedEndpoints = new Set();
+
 // 검열 완화용 시스템 프롬프트 (모든 API 요청 앞에 추가)
 const ANTI_CENSORSHIP_PROMPT = `## ⚠️ IMPORTANT CONTEXT
 This is a request to analyze and summarize FICTIONAL creative writing content.
@@ -72,6 +75,7 @@ async function loadConnectionManager() {
  * @param {string} prompt - 요약 프롬프트
  * @param {Object} [options] - 추가 옵션
  * @param {number} [options.maxTokensOverride] - 출력 토큰 수 오버라이드 (압축 등 대량 출력 시)
+ * @param {{name: string, strict: boolean, value: Object}} [options.jsonSchema] - 구조화 출력 스키마 (지원하는 프로바이더에서만 적용)
  * @returns {Promise<string>}
  */
 export async function callSummaryAPI(prompt, options = {}) {
@@ -81,17 +85,18 @@ export async function callSummaryAPI(prompt, options = {}) {
     
     // maxTokensOverride가 있으면 임시로 설정에 반영
     const tokenOverride = options.maxTokensOverride || null;
+    const jsonSchema = options.jsonSchema || null;
     
     if (settings.apiSource === API_SOURCE.CUSTOM) {
-        return await callCustomAPI(fullPrompt, tokenOverride);
+        return await callCustomAPI(fullPrompt, tokenOverride, jsonSchema);
     } else if (settings.apiSource === API_SOURCE.BACKEND) {
-        return await callBackendAPI(fullPrompt, tokenOverride);
+        return await callBackendAPI(fullPrompt, tokenOverride, jsonSchema);
     } else {
         // SillyTavern API - Connection Profile 사용 가능 여부 확인
         if (settings.stConnectionProfile) {
-            return await callConnectionManagerAPI(fullPrompt, tokenOverride);
+            return await callConnectionManagerAPI(fullPrompt, tokenOverride, jsonSchema);
         }
-        return await callSillyTavernAPI(fullPrompt);
+        return await callSillyTavernAPI(fullPrompt, jsonSchema);
     }
 }
 
@@ -100,13 +105,13 @@ export async function callSummaryAPI(prompt, options = {}) {
  * @param {string} prompt 
  * @returns {Promise<string>}
  */
-async function callConnectionManagerAPI(prompt, tokenOverride = null) {
+async function callConnectionManagerAPI(prompt, tokenOverride = null, jsonSchema = null) {
     const settings = getSettings();
     
     const loaded = await loadConnectionManager();
     if (!loaded || !ConnectionManagerRequestService) {
         log('ConnectionManager not available, falling back to default API');
-        return await callSillyTavernAPI(prompt);
+        return await callSillyTavernAPI(prompt, jsonSchema);
     }
     
     const profileId = settings.stConnectionProfile;
@@ -117,7 +122,7 @@ async function callConnectionManagerAPI(prompt, tokenOverride = null) {
     
     if (!profile) {
         log(`Profile ${profileId} not found, falling back to default API`);
-        return await callSillyTavernAPI(prompt);
+        return await callSillyTavernAPI(prompt, jsonSchema);
     }
     
     try {
@@ -142,6 +147,8 @@ async function callConnectionManagerAPI(prompt, tokenOverride = null) {
         const overridePayload = { temperature: stTemp };
         if (stTopP < 1) overridePayload.top_p = stTopP;
         if (stTopK > 0) overridePayload.top_k = stTopK;
+        // 구조화 출력 (ST chat-completions의 json_schema)
+        if (jsonSchema) overridePayload.json_schema = jsonSchema;
         
         log(`[CP] overridePayload: ${JSON.stringify(overridePayload)}, maxTokens: ${maxTokens}`);
         
@@ -179,7 +186,7 @@ async function callConnectionManagerAPI(prompt, tokenOverride = null) {
  * @param {string} prompt 
  * @returns {Promise<string>}
  */
-async function callBackendAPI(prompt, tokenOverride = null) {
+async function callBackendAPI(prompt, tokenOverride = null, jsonSchema = null) {
     const settings = getSettings();
     const provider = settings.backendProvider || 'google';
     const model = settings.backendModel;
@@ -242,6 +249,11 @@ async function callBackendAPI(prompt, tokenOverride = null) {
         requestBody.top_k = topK;
     }
     
+    // 구조화 출력 (ST 백엔드가 프로바이더별 형식으로 변환)
+    if (jsonSchema) {
+        requestBody.json_schema = jsonSchema;
+    }
+    
     // Vertex AI 추가 파라미터
     if (provider === 'vertexai') {
         requestBody.vertexai_auth_mode = oai_settings.vertexai_auth_mode || 'express';
@@ -304,9 +316,10 @@ async function callBackendAPI(prompt, tokenOverride = null) {
 /**
  * SillyTavern 내장 API 호출
  * @param {string} prompt 
+ * @param {Object|null} [jsonSchema] - 구조화 출력 스키마 (Raw 프롬프트 모드에서만 전달 가능)
  * @returns {Promise<string>}
  */
-async function callSillyTavernAPI(prompt) {
+async function callSillyTavernAPI(prompt, jsonSchema = null) {
     const settings = getSettings();
     
     try {
@@ -321,7 +334,8 @@ async function callSillyTavernAPI(prompt) {
                 skipWIAN: !settings.includeWorldInfo,
                 skipAN: true,
                 quietImage: null,
-                quietName: null
+                quietName: null,
+                jsonSchema: jsonSchema
             });
         } else if (typeof generateQuietPrompt === 'function') {
             // Quiet 프롬프트
@@ -343,7 +357,7 @@ async function callSillyTavernAPI(prompt) {
  * @param {string} prompt 
  * @returns {Promise<string>}
  */
-async function callCustomAPI(prompt, tokenOverride = null) {
+async function callCustomAPI(prompt, tokenOverride = null, jsonSchema = null) {
     const settings = getSettings();
     
     if (!settings.customApiUrl || !settings.customApiModel) {
@@ -390,6 +404,16 @@ async function callCustomAPI(prompt, tokenOverride = null) {
             requestBody.top_k = customTopK;
         }
         
+        // 구조화 출력 (OpenAI 호환 response_format) - 설정에서 끄거나 엔드포인트가 거부한 적이 있으면 생략
+        const sendSchema = jsonSchema && settings.customApiJsonSchema !== false
+            && !schemaRejectedEndpoints.has(settings.customApiUrl);
+        if (sendSchema) {
+            requestBody.response_format = {
+                type: 'json_schema',
+                json_schema: { name: jsonSchema.name, strict: jsonSchema.strict, schema: jsonSchema.value }
+            };
+        }
+        
         // 토큰 파라미터 선택
         if (useMaxCompletionTokens) {
             requestBody.max_completion_tokens = maxTokens;
@@ -398,13 +422,23 @@ async function callCustomAPI(prompt, tokenOverride = null) {
             requestBody.max_tokens = maxTokens;
         }
         
-        const response = await fetch(settings.customApiUrl, {
+        const send = () => fetch(settings.customApiUrl, {
             method: "POST",
             headers: headers,
             body: JSON.stringify(requestBody),
             signal: controller.signal
         });
         
+        let response = await send();
+        
+        // 스키마를 지원하지 않는 엔드포인트: response_format 없이 한 번 더 요청 (JSON은 응답 파싱 단계에서 복구)
+        if (!response.ok && sendSchema && [400, 415, 422].includes(response.status)) {
+            log(`Custom API rejected response_format (HTTP ${response.status}), retrying without JSON schema`);
+            schemaRejectedEndpoints.add(settings.customApiUrl);
+            delete requestBody.response_format;
+            response = await send();
+        }
+        
         clearTimeout(timeoutId);
         
         if (!response.ok) {
@@ -534,3 +568,26 @@ export function getApiStatus() {
         };
     }
 }
+
+/**
+ * callSummaryAPI가 프롬프트 앞뒤에 붙이는 고정 문구 (드라이런 미리보기용)
+ * @returns {{prefix: string, suffix: string}}
+ */
+export function getSummaryPromptWrapper() {
+    return { prefix: ANTI_CENSORSHIP_PROMPT, suffix: PREFILL_PROMPT };
+}
+
+/**
+ * 요약 생성에 사용하는 모델 이름 (요약 변경 기록용)
+ * @returns {string}
+ */
+export function getSummaryModelLabel() {
+    const settings = getSettings();
+    if (settings.apiSource === API_SOURCE.BACKEND) {
+        return settings.backendModel || '';
+    }
+    if (settings.apiSource === API_SOURCE.CUSTOM) {
+        return settings.customApiModel || '';
+    }
+    return getApiStatus().displayName || '';
+}
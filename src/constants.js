@@ -47,7 +47,45 @@ function detectExtensionPath() {
 
 export const extensionFolderPath = detectExtensionPath();
 export const METADATA_KEY = "scenario_summarizer";
-export const DATA_VERSION = 4; // 데이터 구조 버전 (마이그레이션용) - v4: events, items 추가
+export const DATA_VERSION = 5; // 데이터 구조 버전 (마이그레이션용) - v4: events, items 추가 / v5: 요약별 fields
+
+// 요약 변경 출처 (변경 기록 표시용)
+export const SUMMARY_SOURCE_LABELS = {
+    auto: "자동 요약",
+    manual: "직접 수정",
+    resummarize: "재요약",
+    compress: "압축",
+    import: "가져오기",
+    restore: "버전 복원",
+    unknown: "출처 미상"
+};
+
+// 드라이런 프롬프트 섹션 라벨
+export const PROMPT_SECTION_LABELS = {
+    wrapper: "검열 완화 안내",
+    language: "언어 지시",
+    instructions: "요약 지침",
+    profile: "참고 정보 (캐릭터/페르소나)",
+    worldInfo: "월드인포",
+    context: "이전 상태",
+    recent: "최근 요약",
+    characters: "기존 등장인물",
+    messages: "요약할 메시지",
+    reminder: "리마인더",
+    output: "출력 형식",
+    extraction: "추출 지시 (인물/이벤트/아이템)",
+    prefill: "응답 유도"
+};
+
+// 현재 상태 블록 항목 라벨 (날짜/시간/장소/관계는 카테고리 설정의 라벨이 우선)
+export const CURRENT_STATE_LABELS = {
+    date: "Date",
+    time: "Time",
+    location: "Location",
+    relationship: "Relationship",
+    characters: "Present",
+    items: "Items Held"
+};
 
 // API 소스 타입
 export const API_SOURCE = {
@@ -66,6 +104,50 @@ export const BACKEND_PROVIDERS = {
     deepseek: { name: 'DeepSeek', source: 'deepseek', secretKey: 'DEEPSEEK' }
 };
 
+// 프롬프트 주입 슬롯 (keySuffix: setExtensionPrompt 키 접미사, 요약 슬롯은 기존 키 유지)
+export const INJECTION_SLOTS = {
+    summaries: { keySuffix: '', label: '요약', icon: '📖' },
+    characters: { keySuffix: '_characters', label: '등장인물', icon: '👥' },
+    events: { keySuffix: '_events', label: '이벤트', icon: '🚩' },
+    items: { keySuffix: '_items', label: '아이템', icon: '💎' }
+};
+
+// 주입 템플릿 콘텐츠 매크로 (모두 비어 있으면 슬롯을 주입하지 않음)
+export const INJECTION_CONTENT_MACROS = ['legacy', 'summaries', 'characters', 'events', 'items', 'current_state'];
+
+// 슬롯별 기본 주입 템플릿
+// {{#name}}...{{/name}} 블록은 해당 매크로 값이 있을 때만 출력됨
+export const DEFAULT_INJECTION_TEMPLATES = {
+    summaries: `{{#current_state}}[Current State]
+{{current_state}}
+{{/current_state}}[Scenario Summary]
+# {{char}} Summary
+
+{{#legacy}}--- PREVIOUS STORY ---
+{{legacy}}--- CURRENT STORY ---
+{{/legacy}}{{summaries}}`,
+    characters: `{{#characters}}--- CHARACTERS ---
+{{characters}}
+{{/characters}}`,
+    events: `{{#events}}--- EVENTS ---
+{{events}}
+{{/events}}`,
+    items: `{{#items}}--- ITEMS ---
+{{items}}
+{{/items}}`
+};
+
+// 요약 항목 포맷 ({{range}} = #12~20 또는 #12, {{start}}, {{end}}, {{content}})
+export const DEFAULT_INJECTION_ENTRY_FORMAT = `### {{range}}
+{{content}}
+
+`;
+
+// 인계된 요약 항목 포맷 ({{order}}, {{content}})
+export const DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT = `{{content}}
+
+`;
+
 // 기본 설정값
 export const defaultSettings = {
     // 기본 활성화
@@ -75,17 +157,31 @@ export const defaultSettings = {
     // 요약 설정
     summaryInterval: 10,           // N개 메세지마다 자동 요약
     batchSize: 10,                 // 한 번에 처리할 메세지 수
+    chunkMaxInputTokens: 0,        // API 호출당 최대 입력 토큰 (프롬프트 포함, 0 = 메시지 수로만 분할)
+    chunkMaxOutputTokens: 0,       // API 호출당 최대 예상 출력 토큰 (0 = 제한 없음)
+    summaryConcurrency: 1,         // 동시에 보낼 요약 API 호출 수 (1 = 순차)
+    summaryRetryCount: 2,          // 응답에서 빠진 메시지/그룹만 다시 요청하는 횟수 (0 = 재요청 안 함)
+    summaryRetryDelay: 2,          // 첫 재요청 전 대기 시간(초), 재요청마다 2배
+    jsonOutputMode: false,         // 요약/추출을 JSON 스키마로 받기 (기존 데이터 구조로 변환해 저장)
+    quoteVerification: true,       // 새 요약의 인용 대사를 원문과 대조해 원문에 없는 인용 표시
+    quoteVerificationRetry: false, // 원문에 없는 인용이 있으면 그 메시지(그룹)만 한 번 다시 요청
     preserveRecentMessages: 5,     // 숨기지 않을 최근 메세지 수
     
     // 요약 모드 설정
     summaryMode: "batch",         // "individual" = 개별 메세지별, "batch" = N개를 하나로 묶어서
     batchGroupSize: 5,             // batch 모드일 때 몇 개씩 묶어서 요약할지
+    batchGroupStrategy: "fixed",   // 묶음 나누는 방식: "fixed" = 묶음 크기 고정, "scene" = 장면 경계에서 자르기
+    sceneGroupMinSize: 3,          // 장면 단위 묶음 최소 메시지 수 (더 짧은 장면은 다음 장면과 합침)
+    sceneGroupMaxSize: 10,         // 장면 단위 묶음 최대 메시지 수 (긴 장면은 이 크기로 나눔)
+    sceneTimeGapMinutes: 60,       // 메시지 사이 시간 간격이 이 값(분) 이상이면 장면 경계 (0 = 사용 안 함)
     
     // 요약 언어 설정
     summaryLanguage: "en",         // "ko" = 한국어, "en" = English, "ja" = 日本語, "hybrid" = 대사 원문 유지
     
     // Auto-Hide 설정
     autoHideEnabled: true,         // 요약된 메세지 자동 숨김
+    resummarizeOnEdit: true,       // 메시지 수정으로 무효화된 요약을 자동 모드에서 재요약 (false = 표시만)
+    summaryHistoryLimit: 10,       // 요약별로 보관할 이전 버전 수 (0 = 기록 안 함)
     
     // 등장인물 추적 설정
     characterTrackingEnabled: false, // 요약 시 등장인물 자동 추출/업데이트 (기본 OFF)
@@ -97,13 +193,79 @@ export const defaultSettings = {
     // 월드인포 포함 여부
     includeWorldInfo: false,       // 요약 시 World Info 포함 여부
     
-    // 주입 위치 설정
-    injectionPosition: "after-main",  // "in-chat" (채팅 내 지정 깊이), "before-main" (메인 프롬프트 전), "after-main" (메인 프롬프트 후)
-    injectionDepth: 0,             // in-chat 모드일 때 주입 깊이 (0 = 채팅 메시지 직전)
+    // 메시지 전처리 (요약 프롬프트에 넣기 전 본문 정리, 원본 메시지는 그대로)
+    // 순서: 추론 제거 → 코드 블록 제거 → 정규식 규칙(순서대로) → HTML 태그 제거
+    preprocessStripReasoning: true,    // <think> 등 추론 블록과 본문에 남은 추론(msg.extra.reasoning) 제거
+    preprocessStripCodeBlocks: false,  // ``` 코드 블록 제거 (스탯 시트 등)
+    preprocessStripHtml: false,        // HTML 태그 제거 (<style>/<script>는 내용까지)
+    preprocessRules: [                 // { enabled, label, pattern, flags, replacement }
+        { enabled: false, label: "<details> 블록 제거", pattern: "<details[\\s\\S]*?</details>", flags: "gi", replacement: "" }
+    ],
+    
+    // 주입 슬롯 설정 (슬롯마다 별도 프롬프트로 주입)
+    // position: "in-chat" (채팅 내 지정 깊이), "before-main" (메인 프롬프트 전), "after-main" (메인 프롬프트 후)
+    // depth: in-chat 위치일 때 주입 깊이 (0 = 채팅 메시지 직전)
+    // role: in-chat 위치일 때 메시지 역할 ("system" | "user" | "assistant")
+    // tokenBudget: 슬롯 서브 예산 (0 = 전체 예산 안에서 제한 없음)
+    injectionSlots: {
+        summaries:  { enabled: true, position: "after-main", depth: 0, role: "system", tokenBudget: 0 },
+        characters: { enabled: true, position: "after-main", depth: 0, role: "system", tokenBudget: 0 },
+        events:     { enabled: true, position: "after-main", depth: 0, role: "system", tokenBudget: 0 },
+        items:      { enabled: true, position: "after-main", depth: 0, role: "system", tokenBudget: 0 }
+    },
     
     // 토큰 예산
     tokenBudget: 20000,            // 주입할 최대 토큰 수
     
+    // 주입 요약 선택 방식
+    injectionRetrievalMode: "recency", // "recency" = 최신순, "relevance" = 최근 대화와의 관련도순 (BM25)
+    relevanceQueryMessages: 5,     // relevance 모드: 관련도 검색 쿼리로 사용할 최근 메시지 수
+    relevanceKeepRecent: 5,        // relevance 모드: 관련도와 무관하게 항상 포함할 최신 요약 수
+    
+    // 세부 정보 감쇠 (오래된 요약일수록 적은 카테고리만 주입, 저장된 요약은 그대로)
+    detailDecayEnabled: false,
+    detailDecayTiers: [            // 최신 요약부터 순서대로 적용 (count 0 = 나머지 전체, categories null = 전체 카테고리)
+        { count: 10, categories: null },
+        { count: 30, categories: ["scenario", "location", "relationship"] },
+        { count: 0, categories: ["scenario"] }
+    ],
+    
+    // 현재 상태 블록 (요약 슬롯 맨 위, {{current_state}} 매크로)
+    currentStateEnabled: false,
+    currentStateFields: {          // 블록에 포함할 항목
+        date: true,
+        time: true,
+        location: true,
+        relationship: true,
+        characters: true,          // 최신 요약에 등장하는 등장인물
+        items: true                // 소유자가 있는 주요 아이템
+    },
+    
+    // 장면 관련 등장인물 필터 (등장인물 슬롯)
+    characterSceneFilterEnabled: false,
+    characterSceneMessageCount: 10,    // 이름/별칭을 찾을 최근 메시지 수
+    characterSceneSummaryCount: 3,     // 이름/별칭을 찾을 최근 요약 수
+    characterSceneOthersMode: "stub",  // 장면 밖 인물: "stub" = 이름+역할 한 줄, "drop" = 제외
+    
+    // 이벤트/아이템 주입 규칙 (제외된 항목은 도감에 '미주입' 배지로 표시)
+    catalogRulesEnabled: false,
+    eventMinImportance: "low",         // 이 중요도 미만 이벤트는 주입하지 않음 (high/medium/low)
+    eventMaxPerImportance: {           // 중요도별 최대 주입 수 (최신순, 0 = 제한 없음)
+        high: 0,
+        medium: 10,
+        low: 5
+    },
+    itemExcludedStatuses: ["사용함", "분실", "파손", "used", "lost", "destroyed", "consumed"],  // 상태 부분 일치 시 제외 (대소문자 무시)
+    catalogRecencyWindow: 0,           // 최근 N개 메시지 안에서 발생/획득한 항목만 주입 (0 = 제한 없음, 위치 정보 없는 항목은 항상 포함)
+    
+    // 로어북 연동 (연결된 로어북에 도감 자동 동기화)
+    lorebookAutoSync: true,            // 요약 후 연결된 로어북 자동 갱신 (채팅별로 로어북을 연결한 경우에만)
+    
+    // 아크 롤업 (예산 초과 시 오래된 요약을 상위 요약으로 대체)
+    arcRollupEnabled: false,       // 아크 자동 생성 및 주입 시 대체 사용
+    arcSpanSize: 10,               // 아크 하나가 묶는 하위 항목 수 (그룹 요약 N개 또는 하위 아크 N개)
+    arcMaxTier: 2,                 // 최대 아크 계층 (1 = 요약→아크, 2 = 아크→상위 아크)
+    
     // 요약 컨텍스트 (일관성 유지용)
     summaryContextCount: 5,        // 요약 시 참조할 이전 요약 수 (0 = 사용 안 함, -1 = 전체)
     
@@ -184,11 +346,17 @@ export const defaultSettings = {
     customApiTopP: 1,              // Custom API top_p (0~1)
     customApiTopK: 0,              // Custom API top_k (0 = 사용 안 함)
     customApiTimeout: 60,          // Custom API timeout (초)
+    customApiJsonSchema: true,     // JSON 출력 모드에서 response_format(json_schema) 전송 (거부하는 엔드포인트는 자동으로 스키마 없이 재요청)
     
     // 커스텀 API 프리셋
     apiPresets: [],                // [{name, url, key, model}, ...]
     selectedPreset: "",            // 현재 선택된 프리셋 이름
     
+    // 주입 템플릿 (null이면 기본 템플릿 사용)
+    injectionTemplates: { summaries: null, characters: null, events: null, items: null },
+    injectionEntryFormat: null,           // 요약 항목 포맷
+    injectionLegacyEntryFormat: null,     // 인계된 요약 항목 포맷
+    
     // 커스텀 프롬프트 (null이면 기본 프롬프트 사용)
     customPromptTemplate: null,           // 개별 요약 프롬프트
     customBatchPromptTemplate: null,      // 그룹 요약 프롬프트
@@ -202,11 +370,13 @@ export const defaultSettings = {
     characterPromptPresets: [],           // 등장인물 추출 프리셋
     eventPromptPresets: [],               // 이벤트 추출 프리셋
     itemPromptPresets: [],                // 아이템 추출 프리셋
+    injectionTemplatePresets: [],         // 주입 템플릿 프리셋
     selectedPromptPreset: "",             // 개별 요약 선택된 프리셋
     selectedBatchPromptPreset: "",        // 그룹 요약 선택된 프리셋
     selectedCharacterPromptPreset: "",    // 등장인물 추출 선택된 프리셋
     selectedEventPromptPreset: "",        // 이벤트 추출 선택된 프리셋
     selectedItemPromptPreset: "",         // 아이템 추출 선택된 프리셋
+    selectedInjectionTemplatePreset: "",  // 주입 템플릿 선택된 프리셋
     
     // 디버그
     debugMode: false,
@@ -671,6 +841,9 @@ export const PARSING_FAILED_TEXT = '파싱 실패';
 /** 파싱 실패 전체 마커 */
 export const PARSING_FAILED_MARKER = '[❌ 요약 파싱 실패 - 재요약 필요]';
 
+/** 메시지 안의 명시적 장면 전환 표시 (단독 줄: ***, ---, ◇◇◇, [장면 전환], <scene break> 등) */
+export const SCENE_BREAK_PATTERN = /^[ \t]*(?:(?:[*\-=~#◆◇■□●○★☆][ \t]*){3,}|[\[<(（【]?[ \t]*(?:scene[ \t]*(?:break|change|transition)|time[ \t]*skip|장면[ \t]*전환|시간[ \t]*경과|場面転換|シーン転換|场景转换|时间跳跃)[ \t]*[\]>)）】]?)[ \t]*$/im;
+
 /**
  * 그룹 요약 참조 마커 생성
  * @param {number} startNum - 그룹 시작 번호
@@ -713,6 +886,146 @@ export function cleanJsonBlocks(content) {
     return cleaned.trim();
 }
 
+// 기본 카테고리의 다국어 라벨 (요약 언어 설정에 따라 라벨이 번역되어 저장됨)
+export const CATEGORY_LABEL_ALIASES = {
+    scenario: ["Scenario", "시나리오", "シナリオ", "场景", "情节"],
+    emotion: ["Emotion", "감정", "感情", "情感", "情绪"],
+    innerThoughts: ["Inner Thoughts", "속마음", "心の声", "内心", "内心想法"],
+    atmosphere: ["Atmosphere", "분위기", "雰囲気", "氛围"],
+    location: ["Location", "장소", "場所", "地点"],
+    date: ["Date", "날짜", "日付", "日期"],
+    time: ["Time", "시간", "時間", "时间"],
+    relationship: ["Relationship", "관계", "関係", "关系"]
+};
+
+/**
+ * 카테고리 라벨(소문자) → 카테고리 키 매핑 (다국어 별칭 + 설정의 키/라벨)
+ * @param {Object} categories - settings.categories
+ * @returns {Map<string, string>}
+ */
+export function buildCategoryLabelMap(categories) {
+    const map = new Map();
+    for (const [key, aliases] of Object.entries(CATEGORY_LABEL_ALIASES)) {
+        for (const alias of aliases) {
+            map.set(alias.toLowerCase(), key);
+        }
+    }
+    for (const [key, value] of Object.entries(categories || {})) {
+        map.set(key.toLowerCase(), key);
+        if (value && typeof value === 'object' && value.label) {
+            map.set(String(value.label).trim().toLowerCase(), key);
+        }
+    }
+    return map;
+}
+
+// 카테고리 줄: "* 라벨: 값", "- 라벨: 값", "**라벨:** 값", "* **라벨**: 값" (전각 콜론 포함)
+const CATEGORY_LINE_PATTERN = /^\s*(?:[*\-•]\s+)?\**\s*([^:：*\n]{1,40}?)\s*\**\s*[：:]\s*\**\s*(.*)$/;
+
+/**
+ * 요약 줄들을 카테고리 구간으로 나눔
+ * 알려진 라벨의 줄만 카테고리 시작으로 보고, 다음 라벨 줄/헤더 전까지의 줄은 같은 카테고리로 취급
+ * @param {string[]} lines - 요약 줄
+ * @param {Map<string, string>} labelMap - buildCategoryLabelMap 결과
+ * @returns {Array<{key: string, start: number, end: number, firstValue: string}>} - end는 포함하지 않음
+ */
+function findCategorySections(lines, labelMap) {
+    const sections = [];
+    let current = null;
+    
+    lines.forEach((line, i) => {
+        const match = CATEGORY_LINE_PATTERN.exec(line);
+        const key = match ? labelMap.get(match[1].trim().toLowerCase()) : undefined;
+        // 들여쓰지 않은 다른 라벨 줄(* 기타: ...)과 헤더는 구간을 끝냄
+        const isBoundary = /^#\d+(-\d+)?\s*$/.test(line.trim()) || (match && /^[*\-•]/.test(line));
+        if (!key && !isBoundary) return;
+        
+        if (current) {
+            current.end = i;
+            sections.push(current);
+            current = null;
+        }
+        if (key) {
+            current = { key, start: i, end: lines.length, firstValue: match[2] };
+        }
+    });
+    if (current) sections.push(current);
+    
+    return sections;
+}
+
+/**
+ * 요약 내용에서 허용된 카테고리 구간만 남기기 (저장된 요약은 수정하지 않고 주입용 사본에만 사용)
+ * 구간 구분은 parseSummaryFields와 같은 findCategorySections 사용 (알 수 없는 줄과 헤더는 유지)
+ * 허용된 카테고리 구간이 하나도 없으면 원본을 그대로 반환
+ * @param {string} content - 요약 내용
+ * @param {Set<string>} allowedKeys - 남길 카테고리 키
+ * @param {Object} categories - settings.categories
+ * @returns {string}
+ */
+export function stripCategoryLines(content, allowedKeys, categories) {
+    if (!content || !allowedKeys) return content;
+    
+    const lines = content.split('\n');
+    const sections = findCategorySections(lines, buildCategoryLabelMap(categories));
+    if (!sections.some(section => allowedKeys.has(section.key))) return content;
+    
+    const dropped = new Set();
+    for (const section of sections) {
+        if (allowedKeys.has(section.key)) continue;
+        for (let i = section.start; i < section.end; i++) dropped.add(i);
+    }
+    return lines.filter((_, i) => !dropped.has(i)).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 요약 텍스트에서 카테고리 값 추출 (요약 항목의 fields)
+ * @param {string} content - 요약 내용
+ * @param {Object} categories - settings.categories
+ * @returns {Object} - { 카테고리 키: 값 } (여러 줄 값은 줄바꿈 유지)
+ */
+export function parseSummaryFields(content, categories) {
+    const lines = cleanCatalogSections(cleanJsonBlocks(String(content || ''))).split('\n');
+    const fields = {};
+    
+    for (const section of findCategorySections(lines, buildCategoryLabelMap(categories))) {
+        const value = [section.firstValue, ...lines.slice(section.start + 1, section.end)].join('\n').trim();
+        if (!value) continue;
+        fields[section.key] = fields[section.key] ? `${fields[section.key]}\n${value}` : value;
+    }
+    
+    return fields;
+}
+
+/**
+ * 요약 텍스트의 카테고리 값 하나를 교체 (라벨 줄 형식은 유지, 없으면 끝에 추가)
+ * @param {string} content - 요약 내용
+ * @param {string} key - 카테고리 키
+ * @param {string} value - 새 값
+ * @param {Object} categories - settings.categories
+ * @returns {string}
+ */
+export function replaceSummaryField(content, key, value, categories) {
+    const lines = String(content || '').split('\n');
+    const section = findCategorySections(lines, buildCategoryLabelMap(categories)).find(s => s.key === key);
+    const [firstLine, ...restLines] = String(value ?? '').trim().split('\n');
+    
+    if (!section) {
+        if (!firstLine && restLines.length === 0) return content;
+        const label = categories?.[key]?.label || key;
+        return `${String(content || '').trimEnd()}\n* ${label}: ${firstLine}${restLines.length ? `\n${restLines.join('\n')}` : ''}`;
+    }
+    
+    // 구간 끝의 빈 줄은 다음 카테고리와의 간격이므로 유지
+    let end = section.end;
+    while (end > section.start + 1 && !lines[end - 1].trim()) end--;
+    
+    const header = lines[section.start];
+    const prefix = header.slice(0, header.length - section.firstValue.length);
+    lines.splice(section.start, end - section.start, `${prefix}${firstLine}`, ...restLines);
+    return lines.join('\n');
+}
+
 /**
  * 요약 텍스트에서 도감 섹션(--- CHARACTERS/EVENTS/ITEMS ---) 제거
  * @param {string} content - 요약 콘텐츠
@@ -835,3 +1148,28 @@ Decide what to delete based on CONTENT, not on counting sentences:
 - Do NOT translate — keep everything in original language
 - When in doubt, keep the detail rather than removing it`;
 
+// ===== 아크 롤업 프롬프트 =====
+// 연속된 요약(또는 하위 아크) 여러 개를 하나의 아크 요약으로 압축할 때 사용
+export const DEFAULT_ARC_PROMPT_TEMPLATE = `You are condensing a contiguous span of roleplay summaries into ONE story-arc summary.
+The arc summary will replace the individual summaries in the AI's memory when the context budget is tight.
+
+## Your Task
+Read all summaries below (they are in chronological order) and write a single cohesive arc summary covering the whole span.
+Target length: roughly 25-35% of the combined input.
+
+## 🔴 MUST PRESERVE
+- The overall flow of events in chronological order
+- Story turning points (decisions, confessions, conflicts, secrets revealed, new characters)
+- How relationships changed across the span and why
+- Unresolved threads, promises and foreshadowing that may matter later
+- Where and when the span ends (last known location / time)
+
+## 🟢 CAN BE REMOVED
+- Moment-to-moment actions, movement and scene-setting
+- Repeated emotional descriptions — keep only the overall emotional arc
+- Dialogue, unless a line is a key promise or turning point (then keep it verbatim in quotes)
+
+## 📝 Output Format (CRITICAL)
+- Output ONLY the arc summary text — no header, no #numbers, no commentary
+- Use short paragraphs or "- " bullet lines
+- NEVER invent information that is not in the summaries`;
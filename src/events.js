@@ -3,9 +3,9 @@
  */
 
 import { eventSource, event_types } from "../../../../../script.js";
-import { log, getSettings, setChatLoadingCooldown, isChatLoadingCooldown, setGenerationLock, clearGenerationLock, isGenerationInProgress, isSummarizing } from './state.js';
-import { getSummaryData, saveSummaryData, remapSummariesAfterDeletion, invalidateSummaryOnSwipe } from './storage.js';
-import { runAutoSummary } from './summarizer.js';
+import { log, getSettings, setChatLoadingCooldown, isChatLoadingCooldown, setGenerationLock, clearGenerationLock, isGenerationInProgress, isSummarizing, startSummarizing, stopSummarizing, shouldStop } from './state.js';
+import { getSummaryData, saveSummaryData, remapSummariesAfterDeletion, switchSummaryOnSwipe, invalidateSummaryOnEdit } from './storage.js';
+import { runAutoSummary, resummarizeMessage } from './summarizer.js';
 import { applyMessageVisibility, clearMessageElementCache } from './visibility.js';
 import { injectSummaryToPrompt, clearInjection } from './injection.js';
 
@@ -16,6 +16,12 @@ let onStatusUpdateCallback = null;
 let lastAutoSummaryTime = 0;
 const AUTO_SUMMARY_COOLDOWN_MS = 3000; // 3초 쿨다운
 
+// 메시지 수정으로 무효화되어 자동 재요약을 기다리는 요약 인덱스
+const pendingEditResummaries = new Set();
+// 요약 진행 중이라 미뤄진 재요약 재시도 타이머
+let editResummaryRetryTimer = null;
+const EDIT_RESUMMARY_RETRY_MS = 3000;
+
 /**
  * UI 업데이트 콜백 설정
  * @param {Function} callback 
@@ -41,6 +47,9 @@ async function onChatChanged() {
     
     log('채팅 변경됨');
     
+    // 이전 채팅의 재요약 대기열 폐기
+    pendingEditResummaries.clear();
+    
     // 채팅 로딩 쿨다운 설정
     setChatLoadingCooldown(2000);
     
@@ -146,6 +155,7 @@ async function onGenerationEndedWithAutoSummary() {
         try {
             if (isSummarizing()) {
                 log('자동 요약 스킵: 이미 요약 중');
+                await processPendingEditResummaries();
                 return;
             }
             
@@ -154,11 +164,15 @@ async function onGenerationEndedWithAutoSummary() {
             const now = Date.now();
             if (now - lastAutoSummaryTime < AUTO_SUMMARY_COOLDOWN_MS) {
                 log('자동 요약 스킵: 쿨다운 중 (중복 트리거 방지)');
+                await processPendingEditResummaries();
                 return;
             }
             lastAutoSummaryTime = now;
             await runAutoSummary();
             triggerStatusUpdate();
+            
+            // 생성 중에 수정된 메시지의 요약 재생성
+            await processPendingEditResummaries();
         } catch (error) {
             console.error('[scenario-summarizer] 자동 요약 오류:', error);
         }
@@ -167,14 +181,17 @@ async function onGenerationEndedWithAutoSummary() {
 
 /**
  * 메시지 스와이프 이벤트 핸들러
- * 스와이프 시 해당 메시지의 요약을 삭제/무효화
+ * 스와이프별로 보관된 요약이 있으면 복원, 새 스와이프면 해당 메시지의 요약을 삭제/무효화
  * @param {number} messageId 
  */
 async function onMessageSwiped(messageId) {
     log(`Message swiped: id=${messageId}`);
     
-    // 해당 메시지의 요약 무효화
-    invalidateSummaryOnSwipe(messageId);
+    // 이전 스와이프의 요약 보관 + 현재 스와이프 요약 복원
+    const { restored } = switchSummaryOnSwipe(Number(messageId));
+    if (restored) {
+        log(`스와이프 요약 복원됨: #${messageId}`);
+    }
     await saveSummaryData();
     
     // 주입 갱신
@@ -182,6 +199,93 @@ async function onMessageSwiped(messageId) {
     triggerStatusUpdate();
 }
 
+/**
+ * 메시지 수정 이벤트 핸들러 (MESSAGE_EDITED / MESSAGE_UPDATED)
+ * 수정된 메시지가 포함된 요약을 무효화하고, 자동 모드면 재요약 대기열에 추가
+ * @param {number} messageId 
+ */
+async function onMessageEdited(messageId) {
+    const messageIndex = Number(messageId);
+    if (!Number.isInteger(messageIndex)) return;
+    
+    const summaryIndex = invalidateSummaryOnEdit(messageIndex);
+    if (summaryIndex === null) return;
+    
+    log(`Message edited: id=${messageIndex}, summary #${summaryIndex} marked stale`);
+    await saveSummaryData();
+    
+    // 주입 갱신 (무효화된 요약은 제외됨)
+    await injectSummaryToPrompt();
+    triggerStatusUpdate();
+    
+    const settings = getSettings();
+    if (!settings.enabled || !settings.automaticMode || settings.resummarizeOnEdit === false) {
+        return;
+    }
+    
+    pendingEditResummaries.add(summaryIndex);
+    
+    // 생성 중이면 GENERATION_ENDED에서 처리
+    if (!isGenerationInProgress()) {
+        setTimeout(() => {
+            processPendingEditResummaries().catch(error => {
+                console.error('[scenario-summarizer] 수정 재요약 오류:', error);
+            });
+        }, 500);
+    }
+}
+
+/**
+ * 요약/채팅 로딩이 끝난 뒤 재요약 대기열을 다시 처리하도록 예약 (이미 예약돼 있으면 무시)
+ */
+function scheduleEditResummaryRetry() {
+    if (editResummaryRetryTimer) return;
+    editResummaryRetryTimer = setTimeout(() => {
+        editResummaryRetryTimer = null;
+        processPendingEditResummaries().catch(error => {
+            console.error('[scenario-summarizer] 수정 재요약 오류:', error);
+        });
+    }, EDIT_RESUMMARY_RETRY_MS);
+}
+
+/**
+ * 재요약 대기열 처리 (생성 중이면 생성 종료 때, 요약 중이면 잠시 후 다시 시도)
+ */
+async function processPendingEditResummaries() {
+    if (pendingEditResummaries.size === 0) return;
+    
+    if (isGenerationInProgress()) {
+        log('수정 재요약 대기: 생성 진행 중');
+        return;
+    }
+    if (isSummarizing() || isChatLoadingCooldown()) {
+        log('수정 재요약 대기: 요약/채팅 로딩 중 → 잠시 후 재시도');
+        scheduleEditResummaryRetry();
+        return;
+    }
+    
+    const indices = [...pendingEditResummaries].sort((a, b) => a - b);
+    pendingEditResummaries.clear();
+    
+    startSummarizing();
+    try {
+        for (const index of indices) {
+            if (shouldStop()) break;
+            
+            // 그 사이 수동 재요약/삭제된 경우 건너뜀
+            const summary = getSummaryData()?.summaries?.[index];
+            if (summary?.invalidated !== true) continue;
+            
+            const result = await resummarizeMessage(index);
+            log(`수정 재요약 #${index}: ${result.success ? '완료' : `실패 (${result.error})`}`);
+        }
+    } finally {
+        stopSummarizing();
+    }
+    
+    triggerStatusUpdate();
+}
+
 /**
  * 메시지 삭제 이벤트 핸들러
  * 삭제 시 요약 인덱스 재매핑
@@ -190,6 +294,9 @@ async function onMessageSwiped(messageId) {
 async function onMessageDeleted(messageId) {
     log(`Message deleted: id=${messageId}`);
     
+    // 인덱스가 바뀌므로 재요약 대기열 폐기 (무효화 표시는 유지)
+    pendingEditResummaries.clear();
+    
     // 요약 인덱스 재매핑
     remapSummariesAfterDeletion(messageId);
     await saveSummaryData();
@@ -241,6 +348,14 @@ export function registerEventListeners() {
         eventSource.on(event_types.MESSAGE_DELETED, onMessageDeleted);
     }
     
+    // MESSAGE_EDITED / MESSAGE_UPDATED - 수정 시 해당 요약 무효화 (내용이 바뀐 경우만)
+    if (event_types.MESSAGE_EDITED) {
+        eventSource.on(event_types.MESSAGE_EDITED, onMessageEdited);
+    }
+    if (event_types.MESSAGE_UPDATED) {
+        eventSource.on(event_types.MESSAGE_UPDATED, onMessageEdited);
+    }
+    
     // GENERATION_ENDED 에서도 자동 요약 체크
     eventSource.on(event_types.GENERATION_STARTED, onGenerationStarted);
     eventSource.on(event_types.GENERATION_ENDED, onGenerationEndedWithAutoSummary);
@@ -268,6 +383,12 @@ export function unregisterEventListeners() {
     if (event_types.MESSAGE_DELETED) {
         eventSource.removeListener(event_types.MESSAGE_DELETED, onMessageDeleted);
     }
+    if (event_types.MESSAGE_EDITED) {
+        eventSource.removeListener(event_types.MESSAGE_EDITED, onMessageEdited);
+    }
+    if (event_types.MESSAGE_UPDATED) {
+        eventSource.removeListener(event_types.MESSAGE_UPDATED, onMessageEdited);
+    }
     eventSource.removeListener(event_types.GENERATION_STARTED, onGenerationStarted);
     eventSource.removeListener(event_types.GENERATION_ENDED, onGenerationEndedWithAutoSummary);
     eventSource.removeListener(event_types.GENERATION_AFTER_COMMANDS, onBeforeGeneration);
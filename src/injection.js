@@ -3,11 +3,15 @@
  */
 
 import { getContext } from "../../../../extensions.js";
-import { setExtensionPrompt, extension_prompt_types } from "../../../../../script.js";
-import { extensionName, isGroupIncludedContent, cleanJsonBlocks, cleanCatalogSections } from './constants.js';
+import { setExtensionPrompt, extension_prompt_types, extension_prompt_roles } from "../../../../../script.js";
+import {
+    extensionName, defaultSettings, INJECTION_SLOTS, CURRENT_STATE_LABELS, isGroupIncludedContent, cleanJsonBlocks, cleanCatalogSections,
+    stripCategoryLines,
+    DEFAULT_INJECTION_TEMPLATES, DEFAULT_INJECTION_ENTRY_FORMAT, DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT, INJECTION_CONTENT_MACROS
+} from './constants.js';
 import { log, getSettings, logError } from './state.js';
-import { getSummaryData, getRelevantSummaries, getCharacterName, getRelevantCharacters, formatCharactersText, getLegacySummaries, getRelevantEvents, getRelevantItems } from './storage.js';
-import { getTokenCounter } from './ui.js';
+import { getSummaryData, getRelevantSummaries, getCharacterName, getUserName, getRelevantCharacters, formatCharactersText, getSceneCharacterNames, getLegacySummaries, getRelevantEvents, getRelevantItems, getCurrentState, getArcs, getArcStatus } from './storage.js';
+import { getTokenCounter, getTokenizerId } from './ui.js';
 
 // setExtensionPrompt 사용 가능 여부
 let extensionPromptAvailable = true;
@@ -15,15 +19,32 @@ let extensionPromptAvailable = true;
 // 잘린(skipped) 요약 인덱스 추적 (UI에서 참조)
 let _skippedSummaryIndices = new Set();
 
-// 토큰 추정 캐시 (dirty flag 패턴)
-let _tokenCache = { hash: '', tokens: 0 };
+// relevance 모드에서 관련도 점수로 선택된 요약 인덱스 추적 (UI에서 참조)
+let _relevanceSelectedIndices = new Set();
+
+// 아크로 대체되어 전달된 요약 인덱스 → 아크 ID (UI에서 참조)
+let _arcCoveredIndices = new Map();
+
+// 요약 슬롯 이후에 처리되는 카탈로그 슬롯 (예산 적용 순서)
+const CATALOG_SLOT_IDS = ['characters', 'events', 'items'];
+
+// 항목별 토큰 수 메모리 캐시 ("토크나이저ID:내용해시" → 토큰 수)
+// 채팅 데이터의 tokenCounts에도 같은 키로 저장되어 새로고침 후에도 재사용됨
+const _entryTokenCache = new Map();
+const ENTRY_TOKEN_CACHE_LIMIT = 20000;
+
+// 캐시에 없는 항목을 동시에 카운트할 최대 개수
+const TOKEN_COUNT_CONCURRENCY = 32;
+
+// 채팅 데이터에 저장하는 항목별 토큰 수 최대 개수 (초과 시 오래 쓰이지 않은 키부터 정리)
+const STORED_TOKEN_COUNT_LIMIT = 5000;
 
 /**
- * 토큰 캐시 무효화 (요약 변경 시 호출)
+ * 메모리 토큰 캐시 초기화
+ * 저장된 항목별 카운트는 내용 해시로 검증되므로 내용이 바뀐 항목만 자연히 다시 계산됨
  */
 export function invalidateTokenCache() {
-    _tokenCache.hash = '';
-    _tokenCache.tokens = 0;
+    _entryTokenCache.clear();
 }
 
 /**
@@ -50,24 +71,45 @@ async function countTokens(text, counter) {
 }
 
 /**
- * 여러 텍스트의 토큰 수를 일괄 추정 (전체를 한 번에 카운트 후 비율 분배)
+ * 여러 텍스트의 토큰 수를 항목별로 정확히 계산 (토크나이저 + 내용 해시 기준 캐시 사용)
  * @param {string[]} texts - 개별 텍스트 배열
  * @param {Function|null} counter - 비동기 토큰 카운터
- * @returns {Promise<number[]>} - 각 텍스트의 추정 토큰 수 배열
+ * @param {Object<string, number>|null} [store=null] - 영구 캐시 (채팅 데이터의 tokenCounts), 없으면 메모리 캐시만 사용
+ * @returns {Promise<{counts: number[], keys: string[]}>} - 각 텍스트의 토큰 수와 캐시 키
  */
-async function batchCountTokens(texts, counter) {
-    if (texts.length === 0) return [];
+export async function countTokensCached(texts, counter, store = null) {
+    const tokenizerId = getTokenizerId();
+    const keys = texts.map(text => `${tokenizerId}:${quickHash(text)}`);
+    const counts = new Array(texts.length);
+    const missing = [];
+    
+    keys.forEach((key, i) => {
+        const cached = _entryTokenCache.get(key) ?? store?.[key];
+        if (typeof cached === 'number') {
+            counts[i] = cached;
+        } else {
+            missing.push(i);
+        }
+    });
     
-    // 전체를 합쳐 한 번만 카운트
-    const separator = '\n';
-    const combined = texts.join(separator);
-    const totalTokens = await countTokens(combined, counter);
+    // 캐시에 없는 항목만 실제 토크나이저로 카운트
+    for (let i = 0; i < missing.length; i += TOKEN_COUNT_CONCURRENCY) {
+        const chunk = missing.slice(i, i + TOKEN_COUNT_CONCURRENCY);
+        const chunkCounts = await Promise.all(chunk.map(idx => countTokens(texts[idx], counter)));
+        chunk.forEach((idx, j) => {
+            counts[idx] = chunkCounts[j];
+        });
+    }
     
-    // 길이 비율로 각 텍스트에 분배
-    const totalLength = texts.reduce((sum, t) => sum + t.length, 0);
-    if (totalLength === 0) return texts.map(() => 0);
+    if (_entryTokenCache.size + missing.length > ENTRY_TOKEN_CACHE_LIMIT) {
+        _entryTokenCache.clear();
+    }
+    keys.forEach((key, i) => {
+        _entryTokenCache.set(key, counts[i]);
+        if (store) store[key] = counts[i];
+    });
     
-    return texts.map(t => Math.ceil((t.length / totalLength) * totalTokens));
+    return { counts, keys };
 }
 
 /**
@@ -78,12 +120,230 @@ export function getSkippedSummaryIndices() {
     return _skippedSummaryIndices;
 }
 
+/**
+ * relevance 모드에서 관련도 점수로 포함된(최신 N개 밖의) 요약 인덱스 목록 반환
+ * @returns {Set<number>}
+ */
+export function getRelevanceSelectedIndices() {
+    return _relevanceSelectedIndices;
+}
+
+/**
+ * 아크로 대체되어 전달된 요약 인덱스 반환
+ * @returns {Map<number, string>} - 요약 인덱스 → 아크 ID
+ */
+export function getArcCoveredIndices() {
+    return _arcCoveredIndices;
+}
+
+// ===== 관련도 검색 (BM25) =====
+
+// 검색에서 제외할 영어 불용어
+const RELEVANCE_STOPWORDS = new Set([
+    'the', 'and', 'for', 'that', 'this', 'with', 'was', 'were', 'are', 'his', 'her', 'she', 'him',
+    'they', 'them', 'their', 'you', 'your', 'but', 'not', 'had', 'has', 'have', 'from', 'into',
+    'then', 'than', 'there', 'what', 'when', 'who', 'which', 'its', 'all', 'out', 'about', 'been'
+]);
+
+/**
+ * 검색용 토큰화
+ * 라틴 문자는 단어 단위, 한글/CJK는 조사 결합을 고려해 2-gram을 함께 생성
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeForRelevance(text) {
+    const tokens = [];
+    const words = String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    
+    for (const word of words) {
+        if (!word) continue;
+    
+        if (/[\u3040-\u30FF\u3131-\uD79D]/.test(word)) {
+            if (word.length === 1) {
+                tokens.push(word);
+                continue;
+            }
+            for (let i = 0; i < word.length - 1; i++) {
+                tokens.push(word.slice(i, i + 2));
+            }
+        } else if (word.length >= 3 && !RELEVANCE_STOPWORDS.has(word)) {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * BM25로 각 문서의 쿼리 관련도 점수 계산
+ * @param {string[]} documents - 문서 텍스트 배열
+ * @param {string} query - 쿼리 텍스트
+ * @returns {number[]} - 문서별 점수 (documents와 같은 순서)
+ */
+export function scoreDocumentsBM25(documents, query) {
+    const k1 = 1.2;
+    const b = 0.75;
+    
+    const queryTerms = [...new Set(tokenizeForRelevance(query))];
+    if (documents.length === 0 || queryTerms.length === 0) {
+        return documents.map(() => 0);
+    }
+    
+    // 문서별 단어 빈도 + 문서 빈도
+    const termFreqs = [];
+    const docFreq = new Map();
+    let totalLength = 0;
+    
+    for (const doc of documents) {
+        const tokens = tokenizeForRelevance(doc);
+        const tf = new Map();
+        for (const token of tokens) {
+            tf.set(token, (tf.get(token) || 0) + 1);
+        }
+        for (const token of tf.keys()) {
+            docFreq.set(token, (docFreq.get(token) || 0) + 1);
+        }
+        termFreqs.push({ tf, length: tokens.length });
+        totalLength += tokens.length;
+    }
+    
+    const docCount = documents.length;
+    const avgLength = totalLength / docCount || 1;
+    
+    return termFreqs.map(({ tf, length }) => {
+        let score = 0;
+        for (const term of queryTerms) {
+            const freq = tf.get(term);
+            if (!freq) continue;
+            const df = docFreq.get(term) || 0;
+            const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+            score += idf * (freq * (k1 + 1)) / (freq + k1 * (1 - b + b * length / avgLength));
+        }
+        return score;
+    });
+}
+
+/**
+ * 관련도 검색 쿼리 텍스트 생성 (최근 N개 채팅 메시지)
+ * @param {Object} settings
+ * @returns {string}
+ */
+function getRelevanceQueryText(settings) {
+    const context = getContext();
+    const chat = context.chat || [];
+    const count = Math.max(1, settings.relevanceQueryMessages ?? 5);
+    
+    return chat.slice(-count)
+        .map(msg => msg?.mes || '')
+        .join('\n');
+}
+
+/**
+ * 주입 후보 요약을 선택 방식에 맞게 정렬하고 선택 사유를 표시
+ * recency: 최신순 그대로 / relevance: 최신 N개를 앞에 두고 나머지는 관련도순
+ * @param {Array<{index: number, content: string, memo?: string}>} items - 최신순으로 정렬된 후보 (핀 고정 제외)
+ * @param {Object} settings
+ * @returns {Array<{index: number, content: string, memo?: string, reason: 'recent'|'relevance'}>} - 예산 적용 순서로 정렬된 후보
+ */
+function orderItemsForRetrieval(items, settings) {
+    if (settings.injectionRetrievalMode !== 'relevance' || items.length === 0) {
+        return items.map(item => ({ ...item, reason: 'recent' }));
+    }
+    
+    const keepRecent = Math.max(0, settings.relevanceKeepRecent ?? 5);
+    const kept = items.slice(0, keepRecent).map(item => ({ ...item, reason: 'recent' }));
+    const rest = items.slice(keepRecent);
+    
+    if (rest.length === 0) {
+        return kept;
+    }
+    
+    const query = getRelevanceQueryText(settings);
+    const documents = rest.map(item => cleanJsonBlocks(item.content) + '\n' + (item.memo || ''));
+    const scores = scoreDocumentsBM25(documents, query);
+    
+    // 점수 내림차순, 동점이면 최신순 유지
+    const ranked = rest
+        .map((item, i) => ({ item, score: scores[i], order: i }))
+        .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+        .map(({ item, score }) => ({ ...item, reason: score > 0 ? 'relevance' : 'recent' }));
+    
+    return [...kept, ...ranked];
+}
+
+// ===== 이벤트/아이템 주입 규칙 =====
+
+const IMPORTANCE_RANK = { high: 2, medium: 1, low: 0 };
+
+/**
+ * 스토리 위치 기준 최신순 비교 (messageIndex가 없으면 createdAt으로 폴백)
+ */
+function compareByRecency(a, b) {
+    const aIdx = a.messageIndex ?? null;
+    const bIdx = b.messageIndex ?? null;
+    if (aIdx !== null && bIdx !== null) return bIdx - aIdx;
+    if (aIdx !== null) return -1;
+    if (bIdx !== null) return 1;
+    return (b.createdAt || 0) - (a.createdAt || 0);
+}
+
+/**
+ * 주입 규칙으로 제외되는 이벤트/아이템 계산
+ * 사유: 'importance' (최소 중요도 미달), 'limit' (중요도별 최대 개수 초과),
+ *       'status' (제외 상태), 'window' (최근 범위 밖)
+ * @returns {{events: Map<string, string>, items: Map<string, string>}} - ID → 제외 사유
+ */
+export function getCatalogExclusions() {
+    const settings = getSettings();
+    const events = new Map();
+    const items = new Map();
+    if (!settings.catalogRulesEnabled) return { events, items };
+    
+    const chatLength = getContext().chat?.length || 0;
+    const recencyWindow = settings.catalogRecencyWindow || 0;
+    const isOutsideWindow = (messageIndex) => recencyWindow > 0
+        && messageIndex !== null && messageIndex !== undefined
+        && messageIndex < chatLength - recencyWindow;
+    
+    // 이벤트: 최소 중요도 → 최근 범위 → 중요도별 최대 개수 (최신부터 채움)
+    const minRank = IMPORTANCE_RANK[settings.eventMinImportance] ?? 0;
+    const limits = { ...defaultSettings.eventMaxPerImportance, ...(settings.eventMaxPerImportance || {}) };
+    const counts = { high: 0, medium: 0, low: 0 };
+    for (const event of [...getRelevantEvents()].sort(compareByRecency)) {
+        const importance = IMPORTANCE_RANK[event.importance] !== undefined ? event.importance : 'medium';
+        if (IMPORTANCE_RANK[importance] < minRank) {
+            events.set(event.id, 'importance');
+        } else if (isOutsideWindow(event.messageIndex)) {
+            events.set(event.id, 'window');
+        } else if (limits[importance] > 0 && counts[importance] >= limits[importance]) {
+            events.set(event.id, 'limit');
+        } else {
+            counts[importance]++;
+        }
+    }
+    
+    // 아이템: 제외 상태 → 최근 범위
+    const excludedStatuses = (settings.itemExcludedStatuses || [])
+        .map(status => String(status).trim().toLowerCase())
+        .filter(Boolean);
+    for (const item of getRelevantItems()) {
+        const status = String(item.status || '').toLowerCase();
+        if (status && excludedStatuses.some(excluded => status.includes(excluded))) {
+            items.set(item.id, 'status');
+        } else if (isOutsideWindow(item.messageIndex)) {
+            items.set(item.id, 'window');
+        }
+    }
+    
+    return { events, items };
+}
+
 /**
  * 이벤트 목록을 텍스트로 포맷팅 (분기 대응, 중요도 포함)
+ * @param {Map<string, string>} [excluded] - 주입 규칙으로 제외할 이벤트 ID
  * @returns {string}
  */
-function formatEventsText() {
-    const events = getRelevantEvents();
+function formatEventsText(excluded = new Map()) {
+    const events = getRelevantEvents().filter(event => !excluded.has(event.id));
     if (events.length === 0) return '';
     
     const settings = getSettings();
@@ -119,10 +379,11 @@ function formatEventsText() {
 
 /**
  * 아이템 목록을 텍스트로 포맷팅 (분기 대응, 중요도 포함)
+ * @param {Map<string, string>} [excluded] - 주입 규칙으로 제외할 아이템 ID
  * @returns {string}
  */
-function formatItemsText() {
-    const items = getRelevantItems();
+function formatItemsText(excluded = new Map()) {
+    const items = getRelevantItems().filter(item => !excluded.has(item.id));
     if (items.length === 0) return '';
     
     const settings = getSettings();
@@ -160,25 +421,50 @@ function formatItemsText() {
     return text;
 }
 
+/**
+ * 슬롯별 setExtensionPrompt 키 반환 (요약 슬롯은 기존 키 유지)
+ * @param {string} slotId - INJECTION_SLOTS 키
+ * @returns {string}
+ */
+function getSlotPromptKey(slotId) {
+    const meta = INJECTION_SLOTS[slotId];
+    return `${extensionName}${meta?.keySuffix || ''}`;
+}
+
+/**
+ * 슬롯 설정 반환 (누락된 값은 기본값으로 보완)
+ * @param {Object} settings - 설정 객체
+ * @param {string} slotId - INJECTION_SLOTS 키
+ * @returns {{enabled: boolean, position: string, depth: number, role: string, tokenBudget: number}}
+ */
+export function getSlotSettings(settings, slotId) {
+    return {
+        ...defaultSettings.injectionSlots[slotId],
+        ...(settings?.injectionSlots?.[slotId] || {})
+    };
+}
+
 /**
  * 안전하게 setExtensionPrompt 호출
- * @param {string} summaryContent - 요약 내용
+ * @param {string} slotId - INJECTION_SLOTS 키
+ * @param {string} slotContent - 슬롯 내용
  * @param {Object} settings - 설정 객체
  * @returns {boolean}
  */
-function safeSetExtensionPrompt(summaryContent, settings = null) {
+function safeSetExtensionPrompt(slotId, slotContent, settings = null) {
     if (!extensionPromptAvailable) {
         return false;
     }
     
     try {
         if (typeof setExtensionPrompt === 'function') {
-            // 설정에서 주입 위치 가져오기
-            const position = settings?.injectionPosition || 'in-chat';
-            const depth = settings?.injectionDepth !== undefined ? settings.injectionDepth : 0;
+            // 슬롯 설정에서 주입 위치/깊이/역할 가져오기
+            const slot = getSlotSettings(settings, slotId);
+            const position = slot.position || 'in-chat';
+            const depth = slot.depth !== undefined ? slot.depth : 0;
             
-            // 요약 내용이 있으면 고정 포맷 적용, 없으면 빈 문자열
-            const content = summaryContent ? `[Scenario Summary]\n${summaryContent}` : '';
+            // 비활성 슬롯이나 빈 내용은 빈 문자열 (포맷은 주입 템플릿에서 적용)
+            const content = (slot.enabled && slotContent) ? slotContent : '';
             
             // 위치에 따라 extension_prompt_types 선택
             let promptType;
@@ -191,11 +477,24 @@ function safeSetExtensionPrompt(summaryContent, settings = null) {
                 promptType = extension_prompt_types.IN_CHAT;
             }
             
+            // 역할 (In-Chat 위치에서만 적용됨)
+            const roles = extension_prompt_roles || {};
+            let role;
+            if (slot.role === 'user') {
+                role = roles.USER ?? 1;
+            } else if (slot.role === 'assistant') {
+                role = roles.ASSISTANT ?? 2;
+            } else {
+                role = roles.SYSTEM ?? 0;
+            }
+            
             setExtensionPrompt(
-                extensionName,
+                getSlotPromptKey(slotId),
                 content,
                 promptType,
-                depth
+                depth,
+                false,
+                role
             );
             return true;
         } else {
@@ -210,56 +509,398 @@ function safeSetExtensionPrompt(summaryContent, settings = null) {
 }
 
 /**
- * 요약을 프롬프트에 주입
+ * 모든 슬롯의 주입 내용 비우기
+ * @param {Object} settings - 설정 객체
  */
-export async function injectSummaryToPrompt() {
-    try {
-        const settings = getSettings();
-        
-        // 비활성화면 주입 제거
-        if (!settings.enabled) {
-            safeSetExtensionPrompt('', settings);
-            return;
+function clearAllSlots(settings) {
+    for (const slotId of Object.keys(INJECTION_SLOTS)) {
+        safeSetExtensionPrompt(slotId, '', settings);
+    }
+}
+
+/**
+ * 슬롯이 사용할 수 있는 토큰 예산 계산
+ * 슬롯 서브 예산(0 = 제한 없음)과 전체 예산의 남은 양 중 작은 값
+ * @param {Object} slot - 슬롯 설정
+ * @param {number} remainingTotal - 전체 예산 중 남은 토큰
+ * @returns {number}
+ */
+function getSlotBudget(slot, remainingTotal) {
+    const subBudget = slot.tokenBudget > 0 ? slot.tokenBudget : Infinity;
+    return Math.max(0, Math.min(subBudget, remainingTotal));
+}
+
+// ===== 주입 템플릿 =====
+
+/**
+ * 슬롯의 주입 템플릿 반환 (사용자 템플릿이 없으면 기본값)
+ * @param {Object} settings - 설정 객체
+ * @param {string} slotId - INJECTION_SLOTS 키
+ * @returns {string}
+ */
+export function getInjectionTemplate(settings, slotId) {
+    const custom = settings?.injectionTemplates?.[slotId];
+    return (typeof custom === 'string' && custom.trim()) ? custom : DEFAULT_INJECTION_TEMPLATES[slotId];
+}
+
+/**
+ * 매크로 치환 ({{#name}}...{{/name}} 조건 블록 + {{name}})
+ * 치환된 값은 다시 해석하지 않으므로 요약 본문 안의 {{...}}는 그대로 유지됨
+ * @param {string} template - 템플릿
+ * @param {Object<string, string>} values - 매크로 값
+ * @returns {string}
+ */
+function applyMacros(template, values) {
+    // 조건 블록: 값이 비어 있으면 블록 전체 제거
+    const withBlocks = String(template || '').replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => {
+        return values[name] ? inner : '';
+    });
+    
+    // 알 수 없는 매크로는 그대로 둠 (SillyTavern 매크로와 충돌 방지)
+    return withBlocks.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : match;
+    });
+}
+
+/**
+ * 슬롯 템플릿 렌더링
+ * 템플릿이 참조하는 콘텐츠 매크로가 모두 비어 있으면 빈 문자열 반환 (헤더만 주입되는 것 방지)
+ * @param {string} template - 템플릿
+ * @param {Object<string, string>} values - 매크로 값
+ * @returns {string}
+ */
+export function renderInjectionTemplate(template, values) {
+    const referenced = INJECTION_CONTENT_MACROS.filter(name =>
+        template.includes(`{{${name}}}`) || template.includes(`{{#${name}}}`)
+    );
+    if (referenced.length > 0 && referenced.every(name => !values[name])) {
+        return '';
+    }
+    return applyMacros(template, values);
+}
+
+/**
+ * 요약 항목 헤더 정보 계산 (#12~20 / #12)
+ * @param {number} index - 요약 인덱스
+ * @param {string} content - 정리된 요약 내용
+ * @returns {{range: string, start: number, end: number, body: string}}
+ */
+function parseEntryRange(index, content) {
+    const rangeMatch = content.match(/^#(\d+)-(\d+)/);
+    if (rangeMatch) {
+        return {
+            range: `#${rangeMatch[1]}~${rangeMatch[2]}`,
+            start: Number(rangeMatch[1]),
+            end: Number(rangeMatch[2]),
+            body: content.replace(/^#\d+-\d+\n?/, '').trim()
+        };
+    }
+    return { range: `#${index}`, start: index, end: index, body: content };
+}
+
+/**
+ * 현재 요약 항목 하나를 항목 포맷으로 렌더링 (JSON 블록 정리 포함)
+ * @param {number} index - 요약 인덱스
+ * @param {string} content - 원본 요약 내용
+ * @param {string} format - 항목 포맷
+ * @param {Set<string>|null} [allowedKeys=null] - 세부 정보 감쇠로 남길 카테고리 키 (null = 전체)
+ * @param {Object} [categories={}] - settings.categories (라벨 인식용)
+ * @returns {string}
+ */
+function renderSummaryEntry(index, content, format, allowedKeys = null, categories = {}) {
+    const cleaned = stripCategoryLines(cleanJsonBlocks(content), allowedKeys, categories);
+    const { range, start, end, body } = parseEntryRange(index, cleaned);
+    return applyMacros(format, { range, start, end, index, content: body });
+}
+
+// ===== 세부 정보 감쇠 =====
+
+/**
+ * 감쇠 단계별 허용 카테고리 키 집합 생성
+ * @param {Object} settings - 설정 객체
+ * @returns {Array<{count: number, keys: Set<string>|null}>|null} - 감쇠 비활성화 시 null
+ */
+function getDetailDecayTiers(settings) {
+    if (!settings.detailDecayEnabled || !Array.isArray(settings.detailDecayTiers) || settings.detailDecayTiers.length === 0) {
+        return null;
+    }
+    
+    return settings.detailDecayTiers.map(tier => ({
+        count: tier.count || 0,
+        keys: Array.isArray(tier.categories) ? new Set(tier.categories) : null
+    }));
+}
+
+/**
+ * 최신순 순위에 해당하는 감쇠 단계 찾기 (count 0인 단계는 나머지 전체, 범위를 넘으면 마지막 단계)
+ * @param {Array<{count: number, keys: Set<string>|null}>} tiers
+ * @param {number} rank - 0 = 가장 최신 요약
+ * @returns {{tier: number, keys: Set<string>|null}}
+ */
+function getDecayTierForRank(tiers, rank) {
+    let remaining = rank;
+    for (let i = 0; i < tiers.length; i++) {
+        if (tiers[i].count <= 0 || remaining < tiers[i].count) {
+            return { tier: i, keys: tiers[i].keys };
         }
+        remaining -= tiers[i].count;
+    }
+    const last = tiers.length - 1;
+    return { tier: last, keys: tiers[last].keys };
+}
+
+/**
+ * 인계된 요약 항목 하나를 항목 포맷으로 렌더링 (JSON 블록/카탈로그 섹션 정리 포함)
+ * @param {number} order - 인계 순서
+ * @param {string} content - 원본 인계 요약 내용
+ * @param {string} format - 인계 항목 포맷
+ * @returns {string}
+ */
+function renderLegacyEntry(order, content, format) {
+    const body = cleanCatalogSections(cleanJsonBlocks(content)).replace(/^#\d+-\d+\n?/, '').trim();
+    return applyMacros(format, { order, content: body });
+}
+
+/**
+ * 현재 상태 블록 텍스트 생성 - 최신 요약과 등장인물/아이템 카탈로그 기준
+ * @param {Object} settings - 설정 객체
+ * @returns {string} - 비활성화되었거나 내용이 없으면 빈 문자열
+ */
+function formatCurrentStateText(settings) {
+    if (!settings.currentStateEnabled) return '';
+    
+    const fields = { ...defaultSettings.currentStateFields, ...(settings.currentStateFields || {}) };
+    const state = getCurrentState();
+    
+    const lines = [];
+    // 카테고리 항목은 설정의 라벨(요약 언어에 맞춘 라벨)을 그대로 사용
+    for (const key of ['date', 'time', 'location', 'relationship']) {
+        const label = settings.categories?.[key]?.label || CURRENT_STATE_LABELS[key];
+        if (fields[key] && state[key]) lines.push(`${label}: ${state[key]}`);
+    }
+    if (fields.characters && state.characters.length > 0) lines.push(`${CURRENT_STATE_LABELS.characters}: ${state.characters.join(', ')}`);
+    if (fields.items && state.items.length > 0) {
+        lines.push(`${CURRENT_STATE_LABELS.items}: ${state.items.map(item => `${item.name} (${item.owner})`).join(', ')}`);
+    }
+    return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+/**
+ * 등장인물 슬롯 포맷 옵션 (장면 관련 필터)
+ * @param {Object} settings - 설정 객체
+ * @returns {Object} - formatCharactersText 옵션
+ */
+function getCharacterFormatOptions(settings) {
+    if (!settings.characterSceneFilterEnabled) return {};
+    
+    const messageCount = settings.characterSceneMessageCount ?? defaultSettings.characterSceneMessageCount;
+    const summaryCount = settings.characterSceneSummaryCount ?? defaultSettings.characterSceneSummaryCount;
+    return {
+        sceneNames: getSceneCharacterNames(messageCount, summaryCount),
+        othersMode: settings.characterSceneOthersMode || 'stub'
+    };
+}
+
+/**
+ * 템플릿 매크로 값 구성
+ * @param {Object} parts - 미리 조합된 요약 텍스트
+ * @param {string} parts.legacy - 인계 요약 항목 텍스트
+ * @param {string} parts.summaries - 현재 요약 항목 텍스트
+ * @returns {Object<string, string>}
+ */
+function buildTemplateValues({ legacy = '', summaries = '' } = {}) {
+    const settings = getSettings();
+    const relevantCharacters = getRelevantCharacters();
+    const exclusions = getCatalogExclusions();
+    return {
+        char: getCharacterName(),
+        user: getUserName(),
+        legacy,
+        summaries,
+        characters: Object.keys(relevantCharacters).length > 0 ? formatCharactersText(true, getCharacterFormatOptions(settings)) : '',
+        events: formatEventsText(exclusions.events),
+        items: formatItemsText(exclusions.items),
+        current_state: formatCurrentStateText(settings)
+    };
+}
+
+/**
+ * 요약 슬롯 헤더(템플릿 고정 텍스트 + 현재 상태 블록) - 예산 계산용
+ * @param {string} template - 템플릿
+ * @param {Object<string, string>} values - 매크로 값
+ * @returns {string}
+ */
+function getTemplateStaticText(template, values) {
+    const staticValues = { char: values.char, user: values.user };
+    for (const name of INJECTION_CONTENT_MACROS) {
+        staticValues[name] = '';
+    }
+    // 현재 상태 블록은 항목 수와 무관한 고정 텍스트로 취급
+    staticValues.current_state = values.current_state || '';
+    return applyMacros(template, staticValues);
+}
+
+/**
+ * 카탈로그 슬롯들을 예산 안에서 구성
+ * @param {Object} settings - 설정 객체
+ * @param {Object<string, string>} values - 템플릿 매크로 값
+ * @param {number} remainingTotal - 전체 예산 중 남은 토큰
+ * @param {Function|null} counter - 비동기 토큰 카운터
+ * @param {boolean} [ignoreBudget=false] - true면 예산 무시
+ * @returns {Promise<Array<{id: string, text: string, tokens: number, budget: number, skipped: boolean, requiredTokens?: number}>>}
+ */
+async function buildCatalogSlots(settings, values, remainingTotal, counter, ignoreBudget = false) {
+    const results = [];
+    
+    for (const slotId of CATALOG_SLOT_IDS) {
+        const slot = getSlotSettings(settings, slotId);
+        const budget = getSlotBudget(slot, remainingTotal);
         
-        const context = getContext();
-        if (!context.chat || context.chat.length === 0) {
-            safeSetExtensionPrompt('', settings);
-            return;
+        if (!slot.enabled) {
+            results.push({ id: slotId, text: '', tokens: 0, budget, skipped: false });
+            continue;
         }
         
-        const summaries = getRelevantSummaries();
-        const legacySummaries = getLegacySummaries();
-        
-        // 최신순(내림차순)으로 정렬하여 토큰 초과 시 오래된 요약이 제외되도록 함
-        const summaryIndices = Object.keys(summaries).map(Number).sort((a, b) => b - a);
-        
-        // 인계된 요약도 역순으로 (order 기준)
-        const legacyOrders = legacySummaries.map(s => s.order).sort((a, b) => b - a);
+        const text = renderInjectionTemplate(getInjectionTemplate(settings, slotId), values);
+        if (!text) {
+            results.push({ id: slotId, text: '', tokens: 0, budget, skipped: false });
+            continue;
+        }
         
-        if (summaryIndices.length === 0 && legacyOrders.length === 0) {
-            safeSetExtensionPrompt('', settings);
-            return;
+        const tokens = ignoreBudget ? 0 : (await countTokensCached([text], counter)).counts[0];
+        if (!ignoreBudget && tokens > budget) {
+            results.push({ id: slotId, text: '', tokens: 0, budget, skipped: true, requiredTokens: tokens });
+            continue;
         }
         
-        const charName = getCharacterName();
-        const tokenBudget = settings.tokenBudget || 2000;
-        const getTokenCountAsync = getTokenCounter();
+        remainingTotal -= tokens;
+        results.push({ id: slotId, text, tokens, budget, skipped: false });
+    }
     
-    // ===== 1단계: 모든 콘텐츠 수집 (토큰 카운트 전) =====
-    let summaryText = `# ${charName} Summary\n\n`;
+    return results;
+}
+
+// ===== 아크 대체 =====
+
+/**
+ * 예산을 초과하면 오래된 요약 묶음을 아크로 대체 (1단계 → 상위 단계 순, 오래된 것부터)
+ * 핀 고정 요약은 대체하지 않고 그대로 유지
+ * @param {Array<{index: number, content: string, text: string, tokens: number}>} items - 대체 가능한 일반 요약 후보
+ * @param {Array<Object>} arcs - 사용 가능한(ok) 아크 목록 (렌더링된 text, tokens 포함)
+ * @param {number} fixedTokens - 헤더/인계/핀 고정 등 대체와 무관한 토큰 합계
+ * @param {number} budget - 요약 슬롯 예산
+ * @param {number} maxTier - 사용할 최대 아크 단계
+ * @returns {Array<Object>} - 아크가 섞인 후보 목록 (아크 항목은 isArc, arc, coveredIndices 포함)
+ */
+function substituteArcs(items, arcs, fixedTokens, budget, maxTier) {
+    let units = items.map(item => ({ ...item, coveredIndices: [item.index] }));
+    let total = fixedTokens + units.reduce((sum, unit) => sum + unit.tokens, 0);
     
-    // 인계 요약 콘텐츠 수집
-    const legacyItems = [];
-    for (const order of legacyOrders) {
-        const legacy = legacySummaries.find(s => s.order === order);
-        if (!legacy) continue;
-        const content = String(legacy.content ?? '');
-        if (!content.trim()) continue;
-        legacyItems.push({ order, content });
+    for (let tier = 1; tier <= maxTier && total > budget; tier++) {
+        const tierArcs = arcs
+            .filter(arc => arc.tier === tier)
+            .sort((a, b) => a.startIndex - b.startIndex);
+        
+        for (const arc of tierArcs) {
+            if (total <= budget) break;
+            
+            // 1단계는 요약 인덱스, 상위 단계는 이미 대체된 하위 아크 ID로 매칭
+            const childSet = new Set(arc.childKeys);
+            const children = units.filter(unit => tier === 1
+                ? (!unit.isArc && childSet.has(unit.index))
+                : (unit.isArc && childSet.has(unit.arc.id)));
+            
+            if (children.length === 0) continue;
+            if (tier > 1 && children.length !== arc.childKeys.length) continue;
+            
+            const savings = children.reduce((sum, unit) => sum + unit.tokens, 0) - arc.tokens;
+            if (savings <= 0) continue;
+            
+            const removed = new Set(children);
+            units = units.filter(unit => !removed.has(unit));
+            units.push({
+                index: arc.startIndex,
+                content: arc.content,
+                text: arc.text,
+                memo: '',
+                tokens: arc.tokens,
+                isArc: true,
+                arc,
+                coveredIndices: children.flatMap(unit => unit.coveredIndices)
+            });
+            total -= savings;
+        }
     }
     
-    // 현재 요약 분류 (pinned / hidden / normal)
+    // 최신순 유지 (선택 방식 정렬의 입력 형식)
+    return units.sort((a, b) => b.index - a.index);
+}
+
+/**
+ * 저장된 항목별 토큰 수에 이번 카운트 병합 (이번에 쓴 키는 최근으로 옮기고 한도 초과분은 오래된 키부터 정리)
+ * @param {Object<string, number>} stored - 기존 tokenCounts
+ * @param {string[]} keys - 이번 캐시 키
+ * @param {number[]} counts - 이번 토큰 수
+ * @returns {Object<string, number>}
+ */
+function mergeStoredTokenCounts(stored, keys, counts) {
+    const merged = { ...stored };
+    keys.forEach((key, i) => {
+        delete merged[key];
+        merged[key] = counts[i];
+    });
+    const allKeys = Object.keys(merged);
+    for (const key of allKeys.slice(0, Math.max(0, allKeys.length - STORED_TOKEN_COUNT_LIMIT))) {
+        delete merged[key];
+    }
+    return merged;
+}
+
+// ===== 주입 계획 =====
+
+/**
+ * 주입 계획 생성 (실제 주입 / 미리보기 / 클립보드 복사가 모두 이 결과를 사용)
+ * 
+ * 선택 순서: 인계된 요약 → 핀 고정 요약 → 나머지 요약(아크 대체 후 선택 방식 순서) → 카탈로그 슬롯
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.ignoreBudget=false] - true면 토큰 예산을 무시하고 토큰도 세지 않음 (전체 복사용)
+ * @param {boolean} [options.persistTokenCounts=false] - true면 항목별 토큰 수를 채팅 데이터에 병합 저장 (실제 주입에서만)
+ * @returns {Promise<{
+ *   entries: Array<{type: 'legacy'|'summary'|'arc', key: number|string, included: boolean, reason: string, tokens: number, decayTier?: number|null}>,
+ *   sections: {header: number, legacy: number, summaries: number, characters: number, events: number, items: number},
+ *   slots: Array<{id: string, label: string, enabled: boolean, position: string, depth: number, role: string, tokenBudget: number, text: string, tokens: number, budget: number, skipped: boolean, requiredTokens: number}>,
+ *   skippedIndices: Set<number>,
+ *   relevanceIndices: Set<number>,
+ *   arcCoveredIndices: Map<number, string>,
+ *   text: string,
+ *   tokens: number
+ * }>}
+ */
+export async function buildInjectionPlan(options = {}) {
+    const { ignoreBudget = false, persistTokenCounts = false } = options;
+    const settings = getSettings();
+    
+    const summaries = getRelevantSummaries();
+    const legacySummaries = getLegacySummaries();
+    
+    const tokenBudget = settings.tokenBudget || 2000;
+    const getTokenCountAsync = getTokenCounter();
+    const summarySlot = getSlotSettings(settings, 'summaries');
+    const summaryBudget = ignoreBudget ? Infinity : getSlotBudget(summarySlot, tokenBudget);
+    const summaryTemplate = getInjectionTemplate(settings, 'summaries');
+    const templateValues = buildTemplateValues();
+    
+    const entries = [];
+    
+    // ===== 1단계: 후보 수집 =====
+    // 인계된 요약 (order 역순)
+    const legacyItems = [...legacySummaries]
+        .sort((a, b) => b.order - a.order)
+        .map(legacy => ({ order: legacy.order, content: String(legacy.content ?? '') }))
+        .filter(item => item.content.trim());
+    
+    // 현재 요약 분류 (pinned / normal), 숨김/무효화는 사유와 함께 제외
+    const summaryIndices = Object.keys(summaries).map(Number).sort((a, b) => b - a);
     const pinnedItems = [];
     const normalItems = [];
     
@@ -267,159 +908,257 @@ export async function injectSummaryToPrompt() {
         const summary = summaries[index];
         const content = String(summary?.content ?? summary ?? '');
         if (isGroupIncludedContent(content)) continue;
-        if (summary?.invalidated === true) continue;
-        if (summary?.hidden === true) continue; // 숨긴 요약은 주입하지 않음
+        
+        if (summary?.invalidated === true) {
+            entries.push({ type: 'summary', key: index, included: false, reason: 'invalidated', tokens: 0 });
+            continue;
+        }
+        if (summary?.hidden === true) {
+            entries.push({ type: 'summary', key: index, included: false, reason: 'hidden', tokens: 0 });
+            continue;
+        }
         
         if (summary?.pinned) {
-            pinnedItems.push({ index, content });
+            pinnedItems.push({ index, content, reason: 'pinned' });
         } else {
-            normalItems.push({ index, content });
+            normalItems.push({ index, content, memo: summary?.memo || '' });
         }
     }
     
-    // ===== 2단계: 일괄 토큰 추정 (1회 카운트) =====
-    const allTexts = [
-        summaryText,
-        ...legacyItems.map(l => l.content),
-        ...pinnedItems.map(p => p.content),
-        ...normalItems.map(n => n.content)
-    ];
-    const allTokenCounts = await batchCountTokens(allTexts, getTokenCountAsync);
+    // 요약 슬롯이 꺼져 있으면 모든 후보를 사유와 함께 제외
+    if (!summarySlot.enabled) {
+        for (const item of legacyItems) {
+            entries.push({ type: 'legacy', key: item.order, included: false, reason: 'slot-disabled', tokens: 0 });
+        }
+        for (const item of [...pinnedItems, ...normalItems]) {
+            entries.push({ type: 'summary', key: item.index, included: false, reason: 'slot-disabled', tokens: 0 });
+        }
+        legacyItems.length = 0;
+        pinnedItems.length = 0;
+        normalItems.length = 0;
+    }
     
-    let tokenIdx = 0;
-    let estimatedTokens = allTokenCounts[tokenIdx++]; // 헤더 토큰
-    let includedCount = 0;
-    let skippedCount = 0;
-    const includedLegacySummaries = [];
-    const includedSummaries = [];
-    _skippedSummaryIndices = new Set();
+    // ===== 2단계: 항목 렌더링 + 항목별 토큰 계산 (캐시 사용) =====
+    const templateHeader = getTemplateStaticText(summaryTemplate, templateValues);
+    const entryFormat = settings.injectionEntryFormat || DEFAULT_INJECTION_ENTRY_FORMAT;
+    const legacyFormat = settings.injectionLegacyEntryFormat || DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT;
     
-    // 1) 인계된 요약
+    // 예산 판단은 실제로 주입될 항목 텍스트(항목 포맷 적용 후) 기준
     for (const item of legacyItems) {
-        const contentTokens = allTokenCounts[tokenIdx++];
-        if (estimatedTokens + contentTokens > tokenBudget) {
-            skippedCount++;
-            continue;
-        }
-        includedLegacySummaries.push({ order: item.order, content: item.content, isLegacy: true });
-        estimatedTokens += contentTokens + 20;
-        includedCount++;
+        item.text = renderLegacyEntry(item.order, item.content, legacyFormat);
     }
-    
-    // 2a) 핀 고정 요약
     for (const item of pinnedItems) {
-        const contentTokens = allTokenCounts[tokenIdx++];
-        if (estimatedTokens + contentTokens > tokenBudget) {
-            skippedCount++;
-            _skippedSummaryIndices.add(item.index);
-            continue;
-        }
-        includedSummaries.push({ index: item.index, content: item.content });
-        estimatedTokens += contentTokens + 20;
-        includedCount++;
+        item.text = renderSummaryEntry(item.index, item.content, entryFormat);
     }
     
-    // 2b) 나머지 요약
+    // 세부 정보 감쇠: 최신순 순위에 따라 오래된 요약은 일부 카테고리만 주입 (핀 고정 요약은 항상 전체)
+    const decayTiers = getDetailDecayTiers(settings);
+    const recencyRank = new Map([...pinnedItems, ...normalItems]
+        .map(item => item.index)
+        .sort((a, b) => b - a)
+        .map((index, rank) => [index, rank]));
     for (const item of normalItems) {
-        const contentTokens = allTokenCounts[tokenIdx++];
-        if (estimatedTokens + contentTokens > tokenBudget) {
-            skippedCount++;
-            _skippedSummaryIndices.add(item.index);
-            continue;
-        }
-        includedSummaries.push({ index: item.index, content: item.content });
-        estimatedTokens += contentTokens + 20;
-        includedCount++;
-    }
-    
-    if (includedCount === 0) {
-        safeSetExtensionPrompt('', settings);
-        return;
+        const decay = decayTiers ? getDecayTierForRank(decayTiers, recencyRank.get(item.index)) : null;
+        item.decayTier = decay && decay.keys ? decay.tier : null;
+        item.text = renderSummaryEntry(item.index, item.content, entryFormat, decay?.keys || null, settings.categories);
     }
     
-    // ===== 3단계: 텍스트 조합 =====
-    includedLegacySummaries.sort((a, b) => a.order - b.order);
+    // 아크 롤업: 예산 계산 시에만 사용 (전체 복사는 원본 요약 그대로)
+    const arcMaxTier = Math.max(1, settings.arcMaxTier || 1);
+    const usableArcs = (!ignoreBudget && settings.arcRollupEnabled && normalItems.length > 0)
+        ? getArcs()
+            .filter(arc => (arc.tier || 1) <= arcMaxTier && getArcStatus(arc, summaries) === 'ok')
+            .map(arc => {
+                const content = `#${arc.startIndex}-${arc.endIndex}\n${arc.content}`;
+                return { ...arc, content, text: renderSummaryEntry(arc.startIndex, content, entryFormat) };
+            })
+        : [];
     
-    if (includedLegacySummaries.length > 0) {
-        summaryText += `--- PREVIOUS STORY ---\n`;
-        for (const { content } of includedLegacySummaries) {
-            let cleanedContent = cleanJsonBlocks(content);
-            cleanedContent = cleanCatalogSections(cleanedContent);
-            const rangeMatch = cleanedContent.match(/^#(\d+)-(\d+)/);
-            if (rangeMatch) {
-                cleanedContent = cleanedContent.replace(/^#\d+-\d+\n?/, '').trim();
-            }
-            summaryText += cleanedContent + "\n\n";
+    let headerTokens = 0;
+    if (!ignoreBudget) {
+        // 저장된 항목별 카운트(토크나이저 ID + 내용 해시 키)는 읽기만 하고, 실제 주입일 때만 병합 저장
+        const data = getSummaryData();
+        const stored = data?.tokenCounts || null;
+        const counted = [...legacyItems, ...pinnedItems, ...normalItems, ...usableArcs];
+        const { counts, keys } = await countTokensCached(counted.map(item => item.text), getTokenCountAsync, stored ? { ...stored } : null);
+        counted.forEach((item, i) => {
+            item.tokens = counts[i];
+        });
+        if (data && persistTokenCounts) {
+            data.tokenCounts = mergeStoredTokenCounts(stored || {}, keys, counts);
         }
-        summaryText += `--- CURRENT STORY ---\n`;
+        
+        headerTokens = (await countTokensCached([templateHeader], getTokenCountAsync)).counts[0];
     }
     
-    includedSummaries.sort((a, b) => a.index - b.index);
-    
-    for (const { index, content } of includedSummaries) {
-        let cleanedContent = cleanJsonBlocks(content);
-        const rangeMatch = cleanedContent.match(/^#(\d+)-(\d+)/);
-        if (rangeMatch) {
-            summaryText += `### #${rangeMatch[1]}~${rangeMatch[2]}\n`;
-            cleanedContent = cleanedContent.replace(/^#\d+-\d+\n?/, '').trim();
-        } else {
-            summaryText += `### #${index}\n`;
-        }
-        summaryText += cleanedContent + "\n\n";
+    // 예산 초과 시 오래된 요약 묶음을 아크로 대체
+    let substitutedItems = normalItems;
+    if (usableArcs.length > 0) {
+        const fixedTokens = headerTokens + [...legacyItems, ...pinnedItems].reduce((sum, item) => sum + item.tokens, 0);
+        substitutedItems = substituteArcs(normalItems, usableArcs, fixedTokens, summaryBudget, arcMaxTier);
     }
     
-    // 등장인물 / 이벤트 / 아이템 (각 1회 카운트)
-    const relevantCharacters = getRelevantCharacters();
-    if (Object.keys(relevantCharacters).length > 0) {
-        const charactersText = formatCharactersText(true);
-        if (charactersText) {
-            const charTokens = await countTokens(charactersText, getTokenCountAsync);
-            if (estimatedTokens + charTokens <= tokenBudget) {
-                summaryText += `\n--- CHARACTERS ---\n`;
-                summaryText += charactersText + "\n";
-                estimatedTokens += charTokens;
+    // 선택 방식(recency/relevance)에 따라 예산 적용 순서 결정
+    const orderedNormalItems = orderItemsForRetrieval(substitutedItems, settings);
+    
+    const candidates = [
+        ...legacyItems.map(item => ({ type: 'legacy', key: item.order, text: item.text, reason: 'legacy', tokens: item.tokens })),
+        ...pinnedItems.map(item => ({ type: 'summary', key: item.index, index: item.index, text: item.text, reason: item.reason, tokens: item.tokens })),
+        ...orderedNormalItems.map(item => item.isArc
+            ? { type: 'arc', key: item.arc.id, index: item.index, text: item.text, reason: item.reason, tokens: item.tokens, coveredIndices: item.coveredIndices }
+            : { type: 'summary', key: item.index, index: item.index, text: item.text, reason: item.reason, tokens: item.tokens, decayTier: item.decayTier ?? null })
+    ];
+    
+    const sections = { header: 0, legacy: 0, summaries: 0, characters: 0, events: 0, items: 0 };
+    let estimatedTokens = headerTokens;
+    const includedLegacy = [];
+    const includedSummaries = [];
+    const skippedIndices = new Set();
+    const relevanceIndices = new Set();
+    const arcCoveredIndices = new Map();
+    
+    // ===== 3단계: 예산 적용 =====
+    for (const candidate of candidates) {
+        const cost = ignoreBudget ? 0 : candidate.tokens;
+        
+        if (estimatedTokens + cost > summaryBudget) {
+            if (candidate.type === 'arc') {
+                // 아크가 빠지면 대체된 요약 전체가 미전달
+                for (const index of candidate.coveredIndices) {
+                    entries.push({ type: 'summary', key: index, included: false, reason: 'budget', tokens: 0 });
+                    skippedIndices.add(index);
+                }
             } else {
-                log(`Characters section skipped: would exceed token budget (+${charTokens} tokens)`);
+                entries.push({ type: candidate.type, key: candidate.key, included: false, reason: 'budget', tokens: cost });
+                if (candidate.type === 'summary') {
+                    skippedIndices.add(candidate.key);
+                }
             }
+            continue;
         }
-    }
-    
-    const eventsText = formatEventsText();
-    if (eventsText) {
-        const eventTokens = await countTokens(eventsText, getTokenCountAsync);
-        if (estimatedTokens + eventTokens <= tokenBudget) {
-            summaryText += `\n--- EVENTS ---\n`;
-            summaryText += eventsText + "\n";
-            estimatedTokens += eventTokens;
+        
+        estimatedTokens += cost;
+        
+        if (candidate.type === 'legacy') {
+            entries.push({ type: 'legacy', key: candidate.key, included: true, reason: candidate.reason, tokens: cost });
+            includedLegacy.push({ order: candidate.key, text: candidate.text });
+            sections.legacy += cost;
+        } else if (candidate.type === 'arc') {
+            entries.push({ type: 'arc', key: candidate.key, included: true, reason: 'arc', tokens: cost, coveredIndices: candidate.coveredIndices });
+            for (const index of candidate.coveredIndices) {
+                entries.push({ type: 'summary', key: index, included: false, reason: 'arc', tokens: 0, arcId: candidate.key });
+                arcCoveredIndices.set(index, candidate.key);
+            }
+            includedSummaries.push({ index: candidate.index, text: candidate.text });
+            sections.summaries += cost;
         } else {
-            log(`Events section skipped: would exceed token budget (+${eventTokens} tokens)`);
+            entries.push({ type: 'summary', key: candidate.key, included: true, reason: candidate.reason, tokens: cost, decayTier: candidate.decayTier ?? null });
+            includedSummaries.push({ index: candidate.index, text: candidate.text });
+            sections.summaries += cost;
+            if (candidate.reason === 'relevance') {
+                relevanceIndices.add(candidate.key);
+            }
         }
     }
     
-    const itemsText = formatItemsText();
-    if (itemsText) {
-        const itemTokens = await countTokens(itemsText, getTokenCountAsync);
-        if (estimatedTokens + itemTokens <= tokenBudget) {
-            summaryText += `\n--- ITEMS ---\n`;
-            summaryText += itemsText + "\n";
-            estimatedTokens += itemTokens;
-        } else {
-            log(`Items section skipped: would exceed token budget (+${itemTokens} tokens)`);
-        }
+    if (includedLegacy.length > 0 || includedSummaries.length > 0 || templateValues.current_state) {
+        sections.header = headerTokens;
     }
     
-    if (skippedCount > 0) {
-        log(`Token budget exceeded: included=${includedCount}, skipped=${skippedCount}`);
-    }
+    // ===== 4단계: 템플릿으로 요약 슬롯 텍스트 조합 =====
+    includedLegacy.sort((a, b) => a.order - b.order);
+    includedSummaries.sort((a, b) => a.index - b.index);
+    
+    templateValues.legacy = includedLegacy.map(item => item.text).join('');
+    templateValues.summaries = includedSummaries.map(item => item.text).join('');
+    
+    const summaryText = summarySlot.enabled ? renderInjectionTemplate(summaryTemplate, templateValues) : '';
     
-    // 프롬프트 주입
-    const success = safeSetExtensionPrompt(summaryText, settings);
+    // 슬롯 토큰은 추정치 대신 실제 렌더링 결과로 계산 (템플릿/매크로 포함)
+    const summaryTokens = (summaryText && !ignoreBudget) ? (await countTokensCached([summaryText], getTokenCountAsync)).counts[0] : 0;
     
-    if (success) {
-        const legacyCount = includedLegacySummaries.length;
-        const currentCount = includedSummaries.length;
-        log(`Summary injected: ${legacyCount} legacy + ${currentCount} current entries, ~${Math.round(estimatedTokens)} tokens`);
+    // ===== 5단계: 등장인물 / 이벤트 / 아이템 슬롯 (요약 이후 남은 전체 예산 공유) =====
+    const catalogSlots = await buildCatalogSlots(settings, templateValues, tokenBudget - summaryTokens, getTokenCountAsync, ignoreBudget);
+    for (const slot of catalogSlots) {
+        sections[slot.id] = slot.tokens;
     }
+    
+    const slots = [
+        { id: 'summaries', text: summaryText, tokens: summaryTokens, budget: summaryBudget, skipped: false },
+        ...catalogSlots
+    ].map(result => ({
+        ...getSlotSettings(settings, result.id),
+        id: result.id,
+        label: INJECTION_SLOTS[result.id].label,
+        text: result.text,
+        tokens: result.tokens,
+        budget: result.budget,
+        skipped: result.skipped,
+        requiredTokens: result.requiredTokens || 0
+    }));
+    
+    const activeSlots = slots.filter(slot => slot.enabled && slot.text);
+    
+    return {
+        entries,
+        sections,
+        slots,
+        skippedIndices,
+        relevanceIndices,
+        arcCoveredIndices,
+        text: activeSlots.map(slot => slot.text).join('\n'),
+        tokens: activeSlots.reduce((sum, slot) => sum + slot.tokens, 0)
+    };
+}
+
+/**
+ * 요약을 프롬프트에 주입
+ */
+export async function injectSummaryToPrompt() {
+    try {
+        const settings = getSettings();
+        
+        // 비활성화면 주입 제거
+        if (!settings.enabled) {
+            clearAllSlots(settings);
+            return;
+        }
+        
+        const context = getContext();
+        if (!context.chat || context.chat.length === 0) {
+            clearAllSlots(settings);
+            return;
+        }
+        
+        const plan = await buildInjectionPlan({ persistTokenCounts: true });
+        
+        // UI 참조용 상태 갱신
+        _skippedSummaryIndices = plan.skippedIndices;
+        _relevanceSelectedIndices = plan.relevanceIndices;
+        _arcCoveredIndices = plan.arcCoveredIndices;
+        
+        const skippedCount = plan.entries.filter(e => e.reason === 'budget').length;
+        if (skippedCount > 0) {
+            const includedCount = plan.entries.filter(e => e.included).length;
+            log(`Token budget exceeded: included=${includedCount}, skipped=${skippedCount}`);
+        }
+        
+        // 프롬프트 주입 (슬롯별)
+        let success = true;
+        for (const slot of plan.slots) {
+            if (slot.skipped) {
+                log(`${slot.id} slot skipped: would exceed token budget (+${slot.requiredTokens} tokens, budget ${slot.budget})`);
+            }
+            success = safeSetExtensionPrompt(slot.id, slot.text, settings) && success;
+        }
+        
+        if (success) {
+            const legacyCount = plan.entries.filter(e => e.included && e.type === 'legacy').length;
+            const currentCount = plan.entries.filter(e => e.included && e.type === 'summary').length;
+            const arcCount = plan.entries.filter(e => e.included && e.type === 'arc').length;
+            const arcNote = arcCount > 0 ? ` + ${arcCount} arcs (${plan.arcCoveredIndices.size} summaries rolled up)` : '';
+            log(`Summary injected: ${legacyCount} legacy + ${currentCount} current entries${arcNote}, ~${Math.round(plan.tokens)} tokens`);
+        }
     } catch (error) {
         logError('injectSummaryToPrompt', error, { 
             hasSettings: !!getSettings(),
@@ -434,164 +1173,37 @@ export async function injectSummaryToPrompt() {
  */
 export function clearInjection() {
     const settings = getSettings();
-    safeSetExtensionPrompt('', settings);
+    clearAllSlots(settings);
     log('요약 주입 제거됨');
 }
 
 /**
- * 현재 주입될 요약 텍스트 미리보기 (+ 토큰 수 캐시 반환)
+ * 현재 주입될 요약 텍스트 미리보기 (+ 토큰 수 반환)
+ * 실제 주입과 같은 주입 계획(buildInjectionPlan)을 사용
  * @param {Object} [options] - 옵션
  * @param {boolean} [options.ignoreBudget=false] - true면 토큰 예산 무시 (전체 복사용)
- * @returns {Promise<{text: string, tokens: number}>}
+ * @returns {Promise<{text: string, tokens: number, slots: Array, plan: Object|null}>}
  */
 export async function getInjectionPreview(options = {}) {
     const { ignoreBudget = false } = options;
     try {
         const settings = getSettings();
-        const summaries = getRelevantSummaries();
-        const legacySummaries = getLegacySummaries();
-        
-        const summaryIndices = Object.keys(summaries).map(Number).sort((a, b) => b - a);
-        const legacyOrders = legacySummaries.map(s => s.order).sort((a, b) => b - a);
+        const plan = await buildInjectionPlan({ ignoreBudget });
         
-        if (summaryIndices.length === 0 && legacyOrders.length === 0) {
-            return { text: "(주입할 요약 없음)", tokens: 0 };
+        if (!plan.text) {
+            return { text: "(주입할 요약 없음)", tokens: 0, slots: plan.slots, plan };
         }
         
-        const charName = getCharacterName();
-        const tokenBudget = settings.tokenBudget || 2000;
-        const getTokenCountAsync = getTokenCounter();
-    
-    let text = `# ${charName} Summary\n\n`;
-    
-    // 콘텐츠 수집
-    const legacyItems = [];
-    for (const order of legacyOrders) {
-        const legacy = legacySummaries.find(s => s.order === order);
-        if (!legacy) continue;
-        const content = String(legacy.content ?? '');
-        if (!content.trim()) continue;
-        legacyItems.push({ order, content });
-    }
-    
-    const currentItems = [];
-    for (const index of summaryIndices) {
-        const summary = summaries[index];
-        const content = String(summary?.content ?? summary ?? '');
-        if (isGroupIncludedContent(content)) continue;
-        if (summary?.hidden === true) continue; // 숨긴 요약은 미리보기에서도 제외
-        currentItems.push({ index, content });
-    }
-    
-    // 일괄 토큰 카운트 (ignoreBudget이 아닐 때만)
-    let tokenCounts = null;
-    let estimatedTokens = 0;
-    
-    if (!ignoreBudget) {
-        const allTexts = [text, ...legacyItems.map(l => l.content), ...currentItems.map(c => c.content)];
-        tokenCounts = await batchCountTokens(allTexts, getTokenCountAsync);
-        estimatedTokens = tokenCounts[0]; // 헤더
-    }
-    
-    const includedLegacySummaries = [];
-    const includedSummaries = [];
-    let skippedFromBudget = 0;
-    let tokenIdx = 1;
-    
-    // 인계 요약
-    for (const item of legacyItems) {
-        if (!ignoreBudget) {
-            const contentTokens = tokenCounts[tokenIdx++];
-            if (estimatedTokens + contentTokens > tokenBudget) {
-                skippedFromBudget++;
-                continue;
-            }
-            estimatedTokens += contentTokens + 20;
-        } else {
-            tokenIdx++;
-        }
-        includedLegacySummaries.push({ order: item.order, content: item.content });
-    }
-    
-    // 현재 요약
-    for (const item of currentItems) {
-        if (!ignoreBudget) {
-            const contentTokens = tokenCounts[tokenIdx++];
-            if (estimatedTokens + contentTokens > tokenBudget) {
-                skippedFromBudget++;
-                continue;
-            }
-            estimatedTokens += contentTokens + 20;
-        } else {
-            tokenIdx++;
-        }
-        includedSummaries.push({ index: item.index, content: item.content });
-    }
-    
-    // 텍스트 조합
-    includedLegacySummaries.sort((a, b) => a.order - b.order);
-    
-    if (includedLegacySummaries.length > 0) {
-        text += `--- PREVIOUS STORY ---\n`;
-        for (const { content } of includedLegacySummaries) {
-            let cleanedContent = cleanJsonBlocks(content);
-            const rangeMatch = cleanedContent.match(/^#(\d+)-(\d+)/);
-            if (rangeMatch) {
-                cleanedContent = cleanedContent.replace(/^#\d+-\d+\n?/, '').trim();
-            }
-            text += cleanedContent + "\n\n";
+        let text = plan.text;
+        const skippedFromBudget = plan.entries.filter(e => e.reason === 'budget').length;
+        if (skippedFromBudget > 0) {
+            const skippedLabel = settings.injectionRetrievalMode === 'relevance' ? '관련도 낮은' : '오래된';
+            text += `\n... (토큰 예산 초과로 ${skippedLabel} 요약 ${skippedFromBudget}개 생략) ...`;
         }
-        text += `--- CURRENT STORY ---\n`;
-    }
-    
-    includedSummaries.sort((a, b) => a.index - b.index);
-    
-    for (const { index, content } of includedSummaries) {
-        let cleanedContent = cleanJsonBlocks(content);
-        const rangeMatch = cleanedContent.match(/^#(\d+)-(\d+)/);
-        if (rangeMatch) {
-            text += `### #${rangeMatch[1]}~${rangeMatch[2]}\n`;
-            cleanedContent = cleanedContent.replace(/^#\d+-\d+\n?/, '').trim();
-        } else {
-            text += `### #${index}\n`;
-        }
-        text += cleanedContent + "\n\n";
-    }
-    
-    // 등장인물/이벤트/아이템
-    const relevantCharacters = getRelevantCharacters();
-    if (Object.keys(relevantCharacters).length > 0) {
-        const charactersText = formatCharactersText(true);
-        if (charactersText) {
-            text += `\n--- CHARACTERS ---\n`;
-            text += charactersText + "\n";
-        }
-    }
-    
-    const eventsText = formatEventsText();
-    if (eventsText) {
-        text += `\n--- EVENTS ---\n`;
-        text += eventsText + "\n";
-    }
-    
-    const itemsText = formatItemsText();
-    if (itemsText) {
-        text += `\n--- ITEMS ---\n`;
-        text += itemsText + "\n";
-    }
-    
-    if (skippedFromBudget > 0) {
-        text += `\n... (토큰 예산 초과로 오래된 요약 ${skippedFromBudget}개 생략) ...`;
-    }
-    
-    // 최종 토큰 카운트 (캐시에 저장)
-    if (!ignoreBudget) {
-        _tokenCache.tokens = estimatedTokens;
-    }
-    
-    return { text, tokens: estimatedTokens };
+        
+        return { text, tokens: plan.tokens, slots: plan.slots, plan };
     } catch (error) {
         logError('getInjectionPreview', error);
-        return { text: `(미리보기 생성 실패: ${error.message})`, tokens: 0 };
+        return { text: `(미리보기 생성 실패: ${error.message})`, tokens: 0, slots: [], plan: null };
     }
 }
@@ -0,0 +1,342 @@
+/**
+ * Scenario Summarizer - JSON 출력 모드
+ * 모델에게 엄격한 JSON 스키마로 요약/추출 결과를 받고,
+ * 기존 파서가 그대로 처리할 수 있는 텍스트 형식(#번호 섹션 + 추출 블록)으로 변환
+ */
+
+import { log } from './state.js';
+
+const IMPORTANCE_VALUES = ['high', 'medium', 'low'];
+
+/**
+ * 카테고리 형식 문자열("* 라벨: (설명)")에서 라벨 목록 추출
+ * @param {string} categoryFormat - buildCategoryFormat 결과
+ * @returns {string[]}
+ */
+export function getCategoryLabelsFromFormat(categoryFormat) {
+    const labels = [];
+    for (const line of String(categoryFormat || '').split('\n')) {
+        const match = line.match(/^\*\s*(.+?):\s*\(/);
+        if (match && !labels.includes(match[1].trim())) {
+            labels.push(match[1].trim());
+        }
+    }
+    return labels.length > 0 ? labels : ['Scenario'];
+}
+
+/**
+ * 요약 응답 JSON 스키마 생성 (response_format / json_schema 용)
+ * @param {string[]} categoryLabels - 카테고리 라벨
+ * @param {{characters: boolean, events: boolean, items: boolean}} extraction - 추출 항목 활성화 여부
+ * @returns {{name: string, strict: boolean, value: Object}}
+ */
+export function buildSummaryJsonSchema(categoryLabels, extraction) {
+    const fieldProperties = {};
+    for (const label of categoryLabels) {
+        fieldProperties[label] = { type: 'string' };
+    }
+    
+    const properties = {
+        entries: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Message number "#12" or batch range "#10-14"' },
+                    fields: { type: 'object', properties: fieldProperties, required: categoryLabels }
+                },
+                required: ['id', 'fields']
+            }
+        }
+    };
+    
+    if (extraction.characters) {
+        properties.characters = {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    role: { type: 'string' },
+                    age: { type: 'string' },
+                    occupation: { type: 'string' },
+                    appearance: { type: 'string' },
+                    traits: { type: 'array', items: { type: 'string' } },
+                    relationship: { type: 'string' },
+                    firstAppearance: { type: 'integer' }
+                },
+                required: ['name']
+            }
+        };
+    }
+    
+    if (extraction.events) {
+        properties.events = {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    participants: { type: 'array', items: { type: 'string' } },
+                    importance: { type: 'string', enum: IMPORTANCE_VALUES },
+                    messageIndex: { type: 'integer' }
+                },
+                required: ['title']
+            }
+        };
+    }
+    
+    if (extraction.items) {
+        properties.items = {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    description: { type: 'string' },
+                    owner: { type: 'string' },
+                    origin: { type: 'string' },
+                    status: { type: 'string' },
+                    messageIndex: { type: 'integer' }
+                },
+                required: ['name']
+            }
+        };
+    }
+    
+    return {
+        name: 'scenario_summary',
+        strict: false,
+        value: { type: 'object', properties, required: Object.keys(properties) }
+    };
+}
+
+/**
+ * JSON 출력 형식 프롬프트 블록 (텍스트 출력 형식 대신 사용)
+ * @param {string[]} ids - 출력해야 할 항목 ID ("#12" 또는 "#10-14")
+ * @param {string} categoryFormat - buildCategoryFormat 결과 (라벨별 작성 지침)
+ * @param {{characters: boolean, events: boolean, items: boolean}} extraction - 추출 항목 활성화 여부
+ * @returns {string}
+ */
+export function buildJsonOutputBlock(ids, categoryFormat, extraction) {
+    const labels = getCategoryLabelsFromFormat(categoryFormat);
+    const exampleFields = labels.map(label => `"${label}": "..."`).join(', ');
+    
+    let block = `
+## Output Format (MANDATORY - JSON ONLY)
+**Respond with a single JSON object and nothing else. No markdown, no code fences, no commentary.**
+**"entries" MUST contain exactly one entry for EACH of these ids, in order: ${ids.join(', ')}**
+
+Field guide for "fields" (write each value as plain text):
+${categoryFormat}
+Schema:
+{
+  "entries": [ { "id": "${ids[0] || '#0'}", "fields": { ${exampleFields} } } ]`;
+    
+    if (extraction.characters) {
+        block += `,
+  "characters": [ { "name": "", "role": "", "age": "", "occupation": "", "appearance": "", "traits": [""], "relationship": "relationship with {{user}} (\\"self\\" if the character IS {{user}})", "firstAppearance": 0 } ]`;
+    }
+    if (extraction.events) {
+        block += `,
+  "events": [ { "title": "", "description": "", "participants": [""], "importance": "high|medium|low", "messageIndex": 0 } ]`;
+    }
+    if (extraction.items) {
+        block += `,
+  "items": [ { "name": "", "description": "", "owner": "", "origin": "", "status": "", "messageIndex": 0 } ]`;
+    }
+    block += `
+}
+`;
+    
+    if (extraction.characters) {
+        block += `- characters: new characters with full info; existing characters only on SIGNIFICANT change. No temporary states. Empty array if none.\n`;
+    }
+    if (extraction.events) {
+        block += `- events: follow the event criteria above. Empty array if none.\n`;
+    }
+    if (extraction.items) {
+        block += `- items: follow the item criteria above. Empty array if none.\n`;
+    }
+    
+    return block;
+}
+
+/**
+ * 잘린 JSON 끝부분 보정: 열린 문자열/괄호를 닫고 끊긴 키/콤마 제거
+ * @param {string} text
+ * @returns {string}
+ */
+function closeTruncatedJson(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    
+    for (const ch of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+        else if (ch === '}' || ch === ']') stack.pop();
+    }
+    
+    let repaired = text;
+    if (inString) {
+        repaired = repaired.replace(/\\$/, '') + '"';
+    }
+    // 객체 안에서 콜론 없이 끝난 키 제거 (배열의 문자열 값은 유지)
+    if (stack[stack.length - 1] === '}') {
+        repaired = repaired.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*$/, '$1');
+    }
+    // 값 없이 끝난 키 / 끝의 콤마 정리
+    repaired = repaired
+        .replace(/,\s*"[^"]*"\s*:\s*$/, '')
+        .replace(/:\s*$/, ': null')
+        .replace(/,\s*$/, '');
+    
+    return repaired + stack.reverse().join('');
+}
+
+/**
+ * 모델 응답에서 JSON 객체 파싱 (코드펜스/앞뒤 잡담/끝 콤마/잘린 응답 보정)
+ * @param {string} response - API 응답
+ * @returns {{data: Object, truncated: boolean}|null} - truncated: 잘린 끝부분을 닫아서 파싱함 / 파싱 실패 시 null
+ */
+export function parseJsonResponse(response) {
+    if (!response) return null;
+    
+    let text = String(response).trim();
+    const fence = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fence) {
+        text = fence[1].trim();
+    }
+    
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+    text = text.slice(start);
+    
+    const end = text.lastIndexOf('}');
+    const candidates = [];
+    if (end !== -1) {
+        candidates.push({ text: text.slice(0, end + 1), truncated: false });
+    }
+    candidates.push({ text: closeTruncatedJson(text), truncated: true });
+    
+    for (const candidate of candidates) {
+        for (const attempt of [candidate.text, candidate.text.replace(/,\s*([}\]])/g, '$1')]) {
+            try {
+                const parsed = JSON.parse(attempt);
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    return { data: parsed, truncated: candidate.truncated };
+                }
+            } catch (e) {
+                // 다음 후보 시도
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * 항목 ID 정규화 ("12", "#12", "[#10-14]", "#10~14" → "#12", "#10-14")
+ * @param {*} id
+ * @returns {string|null}
+ */
+function normalizeEntryId(id) {
+    const match = String(id ?? '').match(/(\d+)(?:\s*[-~]\s*(\d+))?/);
+    if (!match) return null;
+    return match[2] !== undefined ? `#${match[1]}-${match[2]}` : `#${match[1]}`;
+}
+
+/**
+ * JSON 응답을 기존 텍스트 파서 형식으로 변환
+ * - entries → "#번호\n* 라벨: 내용" 섹션
+ * - characters/events/items → [CHARACTERS]/[EVENTS]/[ITEMS] JSON 블록 (기존 추출기가 저장)
+ * @param {Object} data - parseJsonResponse 결과
+ * @returns {string}
+ */
+export function jsonResponseToText(data) {
+    const sections = [];
+    
+    for (const entry of Array.isArray(data.entries) ? data.entries : []) {
+        const id = normalizeEntryId(entry?.id);
+        if (!id) continue;
+        
+        const fields = entry.fields && typeof entry.fields === 'object' ? entry.fields : {};
+        const lines = Object.entries(fields)
+            .map(([label, value]) => [label, Array.isArray(value) ? value.join(', ') : String(value ?? '').trim()])
+            .filter(([, value]) => value)
+            .map(([label, value]) => `* ${label}: ${value}`);
+        sections.push(`${id}\n${lines.join('\n')}`);
+    }
+    
+    let text = sections.join('\n\n');
+    
+    const characters = {};
+    for (const char of Array.isArray(data.characters) ? data.characters : []) {
+        if (!char?.name) continue;
+        characters[char.name] = {
+            role: char.role || '',
+            age: char.age ? String(char.age) : '',
+            occupation: char.occupation || '',
+            description: char.appearance || char.description || '',
+            traits: Array.isArray(char.traits) ? char.traits.filter(Boolean) : String(char.traits || '').split(',').map(t => t.trim()).filter(Boolean),
+            relationshipWithUser: char.relationship || char.relationshipWithUser || '',
+            ...(Number.isInteger(char.firstAppearance) ? { firstAppearance: char.firstAppearance } : {})
+        };
+    }
+    if (Object.keys(characters).length > 0) {
+        text += `\n\n[CHARACTERS]\n${JSON.stringify(characters)}\n[/CHARACTERS]`;
+    }
+    
+    const events = (Array.isArray(data.events) ? data.events : [])
+        .filter(event => event?.title)
+        .map(event => ({
+            ...event,
+            importance: IMPORTANCE_VALUES.includes(String(event.importance).toLowerCase()) ? String(event.importance).toLowerCase() : 'high',
+            messageIndex: Number.isInteger(event.messageIndex) ? event.messageIndex : null
+        }));
+    if (events.length > 0) {
+        text += `\n\n[EVENTS]\n${JSON.stringify({ events })}\n[/EVENTS]`;
+    }
+    
+    const items = (Array.isArray(data.items) ? data.items : [])
+        .filter(item => item?.name)
+        .map(item => ({ ...item, messageIndex: Number.isInteger(item.messageIndex) ? item.messageIndex : null }));
+    if (items.length > 0) {
+        text += `\n\n[ITEMS]\n${JSON.stringify({ items })}\n[/ITEMS]`;
+    }
+    
+    return text;
+}
+
+/**
+ * JSON 모드 응답 정규화: 파싱(보정 포함)에 성공하면 텍스트 형식으로 변환,
+ * 실패하면 원문 그대로 반환 (기존 텍스트 파서 → 누락 재요청으로 이어짐)
+ * @param {string} response - API 응답
+ * @returns {string}
+ */
+export function normalizeJsonSummaryResponse(response) {
+    const parsed = parseJsonResponse(response);
+    if (!parsed || !Array.isArray(parsed.data.entries)) {
+        log(`JSON output mode: response is not valid JSON, falling back to text parsing`);
+        return response;
+    }
+    
+    const { data, truncated } = parsed;
+    // 잘린 응답: entries 뒤의 키(추출 배열)가 없으면 마지막 항목이 끊겼을 수 있으므로 버리고 누락 재요청에 맡김
+    const entriesComplete = Object.keys(data).some(key => key !== 'entries');
+    if (truncated && !entriesComplete && data.entries.length > 0) {
+        const dropped = data.entries.pop();
+        log(`JSON output mode: response was truncated, dropping last entry ${dropped?.id ?? ''}`);
+    }
+    
+    log(`JSON output mode: parsed ${data.entries.length} entries`);
+    return jsonResponseToText(data);
+}
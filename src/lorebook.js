@@ -0,0 +1,469 @@
+/**
+ * Scenario Summarizer - 로어북(월드인포) 연동
+ * 등장인물/이벤트/아이템 도감을 SillyTavern World Info 항목으로 변환해
+ * ST의 키워드 활성화가 항목별 삽입 여부를 결정하도록 함
+ */
+
+import { getContext } from "../../../../extensions.js";
+// ST 버전에 따라 없는 함수가 있을 수 있으므로 네임스페이스로 가져와 사용 시점에 확인
+import * as worldInfoModule from "../../../../world-info.js";
+import { log, getSettings } from './state.js';
+import {
+    getRelevantCharacters, getRelevantEvents, getRelevantItems, getBoundLorebook,
+    getCharacters, getCharacter, setCharacter, getItems, addItem, updateItem, getNotes, addNote, updateNote, hashText
+} from './storage.js';
+import { showToast } from './ui.js';
+
+// 이 확장이 관리하는 항목 표시 (comment 접두어) - 동기화 시 사용자가 만든 항목은 건드리지 않음
+export const LOREBOOK_COMMENT_PREFIX = '[Scenario Summarizer]';
+
+const ENTRY_KIND_LABELS = {
+    character: 'Character',
+    event: 'Event',
+    item: 'Item'
+};
+
+// 새 항목 기본값 (SillyTavern World Info 항목 형식)
+const LOREBOOK_ENTRY_DEFAULTS = {
+    key: [],
+    keysecondary: [],
+    comment: '',
+    content: '',
+    constant: false,
+    vectorized: false,
+    selective: true,
+    selectiveLogic: 0,
+    addMemo: true,
+    order: 100,
+    position: 0,
+    disable: false,
+    excludeRecursion: false,
+    preventRecursion: false,
+    delayUntilRecursion: false,
+    probability: 100,
+    useProbability: true,
+    depth: 4,
+    group: '',
+    groupOverride: false,
+    groupWeight: 100,
+    scanDepth: null,
+    caseSensitive: null,
+    matchWholeWords: null,
+    useGroupScoring: null,
+    automationId: '',
+    role: null,
+    sticky: 0,
+    cooldown: 0,
+    delay: 0
+};
+
+/**
+ * 관리 항목 comment 생성
+ * @param {string} kind - 'character' | 'event' | 'item'
+ * @param {string} name - 항목 이름
+ * @returns {string}
+ */
+function getManagedComment(kind, name) {
+    return `${LOREBOOK_COMMENT_PREFIX} ${ENTRY_KIND_LABELS[kind]}: ${name}`;
+}
+
+/**
+ * 등장인물 항목 내용
+ */
+function formatCharacterContent(char) {
+    const lines = [];
+    const details = [char.role, char.age, char.occupation].filter(Boolean);
+    lines.push(details.length > 0 ? `${char.name} (${details.join(', ')})` : char.name);
+    if (char.relationshipWithUser) lines.push(`Relationship with {{user}}: ${char.relationshipWithUser}`);
+    if (char.traits && char.traits.length > 0) lines.push(`Traits: ${char.traits.join(', ')}`);
+    if (char.description) lines.push(char.description);
+    return lines.join('\n');
+}
+
+/**
+ * 이벤트 항목 내용
+ */
+function formatEventContent(event) {
+    const importance = (event.importance || 'medium').toUpperCase();
+    const position = (event.messageIndex !== null && event.messageIndex !== undefined) ? ` (#${event.messageIndex})` : '';
+    const lines = [`[Event - ${importance}] ${event.title}${position}`];
+    if (event.participants && event.participants.length > 0) lines.push(`Participants: ${event.participants.join(', ')}`);
+    if (event.description) lines.push(event.description);
+    return lines.join('\n');
+}
+
+/**
+ * 아이템 항목 내용
+ */
+function formatItemContent(item) {
+    let header = `[Item] ${item.name}`;
+    if (item.status) header += ` [${item.status}]`;
+    if (item.owner) header += ` (owner: ${item.owner})`;
+    const lines = [header];
+    if (item.description) lines.push(item.description);
+    if (item.origin) lines.push(`Origin: ${item.origin}`);
+    return lines.join('\n');
+}
+
+/**
+ * 현재 분기의 도감을 로어북 항목 정의로 변환
+ * @returns {Array<{comment: string, key: string[], content: string}>}
+ */
+export function buildCatalogLorebookEntries() {
+    const entries = [];
+    
+    for (const [key, char] of Object.entries(getRelevantCharacters())) {
+        if (!char || typeof char !== 'object') continue;
+        const name = char.name || key;
+        const aliases = Array.isArray(char.aliases) ? char.aliases : [];
+        entries.push({
+            comment: getManagedComment('character', name),
+            key: [...new Set([name, ...aliases].map(k => String(k).trim()).filter(Boolean))],
+            content: formatCharacterContent({ ...char, name })
+        });
+    }
+    
+    for (const event of getRelevantEvents()) {
+        if (!event?.title) continue;
+        entries.push({
+            comment: getManagedComment('event', event.title),
+            key: [event.title.trim()],
+            content: formatEventContent(event)
+        });
+    }
+    
+    for (const item of getRelevantItems()) {
+        if (!item?.name) continue;
+        entries.push({
+            comment: getManagedComment('item', item.name),
+            key: [item.name.trim()],
+            content: formatItemContent(item)
+        });
+    }
+    
+    return entries;
+}
+
+/**
+ * 도감 전체를 World Info JSON(로어북 파일)으로 변환
+ * @returns {string} - JSON 문자열
+ */
+export function exportCatalogsAsLorebook() {
+    const entries = {};
+    buildCatalogLorebookEntries().forEach((definition, uid) => {
+        entries[uid] = { ...LOREBOOK_ENTRY_DEFAULTS, ...definition, uid, displayIndex: uid };
+    });
+    return JSON.stringify({ entries }, null, 2);
+}
+
+/**
+ * 사용 가능한 로어북 이름 목록
+ * @returns {Promise<string[]>}
+ */
+export async function getLorebookNames() {
+    const { world_names } = worldInfoModule;
+    return Array.isArray(world_names) ? [...world_names] : [];
+}
+
+/**
+ * 새 로어북 생성
+ * @param {string} name - 로어북 이름
+ * @returns {Promise<boolean>}
+ */
+export async function createLorebook(name) {
+    const { createNewWorldInfo } = worldInfoModule;
+    return await createNewWorldInfo(name, { interactive: false }) !== false;
+}
+
+/**
+ * 도감을 로어북에 동기화
+ * 이 확장이 만든 항목(comment 접두어)만 추가/갱신/삭제하며, 갱신 시 키와 내용만 바꾸고
+ * 사용자가 조정한 위치/순서/확률 등은 유지
+ * @param {string} name - 로어북 이름
+ * @returns {Promise<{added: number, updated: number, removed: number}>}
+ */
+export async function syncCatalogsToLorebook(name) {
+    const { loadWorldInfo, saveWorldInfo, reloadEditor } = worldInfoModule;
+    
+    const book = await loadWorldInfo(name);
+    if (!book || typeof book.entries !== 'object') {
+        throw new Error(`로어북을 불러올 수 없습니다: ${name}`);
+    }
+    
+    const managed = new Map();
+    for (const [uid, entry] of Object.entries(book.entries)) {
+        if (String(entry?.comment || '').startsWith(LOREBOOK_COMMENT_PREFIX)) {
+            managed.set(entry.comment, uid);
+        }
+    }
+    
+    let nextUid = Math.max(-1, ...Object.keys(book.entries).map(Number).filter(n => !isNaN(n))) + 1;
+    const result = { added: 0, updated: 0, removed: 0 };
+    const seen = new Set();
+    
+    for (const definition of buildCatalogLorebookEntries()) {
+        if (seen.has(definition.comment)) continue;
+        seen.add(definition.comment);
+        
+        const uid = managed.get(definition.comment);
+        if (uid !== undefined) {
+            const entry = book.entries[uid];
+            if (entry.content !== definition.content || JSON.stringify(entry.key) !== JSON.stringify(definition.key)) {
+                entry.key = definition.key;
+                entry.content = definition.content;
+                result.updated++;
+            }
+        } else {
+            book.entries[nextUid] = { ...LOREBOOK_ENTRY_DEFAULTS, ...definition, uid: nextUid, displayIndex: nextUid };
+            nextUid++;
+            result.added++;
+        }
+    }
+    
+    // 도감에서 사라진 관리 항목 삭제
+    for (const [comment, uid] of managed) {
+        if (!seen.has(comment)) {
+            delete book.entries[uid];
+            result.removed++;
+        }
+    }
+    
+    if (result.added > 0 || result.updated > 0 || result.removed > 0) {
+        await saveWorldInfo(name, book, true);
+        if (typeof reloadEditor === 'function') {
+            reloadEditor(name);
+        }
+    }
+    
+    log(`Lorebook sync (${name}): +${result.added} ~${result.updated} -${result.removed}`);
+    return result;
+}
+
+let autoSyncPromise = null;
+
+/**
+ * 요약 후 자동 동기화 (연결된 로어북이 있고 설정이 켜져 있을 때만, 중복 실행 방지)
+ */
+export async function autoSyncLorebook() {
+    const settings = getSettings();
+    const name = getBoundLorebook();
+    if (!settings.lorebookAutoSync || !name || autoSyncPromise) return;
+    
+    autoSyncPromise = syncCatalogsToLorebook(name)
+        .catch(error => {
+            // 로어북이 최신이 아니게 되므로 수동 동기화와 같이 토스트로 알림 (에러 로그에도 기록)
+            showToast('error', `'${name}' 로어북 자동 동기화 실패`, { error, context: 'autoSyncLorebook', details: { lorebook: name } });
+        })
+        .finally(() => {
+            autoSyncPromise = null;
+        });
+    await autoSyncPromise;
+}
+
+// ===== 로어북 가져오기 =====
+
+/**
+ * 현재 채팅에서 활성화된 로어북 이름 (전역 선택 + 채팅 연결 + 캐릭터 로어북)
+ * @returns {Promise<string[]>}
+ */
+export async function getActiveLorebookNames() {
+    const context = getContext();
+    const { selected_world_info, world_info } = worldInfoModule;
+    const names = Array.isArray(selected_world_info) ? [...selected_world_info] : [];
+    
+    const chatLore = context.chatMetadata?.world_info;
+    if (chatLore) names.push(chatLore);
+    
+    const character = context.characters?.[context.characterId];
+    if (character?.data?.extensions?.world) {
+        names.push(character.data.extensions.world);
+    }
+    
+    // 캐릭터에 추가로 연결된 로어북
+    const charFileName = String(character?.avatar || '').replace(/\.[^/.]+$/, '');
+    const extraBooks = world_info?.charLore?.find(lore => lore.name === charFileName)?.extraBooks;
+    if (Array.isArray(extraBooks)) names.push(...extraBooks);
+    
+    return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * 도감 항목의 원본 로어북 링크 목록
+ * @returns {Map<string, {kind: string, id: string, hash: string}>} - "로어북:uid" → 연결된 도감 항목
+ */
+function getCatalogSourceLinks() {
+    const links = new Map();
+    for (const [name, char] of Object.entries(getCharacters())) {
+        if (char?.source) links.set(`${char.source.book}:${char.source.uid}`, { kind: 'character', id: name, hash: char.source.hash });
+    }
+    for (const item of getItems()) {
+        if (item?.source) links.set(`${item.source.book}:${item.source.uid}`, { kind: 'item', id: item.id, hash: item.source.hash });
+    }
+    for (const note of getNotes()) {
+        if (note?.source) links.set(`${note.source.book}:${note.source.uid}`, { kind: 'note', id: note.id, hash: note.source.hash });
+    }
+    return links;
+}
+
+/**
+ * 도감 항목에서 원본 링크 제거 (다른 종류로 다시 가져올 때)
+ * @param {{kind: string, id: string}} link
+ */
+function unlinkCatalogEntry(link) {
+    if (link.kind === 'character') {
+        const char = getCharacter(link.id);
+        if (char) char.source = null;
+    } else if (link.kind === 'item') {
+        updateItem(link.id, { source: null });
+    } else if (link.kind === 'note') {
+        updateNote(link.id, { source: null });
+    }
+}
+
+/**
+ * 활성 로어북 항목을 가져오기 후보로 수집 (이 확장이 동기화한 항목은 제외)
+ * status: 'new' (처음), 'same' (가져온 뒤 변경 없음), 'changed' (가져온 뒤 원본이 바뀜)
+ * @returns {Promise<Array<{book: string, uid: number, title: string, keys: string[], content: string, hash: string, link: Object|null, status: string}>>}
+ */
+export async function collectLorebookImportCandidates() {
+    const { loadWorldInfo } = worldInfoModule;
+    const links = getCatalogSourceLinks();
+    const candidates = [];
+    
+    for (const book of await getActiveLorebookNames()) {
+        const data = await loadWorldInfo(book);
+        if (!data || typeof data.entries !== 'object') continue;
+        
+        for (const entry of Object.values(data.entries)) {
+            const content = String(entry?.content || '').trim();
+            if (!content) continue;
+            if (String(entry.comment || '').startsWith(LOREBOOK_COMMENT_PREFIX)) continue;
+            
+            const keys = (Array.isArray(entry.key) ? entry.key : [])
+                .map(k => String(k).trim())
+                .filter(Boolean);
+            const title = String(entry.comment || '').trim() || keys[0] || `#${entry.uid}`;
+            const hash = hashText(JSON.stringify([keys, content]));
+            const link = links.get(`${book}:${entry.uid}`) || null;
+            
+            candidates.push({
+                book,
+                uid: entry.uid,
+                title,
+                keys,
+                content,
+                hash,
+                link,
+                status: !link ? 'new' : (link.hash === hash ? 'same' : 'changed')
+            });
+        }
+    }
+    
+    return candidates;
+}
+
+/**
+ * 선택한 종류로 로어북 항목을 도감에 가져오기
+ * 이미 같은 종류로 연결된 항목은 원본 내용으로 갱신하고, 다른 종류로 바꾸면 새로 만듦
+ * @param {Array<{candidate: Object, kind: string}>} selections - kind: 'character' | 'item' | 'note' | 'ignore'
+ * @returns {{created: number, updated: number}}
+ */
+export function applyLorebookImport(selections) {
+    const result = { created: 0, updated: 0 };
+    
+    for (const { candidate, kind } of selections) {
+        if (kind === 'ignore') continue;
+        
+        const source = { book: candidate.book, uid: candidate.uid, hash: candidate.hash };
+        const link = candidate.link;
+        
+        if (link && link.kind === kind) {
+            if (candidate.status === 'same') continue;
+            if (kind === 'character') {
+                const aliases = candidate.keys.filter(k => k !== link.id);
+                setCharacter(link.id, { description: candidate.content, aliases, source });
+            } else if (kind === 'item') {
+                updateItem(link.id, { description: candidate.content, source });
+            } else {
+                updateNote(link.id, { title: candidate.title, content: candidate.content, source });
+            }
+            result.updated++;
+            continue;
+        }
+        
+        if (link) unlinkCatalogEntry(link);
+        
+        if (kind === 'character') {
+            // 같은 이름의 인물이 이미 있으면 직접 작성한 설명은 유지하고 링크만 추가
+            const existing = getCharacter(candidate.title);
+            const aliases = [...new Set([...(existing?.aliases || []), ...candidate.keys.filter(k => k !== candidate.title)])];
+            setCharacter(candidate.title, {
+                description: existing?.description || candidate.content,
+                aliases,
+                source
+            });
+        } else if (kind === 'item') {
+            const item = addItem({ name: candidate.title, description: candidate.content });
+            if (item) updateItem(item.id, { source });
+        } else {
+            addNote({ title: candidate.title, content: candidate.content, source });
+        }
+        result.created++;
+    }
+    
+    log(`Lorebook import: created ${result.created}, updated ${result.updated}`);
+    return result;
+}
+
+// ===== 요약 범위 기준 월드인포 활성화 =====
+
+/**
+ * 요약할 메시지 범위에서 활성화되는 월드인포 항목 찾기
+ * SillyTavern의 checkWorldInfo를 드라이런으로 실행해 실제 주입과 같은 규칙(재귀, 확률, 포함 그룹, 스캔 깊이, 지연/고정 등)을 그대로 적용
+ * 이 확장이 동기화한 도감 항목은 제외
+ * @param {string[]} texts - 요약할 메시지 텍스트 배열 (오래된 순)
+ * @returns {Promise<Array<{book: string, uid: number, title: string, content: string}>>} - order 내림차순
+ */
+export async function getActivatedWorldInfoEntries(texts) {
+    const { checkWorldInfo } = worldInfoModule;
+    if (typeof checkWorldInfo !== 'function') {
+        log('checkWorldInfo not available, skipping World Info');
+        return [];
+    }
+    
+    const context = getContext();
+    // ST는 최신 메시지가 앞에 오는 배열을 스캔
+    const chatForScan = [...texts].reverse();
+    const globalScanData = {
+        personaDescription: '',
+        characterDescription: '',
+        characterPersonality: '',
+        characterDepthPrompt: '',
+        scenario: '',
+        creatorNotes: '',
+        trigger: 'normal'
+    };
+    // isDryRun = true: 지연/고정/쿨다운 상태를 바꾸지 않고 WORLD_INFO_ACTIVATED 이벤트도 보내지 않음
+    const result = await checkWorldInfo(chatForScan, context?.maxContext || 4096, true, globalScanData);
+    if (!result?.allActivatedEntries) {
+        log('checkWorldInfo did not return activated entries, skipping World Info');
+        return [];
+    }
+    
+    const activated = [];
+    for (const entry of result.allActivatedEntries.values()) {
+        if (!entry || !String(entry.content || '').trim()) continue;
+        if (String(entry.comment || '').startsWith(LOREBOOK_COMMENT_PREFIX)) continue;
+        
+        const keys = Array.isArray(entry.key) ? entry.key : [];
+        activated.push({
+            book: entry.world || '',
+            uid: entry.uid,
+            title: String(entry.comment || '').trim() || String(keys[0] || `#${entry.uid}`),
+            content: String(entry.content).trim(),
+            order: entry.order ?? 100
+        });
+    }
+    
+    return activated.sort((a, b) => b.order - a.order);
+}
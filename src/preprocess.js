@@ -0,0 +1,125 @@
+/**
+ * Scenario Summarizer - 메시지 전처리
+ * 요약 프롬프트에 넣기 전 메시지 본문에서 상태창, 추론 블록, 코드 블록 등을 정리
+ * 원본 메시지는 변경하지 않음
+ */
+
+import { log, getSettings } from './state.js';
+
+// <think>/<thinking>/<reasoning> 블록 (닫히지 않은 블록은 끝까지)
+const REASONING_BLOCK_PATTERN = /<(think|thinking|reasoning)>[\s\S]*?(?:<\/\1>|$)/gi;
+
+// ``` 또는 ~~~ 코드 블록
+const CODE_BLOCK_PATTERN = /(```|~~~)[^\n]*\n[\s\S]*?(?:\1|$)/g;
+
+// 내용까지 제거할 HTML 요소
+const HTML_CONTENT_BLOCK_PATTERN = /<(style|script)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const HTML_TAG_PATTERN = /<\/?[a-zA-Z][\w:-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/g;
+const HTML_LINE_BREAK_PATTERN = /<br\s*\/?>/gi;
+
+const ALLOWED_FLAGS = /^[gimsuy]*$/;
+
+// 컴파일된 규칙 캐시 (pattern + flags → RegExp)
+const compiledRules = new Map();
+
+/**
+ * 전처리 규칙의 정규식 컴파일
+ * @param {{pattern: string, flags?: string}} rule
+ * @returns {{regex: RegExp|null, error: string|null}}
+ */
+export function compilePreprocessRule(rule) {
+    const pattern = String(rule?.pattern ?? '');
+    const flags = String(rule?.flags ?? 'g');
+    if (!pattern) return { regex: null, error: '패턴이 비어 있습니다' };
+    if (!ALLOWED_FLAGS.test(flags)) return { regex: null, error: `지원하지 않는 플래그: ${flags}` };
+    
+    const cacheKey = `${flags}/${pattern}`;
+    if (compiledRules.has(cacheKey)) return compiledRules.get(cacheKey);
+    
+    let compiled;
+    try {
+        compiled = { regex: new RegExp(pattern, flags), error: null };
+    } catch (e) {
+        compiled = { regex: null, error: e.message };
+    }
+    compiledRules.set(cacheKey, compiled);
+    return compiled;
+}
+
+/**
+ * 연속된 빈 줄 정리
+ * @param {string} text
+ * @returns {string}
+ */
+function collapseBlankLines(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 메시지 전처리 단계별 결과 (규칙 테스트용)
+ * 순서: 추론 제거 → 코드 블록 제거 → 사용자 규칙(순서대로) → HTML 태그 제거
+ * @param {Object} msg - 채팅 메시지
+ * @param {Object} [settings] - 확장 설정 (없으면 현재 설정)
+ * @returns {Array<{label: string, text: string, ruleIndex?: number, error?: string}>} - 첫 항목은 원본
+ */
+export function getPreprocessSteps(msg, settings = getSettings()) {
+    let text = String(msg?.mes ?? '');
+    const steps = [{ label: '원본', text }];
+    const push = (label, nextText, extra = {}) => {
+        text = nextText;
+        steps.push({ label, text, ...extra });
+    };
+    
+    if (settings.preprocessStripReasoning) {
+        let stripped = text.replace(REASONING_BLOCK_PATTERN, '');
+        // 추론이 분리되지 않고 본문에 그대로 남은 경우
+        const reasoning = String(msg?.extra?.reasoning ?? '').trim();
+        if (reasoning && stripped.includes(reasoning)) {
+            stripped = stripped.replace(reasoning, '');
+        }
+        push('추론 제거', stripped);
+    }
+    
+    if (settings.preprocessStripCodeBlocks) {
+        push('코드 블록 제거', text.replace(CODE_BLOCK_PATTERN, ''));
+    }
+    
+    const rules = Array.isArray(settings.preprocessRules) ? settings.preprocessRules : [];
+    rules.forEach((rule, ruleIndex) => {
+        if (!rule || rule.enabled === false) return;
+        const label = rule.label || `규칙 ${ruleIndex + 1}`;
+        const { regex, error } = compilePreprocessRule(rule);
+        if (!regex) {
+            push(label, text, { ruleIndex, error });
+            return;
+        }
+        push(label, text.replace(regex, String(rule.replacement ?? '')), { ruleIndex });
+    });
+    
+    if (settings.preprocessStripHtml) {
+        push('HTML 태그 제거', text
+            .replace(HTML_CONTENT_BLOCK_PATTERN, '')
+            .replace(HTML_LINE_BREAK_PATTERN, '\n')
+            .replace(HTML_TAG_PATTERN, ''));
+    }
+    
+    // 제거된 자리에 남은 빈 줄 정리 (원본만 있으면 그대로)
+    if (steps.length > 1) {
+        steps[steps.length - 1].text = collapseBlankLines(text);
+    }
+    return steps;
+}
+
+/**
+ * 요약 프롬프트에 넣을 메시지 본문
+ * @param {Object} msg - 채팅 메시지
+ * @returns {string}
+ */
+export function preprocessMessageText(msg) {
+    const steps = getPreprocessSteps(msg);
+    const failed = steps.filter(step => step.error);
+    if (failed.length > 0) {
+        log(`Preprocess rules skipped: ${failed.map(step => `${step.label} (${step.error})`).join(', ')}`);
+    }
+    return steps[steps.length - 1].text;
+}
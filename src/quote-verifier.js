@@ -0,0 +1,146 @@
+/**
+ * Scenario Summarizer - 인용 대사 검증
+ * 요약에 따옴표로 인용된 대사가 요약 범위의 원문 메시지에 실제로 있는지 대조
+ */
+
+import { cleanJsonBlocks } from './constants.js';
+
+// 인용 구간: "..." “...” 「...」 『...』 «...»
+const QUOTE_PATTERN = /"([^"\n]+)"|“([^”\n]+)”|「([^」\n]+)」|『([^』\n]+)』|«([^»\n]+)»/g;
+
+// 말줄임표로 생략된 인용은 조각별로 대조
+const ELLIPSIS_PATTERN = /…+|\.{3,}/;
+
+// 정규화 후 이보다 짧은 인용/조각(감탄사, 호칭 등)은 검사하지 않음
+const MIN_QUOTE_LENGTH = 4;
+
+// 인용 길이 대비 허용 편집 거리 (오탈자, 조사/어미 차이)
+const FUZZY_TOLERANCE = 0.15;
+
+// 원문 글자 중 이 비율 이상을 차지하는 문자 체계만 원문 언어로 봄
+const SOURCE_SCRIPT_RATIO = 0.2;
+
+const SCRIPT_PATTERNS = {
+    hangul: /\p{Script=Hangul}/u,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    han: /\p{Script=Han}/u,
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u
+};
+
+/**
+ * 대조용 정규화 (NFKC, 소문자, 공백/문장부호/기호 제거)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeQuoteText(text) {
+    return String(text || '').normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, '');
+}
+
+/**
+ * 요약에서 인용 구간 추출 (너무 짧은 인용 제외)
+ * @param {string} content - 요약 내용
+ * @returns {string[]}
+ */
+export function extractQuotedSpans(content) {
+    const quotes = [];
+    for (const match of cleanJsonBlocks(String(content || '')).matchAll(QUOTE_PATTERN)) {
+        const quote = (match[1] ?? match[2] ?? match[3] ?? match[4] ?? match[5]).trim();
+        if (normalizeQuoteText(quote).length >= MIN_QUOTE_LENGTH) {
+            quotes.push(quote);
+        }
+    }
+    return quotes;
+}
+
+/**
+ * 텍스트에 쓰인 문자 체계별 글자 수
+ * @param {string} text - 정규화된 텍스트
+ * @returns {Map<string, number>}
+ */
+function countScripts(text) {
+    const counts = new Map();
+    for (const ch of text) {
+        for (const [script, pattern] of Object.entries(SCRIPT_PATTERNS)) {
+            if (pattern.test(ch)) {
+                counts.set(script, (counts.get(script) || 0) + 1);
+                break;
+            }
+        }
+    }
+    return counts;
+}
+
+/**
+ * 근사 부분 문자열 검색: haystack 안에 needle과 편집 거리 maxDistance 이하인 구간이 있는지
+ * @param {string} haystack
+ * @param {string} needle
+ * @param {number} maxDistance
+ * @returns {boolean}
+ */
+function fuzzyContains(haystack, needle, maxDistance) {
+    const m = needle.length;
+    let prev = new Uint32Array(m + 1);
+    let curr = new Uint32Array(m + 1);
+    for (let j = 0; j <= m; j++) prev[j] = j;
+    
+    for (let i = 0; i < haystack.length; i++) {
+        // 원문 어디서든 시작할 수 있도록 첫 열은 항상 0
+        curr[0] = 0;
+        const ch = haystack[i];
+        for (let j = 1; j <= m; j++) {
+            const substitute = prev[j - 1] + (needle[j - 1] === ch ? 0 : 1);
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, substitute);
+        }
+        if (curr[m] <= maxDistance) return true;
+        [prev, curr] = [curr, prev];
+    }
+    return false;
+}
+
+/**
+ * 인용 조각 하나가 원문에 있는지 (정확히 일치 → 근사 일치 순)
+ * @param {string} source - 정규화된 원문
+ * @param {string} piece - 정규화된 인용 조각
+ * @returns {boolean}
+ */
+function isPieceInSource(source, piece) {
+    if (source.includes(piece)) return true;
+    const maxDistance = Math.floor(piece.length * FUZZY_TOLERANCE);
+    return maxDistance > 0 && fuzzyContains(source, piece, maxDistance);
+}
+
+/**
+ * 요약의 인용 중 원문에서 찾을 수 없는 것 목록
+ * 원문과 다른 문자 체계로 쓰인 인용(번역된 대사)은 대조할 수 없으므로 건너뜀
+ * @param {string} content - 요약 내용
+ * @param {string[]} sourceTexts - 요약 범위의 원문 메시지
+ * @returns {string[]}
+ */
+export function findUnverifiedQuotes(content, sourceTexts) {
+    const quotes = extractQuotedSpans(content);
+    if (quotes.length === 0) return [];
+    
+    const source = normalizeQuoteText(sourceTexts.join('\n'));
+    if (!source) return [];
+    
+    const sourceCounts = countScripts(source);
+    const totalLetters = [...sourceCounts.values()].reduce((sum, n) => sum + n, 0);
+    const sourceScripts = new Set([...sourceCounts].filter(([, n]) => n >= totalLetters * SOURCE_SCRIPT_RATIO).map(([script]) => script));
+    
+    const unverified = [];
+    for (const quote of quotes) {
+        const normalized = normalizeQuoteText(quote);
+        if (![...countScripts(normalized).keys()].some(script => sourceScripts.has(script))) continue;
+        
+        const pieces = quote.split(ELLIPSIS_PATTERN)
+            .map(normalizeQuoteText)
+            .filter(piece => piece.length >= MIN_QUOTE_LENGTH);
+        if (pieces.length === 0) continue;
+        
+        if (!pieces.every(piece => isPieceInSource(source, piece)) && !unverified.includes(quote)) {
+            unverified.push(quote);
+        }
+    }
+    return unverified;
+}
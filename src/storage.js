@@ -4,8 +4,9 @@
 
 import { getContext, extension_settings } from "../../../../extensions.js";
 import { saveChatConditional } from "../../../../../script.js";
-import { extensionName, METADATA_KEY, DATA_VERSION, isGroupIncludedContent } from './constants.js';
+import { extensionName, METADATA_KEY, DATA_VERSION, isGroupIncludedContent, isParsingFailedContent, makeGroupIncludedMarker, parseSummaryFields, buildCategoryLabelMap } from './constants.js';
 import { log, getSettings } from './state.js';
+import { findUnverifiedQuotes } from './quote-verifier.js';
 
 /**
  * 요약 데이터 가져오기 (없으면 초기화)
@@ -47,6 +48,11 @@ export function createEmptyData() {
         characters: {},             // 캐릭터 이름 -> 캐릭터 정보 객체
         events: [],                 // 주요 이벤트 배열
         items: [],                  // 주요 아이템 배열
+        arcs: [],                   // 아크 롤업 배열 (여러 요약을 묶은 상위 요약)
+        tokenCounts: {},            // 항목별 토큰 수 캐시 ("토크나이저ID:내용해시" → 토큰 수)
+        notes: [],                  // 로어북에서 가져온 참고 메모 배열
+        lorebookName: null,         // 도감을 동기화할 로어북(월드인포) 이름
+        swipeArchive: {},           // 메시지 인덱스 -> { 스와이프 번호 -> 그 스와이프의 요약/도감 항목 }
         lastSummarizedIndex: -1,
         lastUpdate: null
     };
@@ -88,6 +94,22 @@ function migrateData(oldData) {
         newData.items = oldData.items;
     }
     
+    if (oldData.arcs && Array.isArray(oldData.arcs)) {
+        newData.arcs = oldData.arcs;
+    }
+    
+    if (oldData.notes && Array.isArray(oldData.notes)) {
+        newData.notes = oldData.notes;
+    }
+    
+    if (typeof oldData.lorebookName === 'string') {
+        newData.lorebookName = oldData.lorebookName;
+    }
+    
+    if (oldData.swipeArchive && typeof oldData.swipeArchive === 'object') {
+        newData.swipeArchive = oldData.swipeArchive;
+    }
+    
     // characters 마이그레이션
     if (oldData.characters && typeof oldData.characters === 'object') {
         newData.characters = oldData.characters;
@@ -149,9 +171,45 @@ function migrateData(oldData) {
         newData.lastUpdate = oldData.lastUpdate;
     }
     
+    // v4 -> v5: 요약별 카테고리 값(fields) 채우기
+    backfillSummaryFields(newData.summaries);
+    
     return newData;
 }
 
+/**
+ * 요약 내용에서 카테고리 값(fields) 계산
+ * @param {string} content - 요약 내용
+ * @returns {Object|null} - 그룹 포함 마커/파싱 실패 요약이면 null
+ */
+function computeSummaryFields(content) {
+    const text = String(content ?? '');
+    if (!text || isGroupIncludedContent(text) || isParsingFailedContent(text)) return null;
+    return parseSummaryFields(text, getSettings().categories);
+}
+
+/**
+ * fields가 없는 요약 객체에 fields 채우기 (마이그레이션/불러오기용)
+ * @param {Object} summaries - { 인덱스: 요약 }
+ */
+function backfillSummaryFields(summaries) {
+    for (const summary of Object.values(summaries || {})) {
+        if (!summary || typeof summary !== 'object' || summary.fields) continue;
+        const fields = computeSummaryFields(summary.content);
+        if (fields) summary.fields = fields;
+    }
+}
+
+/**
+ * 요약의 카테고리 값 (저장된 fields가 없으면 내용에서 바로 추출)
+ * @param {Object|string} summary - 요약 객체
+ * @returns {Object}
+ */
+function getSummaryFields(summary) {
+    if (summary?.fields && typeof summary.fields === 'object') return summary.fields;
+    return computeSummaryFields(summary?.content ?? summary) || {};
+}
+
 /**
  * 범위 요약 텍스트를 개별 메시지별로 파싱
  * @param {string} content - 전체 요약 텍스트
@@ -357,14 +415,20 @@ export function cleanupOrphanedSummaries() {
  * 특정 메시지의 요약 저장
  * @param {number} messageIndex 
  * @param {string} content 
+ * @param {Object} [meta] - 추가 정보
+ * @param {boolean} [meta.reducedContext] - 병렬 요약으로 앞 구간 요약 없이 생성됨
+ * @param {string} [meta.source] - 변경 출처 (SUMMARY_SOURCE_LABELS 키, 기본 auto)
+ * @param {string} [meta.model] - 생성에 사용한 모델
  * @returns {Object} - 저장된 요약 객체
  */
-export function setSummaryForMessage(messageIndex, content) {
+export function setSummaryForMessage(messageIndex, content, meta = {}) {
     const data = getSummaryData();
     if (!data) return null;
     
     // 기존 요약의 pinned/hidden/memo 보존
     const existing = data.summaries[messageIndex];
+    // 내용이 그대로면 버전 출처/모델도 유지 (변경 없이 저장한 경우)
+    const origin = existing?.source && String(existing.content) === String(content) ? existing : meta;
     
     const summary = {
         messageIndex: messageIndex,
@@ -372,9 +436,42 @@ export function setSummaryForMessage(messageIndex, content) {
         timestamp: new Date().toISOString(),
         pinned: existing?.pinned || false,
         hidden: existing?.hidden || false,
-        memo: existing?.memo || ''
+        memo: existing?.memo || '',
+        source: origin.source || 'auto'
     };
     
+    if (origin.model) {
+        summary.model = origin.model;
+    }
+    
+    // 덮어쓰기 전 내용을 변경 기록에 보관
+    const history = buildSummaryHistory(existing, content);
+    if (history.length > 0) {
+        summary.history = history;
+    }
+    
+    if (meta.reducedContext) {
+        summary.reducedContext = true;
+    }
+    
+    // 원본 메시지 해시 (수정 감지용, 그룹 포함 마커는 그룹 요약 쪽에서 관리)
+    if (!isGroupIncludedContent(String(content))) {
+        const sourceHash = computeSummarySourceHash(messageIndex, content);
+        if (sourceHash) summary.sourceHash = sourceHash;
+        // 요약 당시 범위 내 메시지들의 스와이프 번호 (스와이프 전환 시 복원용)
+        summary.swipeIds = getRangeSwipeIds(messageIndex, content);
+        
+        // 카테고리별 값 (이전 상황 참조, 필드 검색, 구조화 편집용)
+        const fields = computeSummaryFields(content);
+        if (fields) summary.fields = fields;
+        
+        // 원문에서 찾을 수 없는 인용 대사
+        if (getSettings().quoteVerification !== false && !isParsingFailedContent(String(content))) {
+            const unverifiedQuotes = findSummaryUnverifiedQuotes(messageIndex, content);
+            if (unverifiedQuotes.length > 0) summary.unverifiedQuotes = unverifiedQuotes;
+        }
+    }
+    
     data.summaries[messageIndex] = summary;
     
     // lastSummarizedIndex 업데이트
@@ -387,6 +484,83 @@ export function setSummaryForMessage(messageIndex, content) {
     return summary;
 }
 
+/**
+ * 기존 요약을 덮어쓸 때의 변경 기록 (오래된 순, summaryHistoryLimit개까지)
+ * 그룹 포함 마커/파싱 실패 내용과 내용이 같은 덮어쓰기는 기록하지 않음
+ * @param {Object|undefined} existing - 덮어쓸 기존 요약
+ * @param {string} newContent - 새 내용
+ * @returns {Array<{content: string, timestamp: string, source: string, model?: string}>}
+ */
+function buildSummaryHistory(existing, newContent) {
+    const limit = getSettings().summaryHistoryLimit ?? 10;
+    if (!existing || typeof existing !== 'object' || limit <= 0) return [];
+    
+    const history = Array.isArray(existing.history) ? [...existing.history] : [];
+    const oldContent = String(existing.content ?? '');
+    if (oldContent.trim() && oldContent !== String(newContent)
+        && !isGroupIncludedContent(oldContent) && !isParsingFailedContent(oldContent)) {
+        const version = { content: oldContent, timestamp: existing.timestamp, source: existing.source || 'unknown' };
+        if (existing.model) version.model = existing.model;
+        history.push(version);
+    }
+    return history.slice(-limit);
+}
+
+/**
+ * 가져온 요약에 기존 요약의 변경 기록을 이어 붙임
+ * @param {Object|undefined} existing - 기존 요약
+ * @param {Object|string} imported - 가져온 요약
+ * @returns {Object|string}
+ */
+function withImportHistory(existing, imported) {
+    if (!imported || typeof imported !== 'object') return imported;
+    
+    const merged = { ...imported, source: 'import', timestamp: new Date().toISOString() };
+    const history = buildSummaryHistory(existing, String(imported.content ?? ''));
+    if (history.length > 0) {
+        merged.history = history;
+    } else if (existing) {
+        delete merged.history;
+    }
+    return merged;
+}
+
+/**
+ * 요약의 변경 기록 (오래된 순)
+ * @param {number} messageIndex
+ * @returns {Array<{content: string, timestamp: string, source: string, model?: string}>}
+ */
+export function getSummaryHistory(messageIndex) {
+    const summary = getSummaryData()?.summaries?.[messageIndex];
+    return Array.isArray(summary?.history) ? summary.history : [];
+}
+
+/**
+ * 변경 기록의 버전으로 요약 복원 (현재 내용은 기록에 남음)
+ * 묶음 범위가 현재와 다른 버전은 다른 요약의 묶음 표시가 어긋나므로 복원하지 않음
+ * @param {number} messageIndex
+ * @param {number} versionIndex - getSummaryHistory 배열의 인덱스
+ * @returns {{success: boolean, error?: string}}
+ */
+export function restoreSummaryVersion(messageIndex, versionIndex) {
+    const data = getSummaryData();
+    const current = data?.summaries?.[messageIndex];
+    const version = getSummaryHistory(messageIndex)[versionIndex];
+    if (!current || !version) {
+        return { success: false, error: '복원할 버전이 없습니다' };
+    }
+    
+    const currentRange = getSummaryEntryRange(messageIndex, current.content);
+    const versionRange = getSummaryEntryRange(messageIndex, version.content);
+    if (currentRange.start !== versionRange.start || currentRange.end !== versionRange.end) {
+        return { success: false, error: `묶음 범위가 현재(#${currentRange.start}-${currentRange.end})와 달라 복원할 수 없습니다` };
+    }
+    
+    setSummaryForMessage(messageIndex, version.content, { source: 'restore', model: version.model });
+    log(`Summary #${messageIndex} restored to version from ${version.timestamp}`);
+    return { success: true };
+}
+
 /**
  * 특정 메시지의 요약 삭제
  * @param {number} messageIndex 
@@ -436,11 +610,29 @@ export function deleteSummaryForMessage(messageIndex) {
     data.lastUpdate = new Date().toLocaleString("ko-KR");
 }
 
+/**
+ * 메시지 삭제 시 변경 기록에 남은 묶음 범위 번호도 현재 요약과 같은 규칙으로 조정 (복원 시 범위 비교용)
+ * @param {Object} summary
+ * @param {number} deletedIndex
+ */
+function shiftHistoryRangesAfterDeletion(summary, deletedIndex) {
+    if (!Array.isArray(summary?.history)) return;
+    for (const version of summary.history) {
+        const rangeMatch = String(version.content ?? '').match(/^#(\d+)-(\d+)/);
+        if (!rangeMatch) continue;
+        const start = parseInt(rangeMatch[1]);
+        const end = parseInt(rangeMatch[2]);
+        if (deletedIndex > end) continue;
+        const newStart = deletedIndex < start ? start - 1 : start;
+        version.content = version.content.replace(/^#\d+-\d+/, `#${newStart}-${end - 1}`);
+    }
+}
+
 /**
  * 메시지 삭제 시 요약 인덱스 및 범위 재매핑
  * - 개별 요약: 삭제된 인덱스의 요약 삭제, 이후 인덱스 -1
  * - 묶음 요약: 범위 번호 업데이트 (범위 내 삭제 시 축소, 범위 앞 삭제 시 -1)
- * - 스와이프는 별도 처리 (무효화)
+ * - 스와이프는 별도 처리 (스와이프별 보관/복원)
  * @param {number} deletedIndex - 삭제된 메시지의 인덱스 (0-indexed)
  */
 export function remapSummariesAfterDeletion(deletedIndex) {
@@ -451,6 +643,7 @@ export function remapSummariesAfterDeletion(deletedIndex) {
     
     for (const [indexStr, summary] of Object.entries(data.summaries)) {
         const index = parseInt(indexStr);
+        shiftHistoryRangesAfterDeletion(summary, deletedIndex);
         
         // 묶음 요약인지 확인 (#시작-끝 패턴)
         const rangeMatch = summary.content?.match(/^#(\d+)-(\d+)/);
@@ -483,6 +676,8 @@ export function remapSummariesAfterDeletion(deletedIndex) {
             }
             // 범위 뒤 삭제 → 범위 변경 없음
             
+            shiftSwipeIdsAfterDeletion(summary, deletedIndex);
+            
             // 저장 인덱스 재매핑
             if (index > deletedIndex) {
                 newSummaries[index - 1] = summary;
@@ -498,6 +693,7 @@ export function remapSummariesAfterDeletion(deletedIndex) {
             } else if (index > deletedIndex) {
                 // 삭제 위치 이후 → 인덱스 -1
                 summary.messageIndex = index - 1;
+                shiftSwipeIdsAfterDeletion(summary, deletedIndex);
                 newSummaries[index - 1] = summary;
             } else {
                 // 삭제 위치 이전 → 그대로
@@ -507,6 +703,24 @@ export function remapSummariesAfterDeletion(deletedIndex) {
     }
     
     data.summaries = newSummaries;
+    remapArcsAfterDeletion(data, deletedIndex);
+    
+    // 도감 항목의 출처 스와이프 키도 같은 방식으로 재매핑
+    const catalogEntries = [...Object.values(data.characters || {}), ...(data.events || []), ...(data.items || [])];
+    for (const entry of catalogEntries) {
+        if (entry?.sourceSwipeIds) {
+            entry.sourceSwipeIds = shiftIndexKeysAfterDeletion(entry.sourceSwipeIds, deletedIndex);
+        }
+    }
+    
+    // 삭제 위치 이후의 스와이프 보관본은 번호가 어긋나므로 폐기
+    if (data.swipeArchive) {
+        for (const key of Object.keys(data.swipeArchive)) {
+            if (parseInt(key) >= deletedIndex) {
+                delete data.swipeArchive[key];
+            }
+        }
+    }
     
     // lastSummarizedIndex 재계산
     const indices = Object.keys(data.summaries).map(Number);
@@ -517,40 +731,287 @@ export function remapSummariesAfterDeletion(deletedIndex) {
 }
 
 /**
- * 스와이프 시 해당 메시지 요약 무효화
- * - 개별 요약: 해당 인덱스의 요약 삭제
- * - 묶음 요약: 스와이프된 메시지가 범위 내에 있으면 무효화
+ * 메시지 인덱스를 키로 쓰는 객체를 삭제 위치 기준으로 재매핑 (삭제된 메시지 키는 제거)
+ * @param {Object} map - { 메시지 인덱스: 값 }
+ * @param {number} deletedIndex
+ * @returns {Object}
+ */
+function shiftIndexKeysAfterDeletion(map, deletedIndex) {
+    const shifted = {};
+    for (const [indexStr, value] of Object.entries(map)) {
+        const index = parseInt(indexStr);
+        if (index === deletedIndex) continue;
+        shifted[index > deletedIndex ? index - 1 : index] = value;
+    }
+    return shifted;
+}
+
+/**
+ * 요약 삭제 후 swipeIds 키(메시지 인덱스) 재매핑
+ * @param {Object} summary
+ * @param {number} deletedIndex
+ */
+function shiftSwipeIdsAfterDeletion(summary, deletedIndex) {
+    if (!summary?.swipeIds) return;
+    summary.swipeIds = shiftIndexKeysAfterDeletion(summary.swipeIds, deletedIndex);
+}
+
+/**
+ * 메시지의 현재 스와이프 번호 (스와이프가 없으면 0)
+ * @param {number} messageIndex - 메시지 인덱스 (0-indexed)
+ * @returns {number}
+ */
+export function getMessageSwipeId(messageIndex) {
+    const message = getContext()?.chat?.[messageIndex];
+    return Number.isInteger(message?.swipe_id) ? message.swipe_id : 0;
+}
+
+/**
+ * 메시지 범위의 현재 스와이프 번호 (도감 항목의 출처 스와이프 기록용)
+ * @param {number} start - 시작 인덱스
+ * @param {number} end - 끝 인덱스
+ * @returns {Object} - { 메시지 인덱스: 스와이프 번호 }
+ */
+export function getSwipeIdsForRange(start, end) {
+    const swipeIds = {};
+    for (let i = start; i <= end; i++) {
+        swipeIds[i] = getMessageSwipeId(i);
+    }
+    return swipeIds;
+}
+
+/**
+ * 요약 범위 내 메시지들의 현재 스와이프 번호
+ * @param {number} messageIndex - 요약 인덱스
+ * @param {string} content - 요약 내용
+ * @returns {Object} - { 메시지 인덱스: 스와이프 번호 }
+ */
+function getRangeSwipeIds(messageIndex, content) {
+    const { start, end } = getSummaryEntryRange(messageIndex, content);
+    return getSwipeIdsForRange(start, end);
+}
+
+/**
+ * 도감 항목의 출처 스와이프 (요약 범위 + 항목 메시지)
+ * @param {Object|null} sourceSwipeIds - 요약 범위의 스와이프 번호
+ * @param {number} entryIndex - 항목이 가리키는 메시지 인덱스
+ * @returns {Object} - { 메시지 인덱스: 스와이프 번호 }
+ */
+export function withEntrySwipeId(sourceSwipeIds, entryIndex) {
+    const swipeIds = { ...(sourceSwipeIds || {}) };
+    if (Number.isInteger(entryIndex) && swipeIds[entryIndex] === undefined) {
+        swipeIds[entryIndex] = getMessageSwipeId(entryIndex);
+    }
+    return swipeIds;
+}
+
+/**
+ * 스와이프 전환 시 요약/도감 항목 교체
+ * - 이전 스와이프로 만든 요약과 도감 항목(이 메시지에서 추출된 것)은 스와이프별 보관함으로 이동
+ * - 보관함에 현재 스와이프의 요약이 있으면 즉시 복원
+ * - 처음 보는 스와이프면 기존처럼 개별 요약은 삭제, 묶음 요약은 무효화
  * @param {number} messageIndex - 스와이프된 메시지 인덱스 (0-indexed)
+ * @returns {{restored: boolean}}
  */
-export function invalidateSummaryOnSwipe(messageIndex) {
+export function switchSummaryOnSwipe(messageIndex) {
     const data = getSummaryData();
-    if (!data || !data.summaries) return;
+    if (!data || !data.summaries) return { restored: false };
+    
+    if (!data.swipeArchive) data.swipeArchive = {};
+    const archive = data.swipeArchive[messageIndex] || {};
+    const swipeId = getMessageSwipeId(messageIndex);
     
-    // 모든 요약을 순회하며 해당 메시지가 포함된 요약 찾기
+    const getSlot = (id) => {
+        if (!archive[id]) archive[id] = { summary: null, characters: [], events: [], items: [] };
+        return archive[id];
+    };
+    
+    // 1. 다른 스와이프로 만든 현재 요약을 보관하고 제거/무효화
     for (const [indexStr, summary] of Object.entries(data.summaries)) {
         const index = parseInt(indexStr);
-        const rangeMatch = summary.content?.match(/^#(\d+)-(\d+)/);
+        const content = String(summary?.content ?? '');
+        if (!content || isGroupIncludedContent(content)) continue;
         
-        if (rangeMatch) {
-            // 묶음 요약: 스와이프된 메시지가 범위 내에 있는지 확인 (0-indexed)
-            const rangeStart = parseInt(rangeMatch[1]);
-            const rangeEnd = parseInt(rangeMatch[2]);
+        const { start, end } = getSummaryEntryRange(index, content);
+        if (messageIndex < start || messageIndex > end) continue;
+        
+        const summarySwipeId = summary.swipeIds?.[messageIndex];
+        if (summarySwipeId === swipeId) break;
+        
+        // 스와이프 번호가 기록된 정상 요약만 보관 (구버전 요약/무효화/실패 요약은 보관하지 않음)
+        if (summarySwipeId !== undefined && summary.invalidated !== true && !isParsingFailedContent(content)) {
+            getSlot(summarySwipeId).summary = { key: index, data: JSON.parse(JSON.stringify(summary)) };
+        }
+        
+        if (start !== end) {
+            summary.invalidated = true;
+            summary.invalidReason = `메시지 #${messageIndex} 스와이프됨`;
+            log(`Batch summary #${start}-${end} invalidated due to swipe of message #${messageIndex}`);
+        } else {
+            delete data.summaries[indexStr];
+            log(`Summary for message #${messageIndex} removed due to swipe (swipe ${summarySwipeId ?? '?'} → ${swipeId})`);
+        }
+        break;
+    }
+    
+    // 도감 항목: 이 메시지를 포함한 요약에서 다른 스와이프로 추출된 항목만 보관 (수동 추가 항목은 그대로)
+    // sourceSwipeIds가 없는 구버전 항목은 추출 인덱스가 이 메시지인 경우만 대상
+    const getEntrySwipeId = (entry, entryIndex) => {
+        if (entry?.sourceSwipeIds) return entry.sourceSwipeIds[messageIndex];
+        return entryIndex === messageIndex ? entry?.sourceSwipeId : undefined;
+    };
+    const isFromOtherSwipe = (entrySwipeId) => Number.isInteger(entrySwipeId) && entrySwipeId !== swipeId;
+    
+    for (const [name, character] of Object.entries(data.characters || {})) {
+        const entrySwipeId = getEntrySwipeId(character, character.firstAppearance);
+        if (isFromOtherSwipe(entrySwipeId)) {
+            getSlot(entrySwipeId).characters.push(character);
+            delete data.characters[name];
+        }
+    }
+    for (const key of ['events', 'items']) {
+        if (!Array.isArray(data[key])) continue;
+        data[key] = data[key].filter(entry => {
+            const entrySwipeId = getEntrySwipeId(entry, entry.messageIndex);
+            if (!isFromOtherSwipe(entrySwipeId)) return true;
+            getSlot(entrySwipeId)[key].push(entry);
+            return false;
+        });
+    }
+    
+    // 2. 현재 스와이프의 보관본 복원
+    const stored = archive[swipeId];
+    let restored = false;
+    if (stored) {
+        if (stored.summary) {
+            const { key, data: summary } = stored.summary;
+            const { start, end } = getSummaryEntryRange(key, summary.content);
+            const current = data.summaries[key];
+            const currentContent = String(current?.content ?? '');
             
-            if (messageIndex >= rangeStart && messageIndex <= rangeEnd) {
-                summary.invalidated = true;
-                summary.invalidReason = `메시지 #${messageIndex} 스와이프됨`;
-                log(`Batch summary #${rangeStart}-${rangeEnd} invalidated due to swipe of message #${messageIndex}`);
+            // 현재 자리가 비어 있거나 같은 범위의 무효화된 요약일 때만 복원 (그 사이 범위가 바뀌었으면 포기)
+            const replaceable = current && current.invalidated === true && !isGroupIncludedContent(currentContent)
+                && getSummaryEntryRange(key, currentContent).end === end;
+            if (!current || replaceable) {
+                // 범위 내 다른 메시지가 그 사이 스와이프되었으면 무효화 상태로 복원
+                const changedIndex = Object.entries(summary.swipeIds || {})
+                    .find(([index, id]) => parseInt(index) !== messageIndex && getMessageSwipeId(parseInt(index)) !== id)?.[0];
+                if (changedIndex !== undefined) {
+                    summary.invalidated = true;
+                    summary.invalidReason = `메시지 #${changedIndex} 스와이프됨`;
+                }
+                
+                data.summaries[key] = summary;
+                for (let i = start + 1; i <= end; i++) {
+                    if (!data.summaries[i]) {
+                        data.summaries[i] = { messageIndex: i, content: makeGroupIncludedMarker(start, end), timestamp: summary.timestamp };
+                    }
+                }
+                if (key > data.lastSummarizedIndex) {
+                    data.lastSummarizedIndex = key;
+                }
+                restored = true;
+                log(`Summary #${start === end ? start : `${start}-${end}`} restored for swipe ${swipeId} of message #${messageIndex}`);
             }
-        } else {
-            // 개별 요약: 정확히 해당 인덱스면 삭제
-            if (index === messageIndex) {
-                delete data.summaries[indexStr];
-                log(`Summary for message #${messageIndex} deleted due to swipe`);
+        }
+        
+        if (!data.characters) data.characters = {};
+        for (const character of stored.characters) {
+            if (!data.characters[character.name]) {
+                data.characters[character.name] = character;
             }
         }
+        for (const key of ['events', 'items']) {
+            if (!Array.isArray(data[key])) data[key] = [];
+            const existingIds = new Set(data[key].map(entry => entry.id));
+            data[key].push(...stored[key].filter(entry => !existingIds.has(entry.id)));
+        }
+        
+        delete archive[swipeId];
+    }
+    
+    if (Object.keys(archive).length > 0) {
+        data.swipeArchive[messageIndex] = archive;
+    } else {
+        delete data.swipeArchive[messageIndex];
     }
     
     data.lastUpdate = new Date().toLocaleString("ko-KR");
+    return { restored };
+}
+
+/**
+ * 요약 원본 메시지 해시 (그룹 요약은 범위 전체)
+ * @param {number} messageIndex - 요약 인덱스
+ * @param {string} content - 요약 내용
+ * @returns {string|null}
+ */
+function computeSummarySourceHash(messageIndex, content) {
+    const chat = getContext()?.chat;
+    if (!chat) return null;
+    
+    const { start, end } = getSummaryEntryRange(messageIndex, content);
+    const texts = [];
+    for (let i = start; i <= end; i++) {
+        texts.push(chat[i]?.mes ?? '');
+    }
+    return hashText(texts.join('\n'));
+}
+
+/**
+ * 요약의 인용 대사 중 요약 범위의 원문에서 찾을 수 없는 것 (그룹 요약은 범위 전체와 대조)
+ * @param {number} messageIndex - 요약 인덱스
+ * @param {string} content - 요약 내용
+ * @returns {string[]}
+ */
+export function findSummaryUnverifiedQuotes(messageIndex, content) {
+    const chat = getContext()?.chat;
+    if (!chat) return [];
+    
+    const { start, end } = getSummaryEntryRange(messageIndex, content);
+    const sourceTexts = [];
+    for (let i = start; i <= end; i++) {
+        sourceTexts.push(chat[i]?.mes ?? '');
+    }
+    return findUnverifiedQuotes(content, sourceTexts);
+}
+
+/**
+ * 메시지 수정 시 해당 메시지가 포함된 요약(개별 또는 묶음)을 무효화
+ * 원본 해시와 달라진 경우에만 무효화하고, 해시가 없으면 현재 원문으로 채운 뒤 무효화하지 않음
+ * @param {number} messageIndex - 수정된 메시지 인덱스 (0-indexed)
+ * @returns {number|null} - 무효화된 요약의 인덱스 (없거나 변경 없음이면 null)
+ */
+export function invalidateSummaryOnEdit(messageIndex) {
+    const data = getSummaryData();
+    if (!data || !data.summaries) return null;
+    
+    for (const [indexStr, summary] of Object.entries(data.summaries)) {
+        const index = parseInt(indexStr);
+        const content = String(summary?.content ?? '');
+        if (!content || isGroupIncludedContent(content)) continue;
+        
+        const { start, end } = getSummaryEntryRange(index, content);
+        if (messageIndex < start || messageIndex > end) continue;
+        
+        const currentHash = computeSummarySourceHash(index, content);
+        // 해시가 없는 요약(구버전/계산 실패)은 변경 여부를 알 수 없으므로 현재 원문 기준으로 채우고 넘어감
+        if (!summary.sourceHash) {
+            if (currentHash) summary.sourceHash = currentHash;
+            return null;
+        }
+        if (summary.sourceHash === currentHash) {
+            return null;
+        }
+        
+        summary.invalidated = true;
+        summary.invalidReason = `메시지 #${messageIndex} 수정됨`;
+        data.lastUpdate = new Date().toLocaleString("ko-KR");
+        log(`Summary #${start === end ? start : `${start}-${end}`} invalidated due to edit of message #${messageIndex}`);
+        return index;
+    }
+    
+    return null;
 }
 
 /**
@@ -611,8 +1072,9 @@ export function importSummaries(jsonString) {
         if (importData.data && importData.data.summaries) {
             // 기존 legacySummaries와 characters는 보존하고 summaries만 병합
             for (const [index, summary] of Object.entries(importData.data.summaries)) {
-                data.summaries[index] = summary;
+                data.summaries[index] = withImportHistory(data.summaries[index], summary);
             }
+            backfillSummaryFields(data.summaries);
             
             data.version = DATA_VERSION;
             data.lastUpdate = new Date().toLocaleString("ko-KR");
@@ -649,9 +1111,10 @@ export function importSummariesFull(jsonString) {
         // summaries 병합
         if (importData.data && importData.data.summaries) {
             for (const [index, summary] of Object.entries(importData.data.summaries)) {
-                data.summaries[index] = summary;
+                data.summaries[index] = withImportHistory(data.summaries[index], summary);
                 summaryCount++;
             }
+            backfillSummaryFields(data.summaries);
         }
         
         // legacySummaries 병합
@@ -770,20 +1233,41 @@ export function importSummariesFull(jsonString) {
     }
 }
 
+/**
+ * "라벨:검색어" 형식의 카테고리 필드 검색어 해석
+ * @param {string} query - 검색어
+ * @returns {{key: string, label: string, term: string}|null} - 알려진 카테고리 라벨이 아니면 null
+ */
+export function parseFieldSearchQuery(query) {
+    const match = /^\s*([^:：]{1,40}?)\s*[：:]\s*(.+)$/.exec(String(query || ''));
+    if (!match) return null;
+    
+    const categories = getSettings().categories;
+    const key = buildCategoryLabelMap(categories).get(match[1].toLowerCase());
+    if (!key) return null;
+    
+    return { key, label: categories?.[key]?.label || match[1], term: match[2].trim() };
+}
+
 /**
  * 요약 검색 (현재 요약)
+ * "라벨:검색어" 형식이면 해당 카테고리 값에서만 검색
  * @param {string} query - 검색어
  * @returns {Array} - [{ messageIndex, content, matches }]
  */
 export function searchSummaries(query) {
     const summaries = getRelevantSummaries();
     const results = [];
-    const lowerQuery = query.toLowerCase();
+    const fieldQuery = parseFieldSearchQuery(query);
+    const lowerQuery = (fieldQuery?.term ?? query).toLowerCase();
     
     for (const [index, summary] of Object.entries(summaries)) {
         const content = String(summary?.content ?? summary ?? '');
         const memo = String(summary?.memo ?? '');
-        if (content.toLowerCase().includes(lowerQuery) || memo.toLowerCase().includes(lowerQuery)) {
+        const matched = fieldQuery
+            ? String(getSummaryFields(summary)[fieldQuery.key] ?? '').toLowerCase().includes(lowerQuery)
+            : content.toLowerCase().includes(lowerQuery) || memo.toLowerCase().includes(lowerQuery);
+        if (matched) {
             results.push({
                 messageIndex: parseInt(index),
                 content: content,
@@ -889,6 +1373,9 @@ export function setCharacter(name, info) {
         description: info.description ?? existing.description ?? '',
         traits: info.traits ?? existing.traits ?? [],        // 성격/특성 배열
         relationshipWithUser: info.relationshipWithUser ?? existing.relationshipWithUser ?? '',  // {{user}}와의 관계
+        aliases: info.aliases ?? existing.aliases ?? [],     // 별칭 (장면 관련도 판정용)
+        pinned: info.pinned ?? existing.pinned ?? false,     // 장면과 무관하게 항상 주입
+        source: info.source ?? existing.source ?? null,      // 로어북에서 가져온 경우 원본 { book, uid, hash }
         firstAppearance: info.firstAppearance ?? existing.firstAppearance ?? null,
         lastUpdate: new Date().toISOString()
     };
@@ -926,8 +1413,9 @@ export function clearCharactersData() {
  * AI 응답에서 등장인물 정보 추출하여 저장/업데이트
  * @param {Object} extractedCharacters - { 이름: { role, age, occupation, description, traits, relationshipWithUser, firstAppearance } }
  * @param {number} fallbackMessageIndex - AI가 firstAppearance를 반환하지 않은 경우 사용할 폴백 인덱스
+ * @param {Object|null} [sourceSwipeIds=null] - 추출한 요약 범위의 스와이프 번호 (없으면 첫 등장 메시지만 기록)
  */
-export function mergeExtractedCharacters(extractedCharacters, fallbackMessageIndex) {
+export function mergeExtractedCharacters(extractedCharacters, fallbackMessageIndex, sourceSwipeIds = null) {
     const data = getSummaryData();
     if (!data) return;
     
@@ -994,6 +1482,7 @@ export function mergeExtractedCharacters(extractedCharacters, fallbackMessageInd
                 traits: (info.traits || []).slice(0, 10),
                 relationshipWithUser: info.relationshipWithUser || '',
                 firstAppearance: charFirstAppearance,
+                sourceSwipeIds: withEntrySwipeId(sourceSwipeIds, charFirstAppearance),  // 추출 당시 스와이프 (스와이프 전환 시 보관/복원)
                 lastUpdate: new Date().toISOString()
             };
         }
@@ -1002,14 +1491,90 @@ export function mergeExtractedCharacters(extractedCharacters, fallbackMessageInd
     data.lastUpdate = new Date().toLocaleString("ko-KR");
 }
 
+/**
+ * 텍스트에 이름이 언급되었는지 확인 (영문 이름은 단어 경계 기준)
+ * @param {string} lowerText - 소문자로 변환된 텍스트
+ * @param {string} name - 이름 또는 별칭
+ * @returns {boolean}
+ */
+function textMentionsName(lowerText, name) {
+    const needle = String(name || '').trim().toLowerCase();
+    if (!needle) return false;
+    if (/^[a-z0-9 .'-]+$/.test(needle)) {
+        const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(lowerText);
+    }
+    return lowerText.includes(needle);
+}
+
+/**
+ * 현재 장면과 관련된 등장인물 이름 목록
+ * {{user}}, 메인 캐릭터(그룹 채팅이면 멤버 전원), 핀 고정 인물과
+ * 최근 N개 메시지 또는 최근 요약에 이름/별칭이 언급된 인물
+ * @param {number} messageCount - 확인할 최근 메시지 수
+ * @param {number} summaryCount - 확인할 최근 요약 수
+ * @returns {Set<string>} - 등장인물 키(이름) 집합
+ */
+export function getSceneCharacterNames(messageCount, summaryCount) {
+    const context = getContext();
+    const characters = getRelevantCharacters();
+    const chat = context?.chat || [];
+    
+    // 항상 포함할 이름
+    const mainNames = [getUserName(), getCharacterName()];
+    if (context?.groupId) {
+        const group = context.groups?.find(g => g.id === context.groupId);
+        for (const avatar of group?.members || []) {
+            const member = context.characters?.find(c => c.avatar === avatar);
+            if (member?.name) mainNames.push(member.name);
+        }
+    }
+    const mainNameSet = new Set(mainNames.map(name => String(name).trim().toLowerCase()));
+    
+    // 최근 메시지 + 최근 요약 텍스트
+    const texts = chat.slice(Math.max(0, chat.length - messageCount)).map(msg => msg?.mes || '');
+    const summaries = getRelevantSummaries();
+    const recentIndices = Object.keys(summaries)
+        .map(Number)
+        .sort((a, b) => b - a)
+        .filter(i => {
+            const summary = summaries[i];
+            const content = String(summary?.content ?? summary ?? '');
+            return summary?.hidden !== true && summary?.invalidated !== true && !isGroupIncludedContent(content);
+        })
+        .slice(0, summaryCount);
+    for (const index of recentIndices) {
+        const summary = summaries[index];
+        texts.push(String(summary?.content ?? summary ?? ''));
+    }
+    const lowerText = texts.join('\n').toLowerCase();
+    
+    const names = new Set();
+    for (const [key, char] of Object.entries(characters)) {
+        const candidates = [key, char.name, ...(Array.isArray(char.aliases) ? char.aliases : [])].filter(Boolean);
+        if (char.pinned
+            || candidates.some(name => mainNameSet.has(String(name).trim().toLowerCase()))
+            || candidates.some(name => textMentionsName(lowerText, name))) {
+            names.add(key);
+        }
+    }
+    return names;
+}
+
 /**
  * 등장인물 정보를 텍스트로 포맷 (AI 컨텍스트용)
  * @param {boolean} forAI - AI 프롬프트용 간결한 형식 여부
+ * @param {Object} [options] - 옵션 (AI 형식에서만 사용)
+ * @param {Set<string>|null} [options.sceneNames=null] - 장면 관련 인물 이름 (null = 전체 상세)
+ * @param {string} [options.othersMode='stub'] - 장면 밖 인물 처리 ('stub' = 한 줄 요약, 'drop' = 제외)
  * @returns {string}
  */
-export function formatCharactersText(forAI = false) {
+export function formatCharactersText(forAI = false, options = {}) {
+    const { sceneNames = null, othersMode = 'stub' } = options;
     const charactersObj = getRelevantCharacters();
-    const characters = Object.values(charactersObj);
+    const characters = Object.entries(charactersObj)
+        .filter(([key]) => !forAI || !sceneNames || sceneNames.has(key) || othersMode !== 'drop')
+        .map(([key, char]) => ({ ...char, name: char.name || key, _inScene: !sceneNames || sceneNames.has(key) }));
     
     if (characters.length === 0) {
         return forAI ? "" : "No registered characters.";
@@ -1017,7 +1582,10 @@ export function formatCharactersText(forAI = false) {
     
     let text = "";
     for (const char of characters.sort((a, b) => (a.name || '').localeCompare(b.name || ''))) {
-        if (forAI) {
+        if (forAI && !char._inScene) {
+            // 장면 밖 인물: 이름과 역할만
+            text += `- ${char.name}${char.role ? ` (${char.role})` : ''}\n`;
+        } else if (forAI) {
             // AI용 간결한 형식
             let line = `- ${char.name}`;
             const details = [];
@@ -1137,15 +1705,29 @@ export function getRecentSummariesForContext(beforeIndex, count) {
     return summaryTexts.join('\n\n');
 }
 
+// 이전 상황으로 이어받는 카테고리
+const CONTEXT_FIELDS = ['date', 'time', 'location', 'relationship'];
+
+// 다국어 "동일/불명" 필터 패턴
+const SAME_VALUE_PATTERN = /^(동일|동일함|same|unchanged|同じ|同上|不变|相同)$/i;
+const UNKNOWN_VALUE_PATTERN = /^(불명|없음|unknown|N\/A|none|不明|不明確|未知)$/i;
+
 /**
  * 가장 최근 요약에서 컨텍스트 상태 추출
  * @param {number} beforeIndex - 이 인덱스 이전의 요약에서 추출
- * @returns {Object} - { time, location, relationship }
+ * @param {Object} [options] - 옵션
+ * @param {boolean} [options.activeOnly=false] - true면 숨김/무효화된 요약은 건너뜀
+ * @param {string|null} [options.unknownValue='불명'] - 찾지 못한 항목의 값
+ * @returns {Object} - { date, time, location, relationship }
  */
-export function getPreviousContext(beforeIndex) {
+export function getPreviousContext(beforeIndex, options = {}) {
+    const { activeOnly = false, unknownValue = '불명' } = options;
+    const result = { date: null, time: null, location: null, relationship: null };
+    const withUnknown = () => Object.fromEntries(CONTEXT_FIELDS.map(field => [field, result[field] ?? unknownValue]));
+    
     const data = getSummaryData();
     if (!data || !data.summaries) {
-        return { time: '불명', location: '불명', relationship: '불명' };
+        return withUnknown();
     }
     
     // beforeIndex보다 작은 인덱스 중 가장 큰 것 찾기
@@ -1154,65 +1736,123 @@ export function getPreviousContext(beforeIndex) {
         .filter(i => i < beforeIndex)
         .sort((a, b) => b - a);
     
-    if (prevIndices.length === 0) {
-        return { time: '불명', location: '불명', relationship: '불명' };
-    }
-    
     // 최신 요약부터 역순으로 순회하며 유효한 값 찾기
-    let time = '불명';
-    let location = '불명';
-    let relationship = '불명';
-    
-    // 다국어 카테고리 라벨 매칭 (ko/en/ja/zh)
-    const timePattern = /\* (?:시간|Time|時間|时间)[：:]\s*(.+)/i;
-    const locationPattern = /\* (?:장소|Location|場所|地点)[：:]\s*(.+)/i;
-    const relationshipPattern = /\* (?:관계|Relationship|関係|关系)[：:]\s*(.+)/i;
-    
-    // 다국어 "동일/불명" 필터 패턴
-    const sameValuePattern = /^(동일|동일함|same|unchanged|同じ|同上|不变|相同)$/i;
-    const unknownValuePattern = /^(불명|없음|unknown|N\/A|none|不明|不明確|未知)$/i;
-    
     for (const idx of prevIndices) {
         const summary = data.summaries[idx];
-        const content = String(summary?.content ?? summary ?? '');
+        if (activeOnly && (summary?.hidden === true || summary?.invalidated === true)) continue;
         
-        if (time === '불명') {
-            const timeMatch = content.match(timePattern);
-            if (timeMatch) {
-                const val = timeMatch[1].trim();
-                if (!sameValuePattern.test(val) && !unknownValuePattern.test(val)) {
-                    time = val;
-                }
-            }
-        }
+        const summaryFields = getSummaryFields(summary);
         
-        if (location === '불명') {
-            const locMatch = content.match(locationPattern);
-            if (locMatch) {
-                const val = locMatch[1].trim();
-                if (!sameValuePattern.test(val) && !unknownValuePattern.test(val)) {
-                    location = val;
-                }
-            }
-        }
-        
-        if (relationship === '불명') {
-            const relMatch = content.match(relationshipPattern);
-            if (relMatch) {
-                const val = relMatch[1].trim();
-                if (!sameValuePattern.test(val) && !unknownValuePattern.test(val)) {
-                    relationship = val;
-                }
+        for (const field of CONTEXT_FIELDS) {
+            if (result[field] !== null) continue;
+            
+            // 여러 줄 값은 첫 줄만 사용
+            const val = String(summaryFields[field] ?? '').split('\n')[0].trim();
+            if (val && !SAME_VALUE_PATTERN.test(val) && !UNKNOWN_VALUE_PATTERN.test(val)) {
+                result[field] = val;
             }
         }
         
         // 모두 찾았으면 종료
-        if (time !== '불명' && location !== '불명' && relationship !== '불명') {
+        if (CONTEXT_FIELDS.every(field => result[field] !== null)) {
             break;
         }
     }
     
-    return { time, location, relationship };
+    return withUnknown();
+}
+
+/**
+ * 메시지를 덮는 기존 요약(개별 또는 묶음)의 장소/날짜 (장면 경계 감지용)
+ * "동일"/"불명" 값은 정보 없음(null)으로 처리
+ * @param {number} messageIndex - 메시지 인덱스
+ * @returns {{date: string|null, location: string|null}|null} - 요약이 없으면 null
+ */
+export function getSummarySceneFields(messageIndex) {
+    const data = getSummaryData();
+    let summary = data?.summaries?.[messageIndex];
+    let content = String(summary?.content ?? summary ?? '');
+    
+    // 묶음에 포함된 메시지는 묶음 요약 본문 사용
+    const refMatch = isGroupIncludedContent(content) ? content.match(/#(\d+)-(\d+)/) : null;
+    if (refMatch) {
+        summary = data.summaries[parseInt(refMatch[1])];
+        content = String(summary?.content ?? summary ?? '');
+    }
+    if (!content || isGroupIncludedContent(content) || isParsingFailedContent(content)) return null;
+    
+    const summaryFields = getSummaryFields(summary);
+    const result = {};
+    for (const field of ['date', 'location']) {
+        const val = String(summaryFields[field] ?? '').split('\n')[0].trim();
+        result[field] = val && !SAME_VALUE_PATTERN.test(val) && !UNKNOWN_VALUE_PATTERN.test(val) ? val : null;
+    }
+    return result;
+}
+
+// 더 이상 보유하지 않는 아이템 상태 (다국어)
+const ITEM_NOT_HELD_PATTERN = /(분실|소실|파괴|소모|사용됨|버림|잃어버|lost|destroyed|consumed|used up|discarded|broken|紛失|破壊|消費|丢失|损坏|消耗|遗失)/i;
+
+/**
+ * 현재 상황 스냅샷 - 최신 요약과 등장인물/아이템 카탈로그 기준
+ * @returns {{date: string|null, time: string|null, location: string|null, relationship: string|null, characters: string[], items: Array<{name: string, owner: string}>}} - 찾지 못한 항목은 null
+ */
+export function getCurrentState() {
+    const context = getContext();
+    const chatLength = context?.chat?.length || 0;
+    const state = { ...getPreviousContext(chatLength, { activeOnly: true, unknownValue: null }), characters: [], items: [] };
+    
+    // 가장 최근의 유효한 요약 (그룹 요약이면 대표 항목 사용)
+    const data = getSummaryData();
+    const summaries = data?.summaries || {};
+    const latestIndex = Object.keys(summaries)
+        .map(Number)
+        .filter(i => i < chatLength)
+        .sort((a, b) => b - a)
+        .find(i => {
+            const summary = summaries[i];
+            const content = String(summary?.content ?? summary ?? '');
+            return summary?.hidden !== true && summary?.invalidated !== true
+                && !isGroupIncludedContent(content) && !isParsingFailedContent(content);
+        });
+    
+    // 현재 장면 인물: 최신 요약에 이름이 등장하는 등장인물
+    if (latestIndex !== undefined) {
+        const latest = summaries[latestIndex];
+        const latestContent = String(latest?.content ?? latest ?? '').toLowerCase();
+        state.characters = Object.keys(getRelevantCharacters())
+            .filter(name => textMentionsName(latestContent, name));
+    }
+    
+    // 주요 보유 아이템: 소유자가 있고 중요도가 낮지 않으며 잃지 않은 아이템
+    state.items = getRelevantItems()
+        .filter(item => item.owner && item.importance !== 'low' && !ITEM_NOT_HELD_PATTERN.test(item.status || ''))
+        .sort((a, b) => (a.importance === 'high' ? 0 : 1) - (b.importance === 'high' ? 0 : 1))
+        .map(item => ({ name: item.name, owner: item.owner }));
+    
+    return state;
+}
+
+// ===== 로어북 연결 =====
+
+/**
+ * 현재 채팅에 연결된 로어북 이름
+ * @returns {string|null}
+ */
+export function getBoundLorebook() {
+    const data = getSummaryData();
+    return data?.lorebookName || null;
+}
+
+/**
+ * 현재 채팅에 로어북 연결/해제
+ * @param {string|null} name - 로어북 이름 (null = 연결 해제)
+ */
+export function setBoundLorebook(name) {
+    const data = getSummaryData();
+    if (!data) return;
+    
+    data.lorebookName = name || null;
 }
 
 // ===== 인계된 요약 (Legacy Summaries) 관리 =====
@@ -1607,6 +2247,7 @@ export function addEvent(eventData) {
         participants: eventData.participants || [],
         importance: eventData.importance || 'medium',
         tags: eventData.tags || [],
+        ...(eventData.sourceSwipeIds ? { sourceSwipeIds: eventData.sourceSwipeIds } : {}),
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
@@ -1771,6 +2412,7 @@ export function addItem(itemData) {
         status: itemData.status || '보유중',
         messageIndex: itemData.messageIndex || null,
         acquiredAt: itemData.acquiredAt || null,
+        ...(itemData.sourceSwipeIds ? { sourceSwipeIds: itemData.sourceSwipeIds } : {}),
         createdAt: Date.now(),
         updatedAt: Date.now()
     };
@@ -1832,6 +2474,83 @@ export function clearItems() {
     data.lastUpdate = new Date().toLocaleString("ko-KR");
 }
 
+// ===== 메모 (로어북에서 가져온 참고 항목) 관리 =====
+
+/**
+ * 모든 메모 가져오기
+ * @returns {Array}
+ */
+export function getNotes() {
+    const data = getSummaryData();
+    return data?.notes || [];
+}
+
+/**
+ * 메모 추가
+ * @param {Object} noteData - { title, content, source }
+ * @returns {Object|null} - 추가된 메모
+ */
+export function addNote(noteData) {
+    const data = getSummaryData();
+    if (!data) return null;
+    if (!data.notes) data.notes = [];
+    
+    const newNote = {
+        id: `note_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        title: noteData.title || '제목 없음',
+        content: noteData.content || '',
+        source: noteData.source || null,
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+    };
+    
+    data.notes.push(newNote);
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return newNote;
+}
+
+/**
+ * 메모 수정
+ * @param {string} noteId - 메모 ID
+ * @param {Object} updates - 수정할 필드
+ * @returns {boolean}
+ */
+export function updateNote(noteId, updates) {
+    const data = getSummaryData();
+    if (!data || !data.notes) return false;
+    
+    const index = data.notes.findIndex(n => n.id === noteId);
+    if (index === -1) return false;
+    
+    data.notes[index] = {
+        ...data.notes[index],
+        ...updates,
+        updatedAt: Date.now()
+    };
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return true;
+}
+
+/**
+ * 메모 삭제
+ * @param {string} noteId - 메모 ID
+ * @returns {boolean}
+ */
+export function deleteNote(noteId) {
+    const data = getSummaryData();
+    if (!data || !data.notes) return false;
+    
+    const index = data.notes.findIndex(n => n.id === noteId);
+    if (index === -1) return false;
+    
+    data.notes.splice(index, 1);
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return true;
+}
+
 /**
  * 이벤트/아이템 포함하여 내보내기 데이터 생성
  * @param {string} mode - 'current', 'legacy', 'all'
@@ -1885,7 +2604,10 @@ export function importDataWithEventsItems(importData, mode = 'full') {
         if (mode === 'full') {
             // 전체 복원
             if (importData.summaries) {
-                data.summaries = importData.summaries;
+                const previous = data.summaries || {};
+                data.summaries = Object.fromEntries(Object.entries(importData.summaries)
+                    .map(([index, summary]) => [index, withImportHistory(previous[index], summary)]));
+                backfillSummaryFields(data.summaries);
                 counts.summaries = Object.keys(importData.summaries).length;
             }
             if (importData.legacySummaries) {
@@ -1904,6 +2626,9 @@ export function importDataWithEventsItems(importData, mode = 'full') {
                 data.items = importData.items;
                 counts.items = importData.items.length;
             }
+            if (importData.arcs) {
+                data.arcs = importData.arcs;
+            }
         }
         
         data.lastUpdate = new Date().toLocaleString("ko-KR");
@@ -1914,3 +2639,285 @@ export function importDataWithEventsItems(importData, mode = 'full') {
         return { success: false, error: error.message };
     }
 }
+
+// ===== 아크 롤업 관리 함수 =====
+// 1단계 아크는 연속된 요약(그룹 요약) N개를, 2단계 이상 아크는 하위 단계 아크 N개를 묶는다.
+// childKeys: 1단계 = 요약 인덱스 배열, 2단계 이상 = 하위 아크 ID 배열
+// sourceHash: 생성 당시 하위 항목 내용의 해시 (달라지면 재생성 대상)
+
+/**
+ * 간단한 문자열 해시 (아크 하위 내용 / 로어북 원본 변경 감지용)
+ * @param {string} str
+ * @returns {string}
+ */
+export function hashText(str) {
+    let hash = 0;
+    for (let i = 0, len = str.length; i < len; i++) {
+        hash = ((hash << 5) - hash + str.charCodeAt(i)) | 0;
+    }
+    return hash + '_' + str.length;
+}
+
+/**
+ * 요약 항목의 메시지 범위 계산 (그룹 요약은 #X-Y 헤더 기준)
+ * @param {number} key - 요약 인덱스
+ * @param {string} content - 요약 내용
+ * @returns {{start: number, end: number}}
+ */
+function getSummaryEntryRange(key, content) {
+    const rangeMatch = String(content).match(/^#(\d+)-(\d+)/);
+    if (rangeMatch) {
+        return { start: parseInt(rangeMatch[1]), end: parseInt(rangeMatch[2]) };
+    }
+    return { start: key, end: key };
+}
+
+/**
+ * 아크의 하위 항목으로 사용할 수 있는 요약인지 확인
+ * 숨김/무효화/파싱 실패 요약은 아크에 넣지 않음 (주입에서 제외되는 내용이 아크로 새지 않도록)
+ * @param {Object} summary
+ * @returns {boolean}
+ */
+function isArcEligibleSummary(summary) {
+    if (!summary || typeof summary !== 'object') return false;
+    const content = String(summary.content ?? '');
+    if (!content.trim()) return false;
+    if (isGroupIncludedContent(content) || isParsingFailedContent(content)) return false;
+    return summary.hidden !== true && summary.invalidated !== true;
+}
+
+/**
+ * 모든 아크 가져오기
+ * @returns {Array}
+ */
+export function getArcs() {
+    const data = getSummaryData();
+    if (!data) return [];
+    if (!data.arcs) data.arcs = [];
+    return data.arcs;
+}
+
+/**
+ * 특정 아크 가져오기
+ * @param {string} arcId - 아크 ID
+ * @returns {Object|null}
+ */
+export function getArc(arcId) {
+    return getArcs().find(a => a.id === arcId) || null;
+}
+
+/**
+ * 아크 추가
+ * @param {Object} arcData - { tier, childKeys, startIndex, endIndex, content, sourceHash }
+ * @returns {Object|null} - 추가된 아크
+ */
+export function addArc(arcData) {
+    const data = getSummaryData();
+    if (!data) return null;
+    if (!data.arcs) data.arcs = [];
+    
+    const newArc = {
+        id: `arc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        tier: arcData.tier || 1,
+        childKeys: arcData.childKeys || [],
+        startIndex: arcData.startIndex,
+        endIndex: arcData.endIndex,
+        content: arcData.content || '',
+        sourceHash: arcData.sourceHash || '',
+        edited: false,
+        timestamp: new Date().toISOString()
+    };
+    
+    data.arcs.push(newArc);
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return newArc;
+}
+
+/**
+ * 아크 수정
+ * @param {string} arcId - 아크 ID
+ * @param {Object} updates - 수정할 필드들
+ * @returns {boolean}
+ */
+export function updateArc(arcId, updates) {
+    const data = getSummaryData();
+    if (!data || !data.arcs) return false;
+    
+    const index = data.arcs.findIndex(a => a.id === arcId);
+    if (index === -1) return false;
+    
+    data.arcs[index] = {
+        ...data.arcs[index],
+        ...updates,
+        timestamp: new Date().toISOString()
+    };
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return true;
+}
+
+/**
+ * 아크 삭제
+ * @param {string} arcId - 아크 ID
+ * @returns {boolean}
+ */
+export function deleteArc(arcId) {
+    const data = getSummaryData();
+    if (!data || !data.arcs) return false;
+    
+    const index = data.arcs.findIndex(a => a.id === arcId);
+    if (index === -1) return false;
+    
+    data.arcs.splice(index, 1);
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+    
+    return true;
+}
+
+/**
+ * 모든 아크 삭제
+ */
+export function clearArcs() {
+    const data = getSummaryData();
+    if (!data) return;
+    data.arcs = [];
+    data.lastUpdate = new Date().toLocaleString("ko-KR");
+}
+
+/**
+ * 아크의 현재 하위 항목 목록 (하나라도 없거나 사용할 수 없으면 null)
+ * @param {Object} arc - 아크
+ * @param {Object} [summaries] - 현재 유효한 요약 (생략 시 getRelevantSummaries)
+ * @returns {Array<{key: number|string, start: number, end: number, content: string}>|null}
+ */
+export function getArcChildren(arc, summaries = null) {
+    if (!arc || !Array.isArray(arc.childKeys) || arc.childKeys.length === 0) return null;
+    
+    const children = [];
+    if ((arc.tier || 1) === 1) {
+        const relevant = summaries || getRelevantSummaries();
+        for (const key of arc.childKeys) {
+            const summary = relevant[key];
+            if (!isArcEligibleSummary(summary)) return null;
+            const content = String(summary.content);
+            children.push({ key, ...getSummaryEntryRange(key, content), content });
+        }
+    } else {
+        const arcs = getArcs();
+        for (const childId of arc.childKeys) {
+            const child = arcs.find(a => a.id === childId);
+            if (!child || child.tier !== arc.tier - 1 || !child.content) return null;
+            children.push({ key: childId, start: child.startIndex, end: child.endIndex, content: child.content });
+        }
+    }
+    return children;
+}
+
+/**
+ * 하위 항목 내용 해시 계산 (sourceHash 비교용)
+ * 그룹 헤더(#X-Y)는 메시지 삭제 시 번호만 바뀌므로 해시에서 제외
+ * @param {Array<{content: string}>} children
+ * @returns {string}
+ */
+export function computeArcSourceHash(children) {
+    return hashText(children.map(c => String(c.content).replace(/^#\d+-\d+\s*\n?/, '')).join('\n\u0000'));
+}
+
+/**
+ * 아크 상태 확인
+ * - 'orphaned': 하위 항목이 삭제/숨김/무효화됨 → 제거 대상
+ * - 'pending': 아직 내용이 없음 → 생성 대상
+ * - 'stale': 하위 항목이 수정/재요약됨 → 재생성 대상
+ * - 'ok': 주입에 사용 가능
+ * @param {Object} arc - 아크
+ * @param {Object} [summaries] - 현재 유효한 요약 (생략 시 getRelevantSummaries)
+ * @returns {'ok'|'stale'|'pending'|'orphaned'}
+ */
+export function getArcStatus(arc, summaries = null) {
+    const children = getArcChildren(arc, summaries);
+    if (!children) return 'orphaned';
+    if (!arc.content || !String(arc.content).trim()) return 'pending';
+    if (arc.sourceHash !== computeArcSourceHash(children)) return 'stale';
+    return 'ok';
+}
+
+/**
+ * 새 아크로 묶을 수 있는 하위 항목 묶음 목록
+ * 아직 같은 단계 아크에 포함되지 않은 연속 항목을 spanSize개씩 묶음 (모자라는 나머지는 다음 기회에)
+ * @param {number} tier - 생성할 아크 단계
+ * @param {number} spanSize - 아크 하나가 묶는 하위 항목 수
+ * @returns {Array<Array<{key: number|string, start: number, end: number, content: string}>>}
+ */
+export function getArcCandidateSpans(tier, spanSize) {
+    const size = Math.max(2, spanSize || 10);
+    const arcs = getArcs();
+    const covered = new Set(arcs.filter(a => a.tier === tier).flatMap(a => a.childKeys || []));
+    
+    // 같은 단계의 후보 항목을 시간순으로 나열 (null = 연속성을 끊는 항목)
+    const sequence = [];
+    if (tier === 1) {
+        const summaries = getRelevantSummaries();
+        const keys = Object.keys(summaries).map(Number).sort((a, b) => a - b);
+        for (const key of keys) {
+            const summary = summaries[key];
+            const content = String(summary?.content ?? '');
+            if (isGroupIncludedContent(content)) continue;
+            if (covered.has(key) || !isArcEligibleSummary(summary)) {
+                sequence.push(null);
+                continue;
+            }
+            sequence.push({ key, ...getSummaryEntryRange(key, content), content });
+        }
+    } else {
+        const summaries = getRelevantSummaries();
+        const lowerArcs = arcs
+            .filter(a => a.tier === tier - 1)
+            .sort((a, b) => a.startIndex - b.startIndex);
+        for (const arc of lowerArcs) {
+            if (covered.has(arc.id) || getArcStatus(arc, summaries) !== 'ok') {
+                sequence.push(null);
+                continue;
+            }
+            sequence.push({ key: arc.id, start: arc.startIndex, end: arc.endIndex, content: arc.content });
+        }
+    }
+    
+    // 연속 구간을 spanSize개씩 분할
+    const spans = [];
+    let run = [];
+    for (const entry of [...sequence, null]) {
+        if (entry) {
+            run.push(entry);
+            if (run.length === size) {
+                spans.push(run);
+                run = [];
+            }
+        } else {
+            run = [];
+        }
+    }
+    return spans;
+}
+
+/**
+ * 메시지 삭제 후 아크 범위 재매핑
+ * 삭제된 메시지를 포함하던 아크는 하위 구성이 달라지므로 제거 (다음 갱신 시 다시 생성)
+ * @param {Object} data - 요약 데이터
+ * @param {number} deletedIndex - 삭제된 메시지 인덱스
+ */
+function remapArcsAfterDeletion(data, deletedIndex) {
+    if (!Array.isArray(data.arcs) || data.arcs.length === 0) return;
+    
+    data.arcs = data.arcs.filter(arc => !(deletedIndex >= arc.startIndex && deletedIndex <= arc.endIndex));
+    
+    for (const arc of data.arcs) {
+        if (arc.startIndex > deletedIndex) {
+            arc.startIndex -= 1;
+            arc.endIndex -= 1;
+            if ((arc.tier || 1) === 1) {
+                arc.childKeys = arc.childKeys.map(key => key > deletedIndex ? key - 1 : key);
+            }
+        }
+    }
+}
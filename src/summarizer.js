@@ -22,15 +22,24 @@ import {
     PARSING_FAILED_MARKER,
     isParsingFailedContent,
     isGroupIncludedContent,
-    DEFAULT_COMPRESS_PROMPT_TEMPLATE
+    DEFAULT_COMPRESS_PROMPT_TEMPLATE,
+    DEFAULT_ARC_PROMPT_TEMPLATE,
+    SCENE_BREAK_PATTERN,
+    PROMPT_SECTION_LABELS,
+    cleanJsonBlocks
 } from './constants.js';
 import { log, getSettings, startSummarizing, stopSummarizing, shouldStop, isSummarizing, logError } from './state.js';
-import { getSummaryData, saveSummaryData, setSummaryForMessage, formatCharactersText, mergeExtractedCharacters, getPreviousContext, getRecentSummariesForContext, addEvent, addItem } from './storage.js';
-import { callSummaryAPI } from './api.js';
+import { getSummaryData, saveSummaryData, setSummaryForMessage, formatCharactersText, mergeExtractedCharacters, getPreviousContext, getRecentSummariesForContext, addEvent, addItem, getSwipeIdsForRange, withEntrySwipeId, getSummarySceneFields, findSummaryUnverifiedQuotes, getCurrentChatId, getRelevantSummaries, getArcs, getArc, addArc, updateArc, deleteArc, getArcChildren, getArcStatus, getArcCandidateSpans, computeArcSourceHash } from './storage.js';
+import { callSummaryAPI, getSummaryModelLabel, getSummaryPromptWrapper } from './api.js';
+import { preprocessMessageText } from './preprocess.js';
 import { applyMessageVisibility } from './visibility.js';
-import { injectSummaryToPrompt } from './injection.js';
+import { injectSummaryToPrompt, countTokensCached } from './injection.js';
+import { getTokenCounter, getTokenizerId } from './ui.js';
+import { autoSyncLorebook, getActivatedWorldInfoEntries } from './lorebook.js';
+import { buildJsonOutputBlock, buildSummaryJsonSchema, getCategoryLabelsFromFormat, normalizeJsonSummaryResponse } from './json-output.js';
 
 // ===== 사전 컴파일된 정규식 =====
+const REGEX_PREV_DATE = /\{\{PREV_DATE\}\}/g;
 const REGEX_PREV_TIME = /\{\{PREV_TIME\}\}/g;
 const REGEX_PREV_LOCATION = /\{\{PREV_LOCATION\}\}/g;
 const REGEX_PREV_RELATIONSHIP = /\{\{PREV_RELATIONSHIP\}\}/g;
@@ -41,6 +50,9 @@ const EVENTS_BLOCK_PATTERN = () => /\[EVENTS(?:_JSON)?\]\s*([\s\S]*?)\s*\[\/.{0,
 const ITEMS_BLOCK_PATTERN = () => /\[ITEMS(?:_JSON)?\]\s*([\s\S]*?)\s*\[\/.{0,5}ITEMS(?:_JSON)?\]/gi;
 const REGEX_GROUP_HEADER = /^#\d+-\d+\s*\n?/;
 
+// 기존 요약이 부족할 때 요약 1개당 예상 출력 토큰 (토큰 기준 청크 분할용)
+const DEFAULT_OUTPUT_TOKENS_PER_SUMMARY = 200;
+
 /**
  * 요약 응답이 불완전한지 검증
  * @param {string} content - 요약 내용
@@ -145,13 +157,33 @@ function parseFallback(text, startNum, endNum, totalGroups = 1) {
     }
 }
 
+/**
+ * 요약할 메시지 범위에서 활성화되는 월드인포 항목 (월드인포 포함 설정이 꺼져 있으면 빈 배열)
+ * @param {Array} messages - 요약할 메시지 배열
+ * @returns {Promise<Array<{book: string, uid: number, title: string, content: string}>>}
+ */
+export async function getWorldInfoForMessages(messages) {
+    const settings = getSettings();
+    if (!settings.includeWorldInfo) return [];
+    
+    try {
+        const entries = await getActivatedWorldInfoEntries(messages.map(msg => (msg ? preprocessMessageText(msg) : '')));
+        log(`World Info activated for summary: ${entries.length} entries${entries.length > 0 ? ` (${entries.map(e => e.title).join(', ')})` : ''}`);
+        return entries;
+    } catch (e) {
+        log(`Failed to get world info: ${e.message}`);
+        return [];
+    }
+}
+
 /**
  * SillyTavern에서 프로필 정보 가져오기 (캐릭터 카드, 페르소나, 월드인포)
  * 요약 시 캐릭터와 유저의 컨텍스트 정보를 제공
  * @param {boolean} isRawPrompt - raw 프롬프트 모드 여부 (true면 캐릭터 Scenario 제외)
+ * @param {Array<{title: string, content: string}>} [worldInfoEntries=[]] - 요약 범위에서 활성화된 월드인포 항목
  * @returns {string} - 프로필 정보 텍스트
  */
-function getProfileInfo(isRawPrompt = false) {
+function getProfileInfo(isRawPrompt = false, worldInfoEntries = []) {
     const context = getContext();
     if (!context) return '';
     
@@ -194,39 +226,64 @@ function getProfileInfo(isRawPrompt = false) {
         log(`Failed to get persona data: ${e.message}`);
     }
     
-    // 3. 월드인포 / 로어북
-    try {
-        const worldInfo = context.worldInfo || context.world_info || [];
-        
-        if (worldInfo && worldInfo.length > 0) {
-            profileText += '## World Info / Lorebook\n';
-            for (const entry of worldInfo) {
-                if (entry && (entry.content || entry.entry)) {
-                    const entryContent = entry.content || entry.entry || '';
-                    const entryKeys = entry.keys || entry.key || [];
-                    const keyStr = Array.isArray(entryKeys) ? entryKeys.join(', ') : entryKeys;
-                    if (keyStr) {
-                        profileText += `### ${keyStr}\n${entryContent}\n\n`;
-                    } else {
-                        profileText += `${entryContent}\n\n`;
-                    }
-                }
-            }
+    // 3. 월드인포 / 로어북 (요약 범위에서 활성화된 항목만)
+    if (worldInfoEntries.length > 0) {
+        profileText += `## World Info / Lorebook (activated: ${worldInfoEntries.map(entry => entry.title).join(', ')})\n`;
+        for (const entry of worldInfoEntries) {
+            profileText += `### ${entry.title}\n${entry.content}\n\n`;
         }
-    } catch (e) {
-        log(`Failed to get world info: ${e.message}`);
     }
     
     return profileText.trim();
 }
 
+/**
+ * 프롬프트 섹션을 하나의 문자열로 합치기
+ * @param {Array<{key: string, text: string}>} sections
+ * @returns {string}
+ */
+function joinPromptSections(sections) {
+    return sections.map(section => section.text).join('');
+}
+
+/**
+ * 프로필 섹션을 캐릭터/페르소나 부분과 월드인포 부분으로 분리 (드라이런 토큰 집계용)
+ * @param {string} profileSection - Reference Info 섹션 전체
+ * @param {Array} worldInfoEntries - 활성화된 월드인포 항목
+ * @returns {Array<{key: string, text: string}>}
+ */
+function splitProfileSection(profileSection, worldInfoEntries) {
+    const wiStart = worldInfoEntries.length > 0 ? profileSection.indexOf('## World Info / Lorebook (activated:') : -1;
+    if (wiStart === -1) {
+        return [{ key: 'profile', text: profileSection }, { key: 'worldInfo', text: '' }];
+    }
+    return [
+        { key: 'profile', text: profileSection.slice(0, wiStart) },
+        { key: 'worldInfo', text: profileSection.slice(wiStart) }
+    ];
+}
+
 /**
  * 개별 요약 프롬프트 생성 (batchSize 만큼 묶어서 개별 요약)
  * @param {Array} messages - 요약할 메시지 배열
  * @param {number} startIndex - 시작 인덱스
+ * @param {Array} [worldInfoEntries=[]] - 활성화된 월드인포 항목 (getWorldInfoForMessages)
+ * @param {number[]|null} [indices=null] - 메시지별 번호 (연속되지 않는 경우, 없으면 startIndex부터 순서대로)
  * @returns {string}
  */
-export function buildSummaryPrompt(messages, startIndex) {
+export function buildSummaryPrompt(messages, startIndex, worldInfoEntries = [], indices = null) {
+    return joinPromptSections(buildSummaryPromptSections(messages, startIndex, worldInfoEntries, indices));
+}
+
+/**
+ * 개별 요약 프롬프트를 섹션 단위로 생성 (합치면 buildSummaryPrompt 결과와 동일)
+ * @param {Array} messages - 요약할 메시지 배열
+ * @param {number} startIndex - 시작 인덱스
+ * @param {Array} [worldInfoEntries=[]] - 활성화된 월드인포 항목
+ * @param {number[]|null} [indices=null] - 메시지별 번호
+ * @returns {Array<{key: string, text: string}>}
+ */
+function buildSummaryPromptSections(messages, startIndex, worldInfoEntries = [], indices = null) {
     const settings = getSettings();
     const cats = settings.categories || {};
     const language = settings.summaryLanguage || 'ko';
@@ -234,8 +291,8 @@ export function buildSummaryPrompt(messages, startIndex) {
     // 메시지 포맷팅 (0-indexed)
     const formattedMessages = messages.map((msg, idx) => {
         const speaker = msg.name || (msg.is_user ? "User" : "Character");
-        const msgNum = startIndex + idx;
-        return `[#${msgNum}] ${speaker}: ${msg.mes}`;
+        const msgNum = indices ? indices[idx] : startIndex + idx;
+        return `[#${msgNum}] ${speaker}: ${preprocessMessageText(msg)}`;
     }).join("\n\n");
     
     // 카테고리별 출력 형식 (순서 적용)
@@ -263,14 +320,16 @@ export function buildSummaryPrompt(messages, startIndex) {
     // 사용자 커스텀 프롬프트 또는 기본 프롬프트 (지침만)
     let userInstructions = settings.customPromptTemplate || DEFAULT_PROMPT_TEMPLATE;
     
-    // 컨텍스트 체인: 이전 요약에서 시간/장소/관계 가져오기 (사전 컴파일된 정규식 사용)
+    // 컨텍스트 체인: 이전 요약에서 날짜/시간/장소/관계 가져오기 (사전 컴파일된 정규식 사용)
     const prevContext = getPreviousContext(startIndex);
     userInstructions = userInstructions
+        .replace(REGEX_PREV_DATE, prevContext.date)
         .replace(REGEX_PREV_TIME, prevContext.time)
         .replace(REGEX_PREV_LOCATION, prevContext.location)
         .replace(REGEX_PREV_RELATIONSHIP, prevContext.relationship);
     
     // 글로벌 정규식 lastIndex 리셋
+    REGEX_PREV_DATE.lastIndex = 0;
     REGEX_PREV_TIME.lastIndex = 0;
     REGEX_PREV_LOCATION.lastIndex = 0;
     REGEX_PREV_RELATIONSHIP.lastIndex = 0;
@@ -281,6 +340,7 @@ export function buildSummaryPrompt(messages, startIndex) {
     // 이전 컨텍스트 정보 추가 (프롬프트에 직접 전달 - 최소 정보, 항상 포함)
     const contextInfo = `
 ## Previous Summary State (for continuity)
+* Previous Date: ${prevContext.date}
 * Previous Time: ${prevContext.time}
 * Previous Location: ${prevContext.location}
 * Previous Relationship: ${prevContext.relationship}
@@ -297,7 +357,7 @@ ${recentSummaries}
     // 프로필 정보 가져오기 (캐릭터 카드/페르소나/월드인포)
     // raw 프롬프트 모드인지 확인
     const isRawPrompt = settings.useRawPrompt || false;
-    const profileInfo = getProfileInfo(isRawPrompt);
+    const profileInfo = getProfileInfo(isRawPrompt, worldInfoEntries);
     const profileSection = profileInfo ? `
 ## Reference Info (Character Card/Persona/World Info)
 ${profileInfo}
@@ -337,23 +397,86 @@ Example output structure:
 ` : '';
     
     // 최종 프롬프트 조립: 언어 + 지침 + 프로필정보 + 이전컨텍스트 + 이전요약 + 기존캐릭터 + 메시지 + 출력형식
-    const prompt = `${langInstruction}
-
-${userInstructions}
-${profileSection}${contextInfo}${recentSummariesSection}
-${existingChars}
-## Messages to Summarize
-${formattedMessages}
-${completionEmphasis}${langReminder}
+    const sections = [
+        { key: 'language', text: `${langInstruction}\n\n` },
+        { key: 'instructions', text: `${userInstructions}\n` },
+        ...splitProfileSection(profileSection, worldInfoEntries),
+        { key: 'context', text: contextInfo },
+        { key: 'recent', text: recentSummariesSection },
+        { key: 'characters', text: `\n${existingChars}` },
+        { key: 'messages', text: `\n## Messages to Summarize\n${formattedMessages}\n` },
+        { key: 'reminder', text: `${completionEmphasis}${langReminder}` }
+    ];
+    
+    // JSON 출력 모드: 텍스트 출력 형식/추출 블록 대신 JSON 스키마 지시
+    if (settings.jsonOutputMode) {
+        const ids = (indices || messages.map((_, idx) => startIndex + idx)).map(num => `#${num}`);
+        sections.push({ key: 'output', text: buildJsonModeOutputSection(settings, ids, categoryFormat) });
+        return sections;
+    }
+    
+    sections.push(
+        { key: 'output', text: `
 ## Output Format (MANDATORY - Follow EXACTLY)
 **⚠️ Output ONE separate section per message. Do NOT combine or merge multiple messages into one summary.**
 **Each message MUST start with #MessageNumber on its own line.**
 
 #MessageNumber
 ${categoryFormat || '* Scenario: (Integrate key events and dialogue narratively)'}
-${formatExample}${characterExtraction}${eventExtraction}${itemExtraction}`;
+${formatExample}` },
+        { key: 'extraction', text: `${characterExtraction}${eventExtraction}${itemExtraction}` }
+    );
     
-    return prompt;
+    return sections;
+}
+
+/**
+ * 켜져 있는 추출 항목 (등장인물/이벤트/아이템)
+ * @param {Object} settings - 확장 설정
+ * @returns {{characters: boolean, events: boolean, items: boolean}}
+ */
+function getExtractionFlags(settings) {
+    return {
+        characters: settings.characterTrackingEnabled !== false,
+        events: !!settings.eventTrackingEnabled,
+        items: !!settings.itemTrackingEnabled
+    };
+}
+
+/**
+ * JSON 출력 모드의 출력 형식 섹션 (이벤트/아이템 선별 기준 + JSON 스키마 지시)
+ * @param {Object} settings - 확장 설정
+ * @param {string[]} ids - 출력해야 할 항목 ID ("#12" 또는 "#10-14")
+ * @param {string} categoryFormat - 카테고리 형식 문자열
+ * @returns {string}
+ */
+function buildJsonModeOutputSection(settings, ids, categoryFormat) {
+    const extraction = getExtractionFlags(settings);
+    let criteria = '';
+    if (extraction.events) {
+        criteria += `\n${settings.customEventPromptTemplate || DEFAULT_EVENT_PROMPT_TEMPLATE}\n`;
+    }
+    if (extraction.items) {
+        criteria += `\n${settings.customItemPromptTemplate || DEFAULT_ITEM_PROMPT_TEMPLATE}\n`;
+    }
+    return `${criteria}${buildJsonOutputBlock(ids, categoryFormat, extraction)}`;
+}
+
+/**
+ * 요약 API 호출 (JSON 출력 모드면 스키마를 함께 보내고 응답을 기존 파서 형식으로 변환)
+ * @param {string} prompt - buildSummaryPrompt / buildBatchGroupsPrompt 결과
+ * @returns {Promise<string>}
+ */
+async function requestSummary(prompt) {
+    const settings = getSettings();
+    if (!settings.jsonOutputMode) {
+        return await callSummaryAPI(prompt);
+    }
+    
+    const categoryFormat = buildCategoryFormat(settings.categories || {}, settings.categoryOrder);
+    const jsonSchema = buildSummaryJsonSchema(getCategoryLabelsFromFormat(categoryFormat), getExtractionFlags(settings));
+    const response = await callSummaryAPI(prompt, { jsonSchema });
+    return normalizeJsonSummaryResponse(response);
 }
 
 /**
@@ -426,9 +549,21 @@ function buildCategoryFormat(cats, categoryOrder) {
  * 묶음(배치) 요약 프롬프트 생성
  * @param {Array} groups - [{indices: [0,1,2], messages: [msg,msg,msg]}, ...]
  * @param {Object} settings - 확장 설정
+ * @param {Array} [worldInfoEntries=[]] - 활성화된 월드인포 항목 (getWorldInfoForMessages)
  * @returns {string}
  */
-export function buildBatchGroupsPrompt(groups, settings) {
+export function buildBatchGroupsPrompt(groups, settings, worldInfoEntries = []) {
+    return joinPromptSections(buildBatchGroupsPromptSections(groups, settings, worldInfoEntries));
+}
+
+/**
+ * 묶음(배치) 요약 프롬프트를 섹션 단위로 생성 (합치면 buildBatchGroupsPrompt 결과와 동일)
+ * @param {Array} groups - [{indices: [0,1,2], messages: [msg,msg,msg]}, ...]
+ * @param {Object} settings - 확장 설정
+ * @param {Array} [worldInfoEntries=[]] - 활성화된 월드인포 항목
+ * @returns {Array<{key: string, text: string}>}
+ */
+function buildBatchGroupsPromptSections(groups, settings, worldInfoEntries = []) {
     const cats = settings.categories || {};
     const language = settings.summaryLanguage || 'ko';
     
@@ -453,7 +588,7 @@ export function buildBatchGroupsPrompt(groups, settings) {
             const msg = group.messages[i];
             const msgNum = group.indices[i];
             const speaker = msg.name || (msg.is_user ? "User" : "Character");
-            groupsText += `[#${msgNum}] ${speaker}: ${msg.mes}\n\n`;
+            groupsText += `[#${msgNum}] ${speaker}: ${preprocessMessageText(msg)}\n\n`;
         }
     }
     
@@ -479,14 +614,16 @@ export function buildBatchGroupsPrompt(groups, settings) {
     // 사용자 커스텀 프롬프트 또는 기본 프롬프트 (지침만)
     let userInstructions = settings.customBatchPromptTemplate || DEFAULT_BATCH_PROMPT_TEMPLATE;
     
-    // 컨텍스트 체인: 이전 요약에서 시간/장소/관계 가져오기 (사전 컴파일된 정규식 사용)
+    // 컨텍스트 체인: 이전 요약에서 날짜/시간/장소/관계 가져오기 (사전 컴파일된 정규식 사용)
     const prevContext = getPreviousContext(startIndex);
     userInstructions = userInstructions
+        .replace(REGEX_PREV_DATE, prevContext.date)
         .replace(REGEX_PREV_TIME, prevContext.time)
         .replace(REGEX_PREV_LOCATION, prevContext.location)
         .replace(REGEX_PREV_RELATIONSHIP, prevContext.relationship);
     
     // 글로벌 정규식 lastIndex 리셋
+    REGEX_PREV_DATE.lastIndex = 0;
     REGEX_PREV_TIME.lastIndex = 0;
     REGEX_PREV_LOCATION.lastIndex = 0;
     REGEX_PREV_RELATIONSHIP.lastIndex = 0;
@@ -494,6 +631,7 @@ export function buildBatchGroupsPrompt(groups, settings) {
     // 이전 컨텍스트 정보 추가 (프롬프트에 직접 전달 - 최소 정보, 항상 포함)
     const contextInfo = `
 ## Previous Summary State (for continuity)
+* Previous Date: ${prevContext.date}
 * Previous Time: ${prevContext.time}
 * Previous Location: ${prevContext.location}
 * Previous Relationship: ${prevContext.relationship}
@@ -513,7 +651,7 @@ ${recentSummaries}
     // 프로필 정보 가져오기 (캐릭터 카드/페르소나/월드인포)
     // raw 프롬프트 모드인지 확인
     const isRawPrompt = settings.useRawPrompt || false;
-    const profileInfo = getProfileInfo(isRawPrompt);
+    const profileInfo = getProfileInfo(isRawPrompt, worldInfoEntries);
     const profileSection = profileInfo ? `
 ## Reference Info (Character Card/Persona/World Info)
 ${profileInfo}
@@ -523,16 +661,25 @@ ${profileInfo}
     const langReminder = LANG_REMINDERS[language] || LANG_REMINDERS['ko'];
     
     // 최종 프롬프트 조립: 언어 + 지침 + 프로필정보 + 이전컨텍스트 + 이전요약 + 등장인물 + 메시지 + 출력형식
-    const prompt = `${langInstruction}
-
-${userInstructions}
-${profileSection}${contextInfo}${recentSummariesSection}
-## Existing Characters
-${existingChars || '(None)'}
-
-## Messages to Summarize
-${groupsText}
-${langReminder}
+    const sections = [
+        { key: 'language', text: `${langInstruction}\n\n` },
+        { key: 'instructions', text: `${userInstructions}\n` },
+        ...splitProfileSection(profileSection, worldInfoEntries),
+        { key: 'context', text: contextInfo },
+        { key: 'recent', text: recentSummariesSection },
+        { key: 'characters', text: `\n## Existing Characters\n${existingChars || '(None)'}\n` },
+        { key: 'messages', text: `\n## Messages to Summarize\n${groupsText}\n` },
+        { key: 'reminder', text: langReminder }
+    ];
+    
+    // JSON 출력 모드: 텍스트 출력 형식/추출 블록 대신 JSON 스키마 지시
+    if (settings.jsonOutputMode) {
+        sections.push({ key: 'output', text: buildJsonModeOutputSection(settings, groupRanges, categoryFormat) });
+        return sections;
+    }
+    
+    sections.push(
+        { key: 'output', text: `
 ## Output Format (Required - for each batch)
 **IMPORTANT: Output summaries FIRST, then extraction blocks at the very end.**
 
@@ -540,18 +687,30 @@ ${langReminder}
 ${outputFormatExample}
 
 (repeat for each batch)
-${characterExtraction}${eventExtraction}${itemExtraction}`;
+` },
+        { key: 'extraction', text: `${characterExtraction}${eventExtraction}${itemExtraction}` }
+    );
     
-    return prompt;
+    return sections;
+}
+
+/**
+ * 응답이 다루는 메시지 범위의 스와이프 번호 (도감 항목 출처 기록용, 범위가 없으면 null)
+ * @param {{start: number, end: number}|null} sourceRange
+ * @returns {Object|null}
+ */
+function getSourceSwipeIds(sourceRange) {
+    return sourceRange ? getSwipeIdsForRange(sourceRange.start, sourceRange.end) : null;
 }
 
 /**
  * AI 응답에서 캐릭터 추출 및 저장 (마커 형식 + JSON 형식 둘 다 지원)
  * @param {string} response - API 응답
  * @param {number} messageIndex - 첫 등장으로 기록할 메시지 인덱스
+ * @param {{start: number, end: number}|null} [sourceRange=null] - 응답이 다루는 메시지 범위 (출처 스와이프 기록용)
  * @returns {string} - 캐릭터 블록 부분이 제거된 응답
  */
-function extractAndSaveCharacters(response, messageIndex) {
+function extractAndSaveCharacters(response, messageIndex, sourceRange = null) {
     const settings = getSettings();
     if (settings.characterTrackingEnabled === false) {
         log(`Character tracking disabled, skipping extraction`);
@@ -567,6 +726,8 @@ function extractAndSaveCharacters(response, messageIndex) {
         return response;
     }
     
+    const sourceSwipeIds = getSourceSwipeIds(sourceRange);
+    
     // 정규식: 함수 내 새 인스턴스 생성으로 lastIndex 경합 방지
     const charBlockRegex = CHARACTERS_BLOCK_PATTERN();
     let match;
@@ -589,7 +750,7 @@ function extractAndSaveCharacters(response, messageIndex) {
                     const characters = JSON.parse(content);
                     if (Object.keys(characters).length > 0) {
                         log(`Parsed ${Object.keys(characters).length} characters (JSON): ${Object.keys(characters).join(', ')}`);
-                        mergeExtractedCharacters(characters, messageIndex);
+                        mergeExtractedCharacters(characters, messageIndex, sourceSwipeIds);
                         extractedCount += Object.keys(characters).length;
                     }
                 } catch (e) {
@@ -632,7 +793,7 @@ function extractAndSaveCharacters(response, messageIndex) {
                 
                 if (Object.keys(characters).length > 0) {
                     log(`Parsed ${Object.keys(characters).length} characters (marker): ${Object.keys(characters).join(', ')}`);
-                    mergeExtractedCharacters(characters, messageIndex);
+                    mergeExtractedCharacters(characters, messageIndex, sourceSwipeIds);
                     extractedCount += Object.keys(characters).length;
                 }
             }
@@ -655,9 +816,10 @@ function extractAndSaveCharacters(response, messageIndex) {
  * 이벤트 추출 및 저장 (마커 형식 + JSON 형식 둘 다 지원)
  * @param {string} response - API 응답
  * @param {number} messageIndex - 메시지 인덱스
+ * @param {{start: number, end: number}|null} [sourceRange=null] - 응답이 다루는 메시지 범위 (출처 스와이프 기록용)
  * @returns {string} - 이벤트 블록 부분을 제거한 응답
  */
-function extractAndSaveEvents(response, messageIndex) {
+function extractAndSaveEvents(response, messageIndex, sourceRange = null) {
     const settings = getSettings();
     
     // 이벤트 추적이 비활성화된 경우 정리만 하고 반환
@@ -670,6 +832,7 @@ function extractAndSaveEvents(response, messageIndex) {
         return response;
     }
     
+    const sourceSwipeIds = getSourceSwipeIds(sourceRange);
     const eventBlockRegex = EVENTS_BLOCK_PATTERN();
     let match;
     let extractedCount = 0;
@@ -696,7 +859,8 @@ function extractAndSaveEvents(response, messageIndex) {
                                     participants: event.participants || [],
                                     importance: event.importance || 'high',
                                     date: new Date().toLocaleDateString('ko-KR'),
-                                    messageIndex: eventMessageIndex
+                                    messageIndex: eventMessageIndex,
+                                    sourceSwipeIds: withEntrySwipeId(sourceSwipeIds, eventMessageIndex)
                                 });
                                 extractedCount++;
                             }
@@ -730,7 +894,8 @@ function extractAndSaveEvents(response, messageIndex) {
                             participants: participants,
                             importance: importance.toLowerCase() === 'high' || importance.toLowerCase() === 'medium' || importance.toLowerCase() === 'low' ? importance.toLowerCase() : 'high',
                             date: new Date().toLocaleDateString('ko-KR'),
-                            messageIndex: eventMessageIndex
+                            messageIndex: eventMessageIndex,
+                            sourceSwipeIds: withEntrySwipeId(sourceSwipeIds, eventMessageIndex)
                         });
                         extractedCount++;
                     }
@@ -750,9 +915,10 @@ function extractAndSaveEvents(response, messageIndex) {
  * 아이템 추출 및 저장 (마커 형식 + JSON 형식 둘 다 지원)
  * @param {string} response - API 응답
  * @param {number} messageIndex - 메시지 인덱스
+ * @param {{start: number, end: number}|null} [sourceRange=null] - 응답이 다루는 메시지 범위 (출처 스와이프 기록용)
  * @returns {string} - 아이템 블록 부분을 제거한 응답
  */
-function extractAndSaveItems(response, messageIndex) {
+function extractAndSaveItems(response, messageIndex, sourceRange = null) {
     const settings = getSettings();
     
     // 아이템 추적이 비활성화된 경우 정리만 하고 반환
@@ -765,6 +931,7 @@ function extractAndSaveItems(response, messageIndex) {
         return response;
     }
     
+    const sourceSwipeIds = getSourceSwipeIds(sourceRange);
     const itemBlockRegex = ITEMS_BLOCK_PATTERN();
     let match;
     let extractedCount = 0;
@@ -792,7 +959,8 @@ function extractAndSaveItems(response, messageIndex) {
                                     owner: item.owner || '',
                                     origin: item.origin || '',
                                     status: item.status || '',
-                                    messageIndex: itemMessageIndex
+                                    messageIndex: itemMessageIndex,
+                                    sourceSwipeIds: withEntrySwipeId(sourceSwipeIds, itemMessageIndex)
                                 });
                                 extractedCount++;
                             }
@@ -824,7 +992,8 @@ function extractAndSaveItems(response, messageIndex) {
                             owner: owner,
                             origin: origin,
                             status: status,
-                            messageIndex: itemMessageIndex
+                            messageIndex: itemMessageIndex,
+                            sourceSwipeIds: withEntrySwipeId(sourceSwipeIds, itemMessageIndex)
                         });
                         extractedCount++;
                     }
@@ -844,18 +1013,26 @@ function extractAndSaveItems(response, messageIndex) {
  * 여러 그룹 응답 파싱
  * @param {string} response - API 응답
  * @param {Array} groups - 그룹 배열
+ * @param {Object} [options]
+ * @param {boolean} [options.extractCatalogs=true] - false면 등장인물/이벤트/아이템을 저장하지 않고 블록만 제거 (누락 검사용)
  * @returns {Object} - { 인덱스: 요약내용 }
  */
-export function parseBatchGroupsResponse(response, groups) {
+export function parseBatchGroupsResponse(response, groups, { extractCatalogs = true } = {}) {
     // 그룹 전체의 인덱스 범위 계산
     const firstIndex = groups.length > 0 ? groups[0].indices[0] : 0;
     const lastIndex = groups.length > 0 ? groups[groups.length - 1].indices[groups[groups.length - 1].indices.length - 1] : 0;
     
-    // 먼저 캐릭터 추출 및 저장
-    let cleanResponse = extractAndSaveCharacters(response, firstIndex);
-    // 이벤트/아이템 추출 및 저장 (마지막 인덱스 사용 - 더 최신 시점)
-    cleanResponse = extractAndSaveEvents(cleanResponse, lastIndex);
-    cleanResponse = extractAndSaveItems(cleanResponse, lastIndex);
+    let cleanResponse;
+    if (extractCatalogs) {
+        // 먼저 캐릭터 추출 및 저장
+        const sourceRange = { start: firstIndex, end: lastIndex };
+        cleanResponse = extractAndSaveCharacters(response, firstIndex, sourceRange);
+        // 이벤트/아이템 추출 및 저장 (마지막 인덱스 사용 - 더 최신 시점)
+        cleanResponse = extractAndSaveEvents(cleanResponse, lastIndex, sourceRange);
+        cleanResponse = extractAndSaveItems(cleanResponse, lastIndex, sourceRange);
+    } else {
+        cleanResponse = cleanJsonBlocks(response);
+    }
     const result = {};
     const totalGroups = groups.length;
     
@@ -966,14 +1143,22 @@ export function parseBatchGroupsResponse(response, groups) {
  * @param {string} response - API 응답
  * @param {number} startIndex - 시작 인덱스
  * @param {number} endIndex - 끝 인덱스
+ * @param {Object} [options]
+ * @param {boolean} [options.extractCatalogs=true] - false면 등장인물/이벤트/아이템을 저장하지 않고 블록만 제거 (누락 검사용)
  * @returns {Object} - { 인덱스: 요약내용 }
  */
-export function parseApiResponse(response, startIndex, endIndex) {
-    // 먼저 캐릭터 추출 및 저장
-    let cleanResponse = extractAndSaveCharacters(response, startIndex);
-    // 이벤트/아이템 추출 및 저장 (endIndex 사용 - 더 최신 시점)
-    cleanResponse = extractAndSaveEvents(cleanResponse, endIndex);
-    cleanResponse = extractAndSaveItems(cleanResponse, endIndex);
+export function parseApiResponse(response, startIndex, endIndex, { extractCatalogs = true } = {}) {
+    let cleanResponse;
+    if (extractCatalogs) {
+        // 먼저 캐릭터 추출 및 저장
+        const sourceRange = { start: startIndex, end: endIndex };
+        cleanResponse = extractAndSaveCharacters(response, startIndex, sourceRange);
+        // 이벤트/아이템 추출 및 저장 (endIndex 사용 - 더 최신 시점)
+        cleanResponse = extractAndSaveEvents(cleanResponse, endIndex, sourceRange);
+        cleanResponse = extractAndSaveItems(cleanResponse, endIndex, sourceRange);
+    } else {
+        cleanResponse = cleanJsonBlocks(response);
+    }
     const result = {};
     
     log(`Parsing response (${cleanResponse.length} chars), startIndex=${startIndex}, endIndex=${endIndex}`);
@@ -1067,12 +1252,605 @@ export function parseApiResponse(response, startIndex, endIndex) {
     return result;
 }
 
+/**
+ * 재요청 대상인 요약인지 (누락/파싱 실패/불완전)
+ * @param {string|undefined} content - 파싱된 요약
+ * @returns {boolean}
+ */
+function isRetryableSummary(content) {
+    return !content || isParsingFailedContent(content) || content.includes('[⚠️ 불완전한') || isIncompleteSummary(content);
+}
+
+/**
+ * 청크 하나를 요약 API로 요청
+ * @param {{messages: Array, indices: number[], groups?: Array}} chunk - 요약할 청크 (배치 모드면 groups 포함)
+ * @param {Object} settings - 확장 설정
+ * @param {boolean} isBatchMode
+ * @returns {Promise<string>} - API 응답
+ */
+async function requestChunkSummary(chunk, settings, isBatchMode) {
+    // 계획된 청크는 계획 시 활성화된 월드인포를 그대로 사용 (재요청 부분은 새로 계산)
+    const worldInfoEntries = chunk.worldInfo || await getWorldInfoForMessages(chunk.messages);
+    
+    // 배치 모드에서만 그룹으로 처리, 개별 모드는 항상 개별 처리
+    if (isBatchMode) {
+        return await requestSummary(buildBatchGroupsPrompt(chunk.groups, settings, worldInfoEntries));
+    }
+    return await requestSummary(buildSummaryPrompt(chunk.messages, chunk.indices[0], worldInfoEntries, chunk.indices));
+}
+
+/**
+ * 응답에서 빠진 메시지(개별) 또는 그룹(배치)만 모은 청크 (누락이 없으면 null)
+ * 카탈로그 저장 없이 파싱만 하므로 반영은 applyChunkSummaries에서 순서대로 이루어짐
+ * @param {{messages: Array, indices: number[], groups?: Array}} chunk
+ * @param {string} response - API 응답
+ * @param {boolean} isBatchMode
+ * @returns {{messages: Array, indices: number[], groups?: Array}|null}
+ */
+function findMissingChunkPart(chunk, response, isBatchMode) {
+    if (!response) return chunk;
+    
+    if (isBatchMode) {
+        const parsed = parseBatchGroupsResponse(response, chunk.groups, { extractCatalogs: false });
+        const missingGroups = chunk.groups.filter(group => isRetryableSummary(parsed[group.indices[0]]));
+        if (missingGroups.length === 0) return null;
+        return {
+            messages: missingGroups.flatMap(group => group.messages),
+            indices: missingGroups.flatMap(group => group.indices),
+            groups: missingGroups
+        };
+    }
+    
+    const indices = chunk.indices;
+    const parsed = parseApiResponse(response, indices[0], indices[indices.length - 1], { extractCatalogs: false });
+    const missing = [];
+    indices.forEach((idx, i) => {
+        if (isRetryableSummary(parsed[idx])) missing.push(i);
+    });
+    if (missing.length === 0) return null;
+    return {
+        messages: missing.map(i => chunk.messages[i]),
+        indices: missing.map(i => indices[i])
+    };
+}
+
+/**
+ * 청크 요약 요청 + 누락된 부분만 재요청 (summaryRetryCount회까지, 대기 시간은 매번 2배)
+ * @param {{messages: Array, indices: number[], groups?: Array}} chunk
+ * @param {Object} settings - 확장 설정
+ * @param {boolean} isBatchMode
+ * @returns {Promise<Array<{chunk: Object, response: string}>>} - 요청 순서대로의 응답 목록
+ */
+async function summarizeChunk(chunk, settings, isBatchMode) {
+    const maxRetries = settings.summaryRetryCount ?? 2;
+    const parts = [];
+    let pending = chunk;
+    
+    for (let attempt = 0; ; attempt++) {
+        const response = await requestChunkSummary(pending, settings, isBatchMode);
+        parts.push({ chunk: pending, response });
+        
+        const missing = findMissingChunkPart(pending, response, isBatchMode);
+        if (!missing || attempt >= maxRetries || shouldStop()) break;
+        
+        const delay = (settings.summaryRetryDelay ?? 2) * Math.pow(2, attempt);
+        log(`Missing summaries for #${missing.indices.join(', #')} → retry ${attempt + 1}/${maxRetries} in ${delay}s`);
+        await new Promise(r => setTimeout(r, delay * 1000));
+        if (shouldStop()) break;
+        pending = missing;
+    }
+    
+    // 원문에 없는 인용이 있는 메시지(그룹)만 한 번 다시 요청
+    if (settings.quoteVerification !== false && settings.quoteVerificationRetry && !shouldStop()) {
+        const flagged = findUnverifiedQuoteChunkPart(chunk, parts, isBatchMode);
+        if (flagged) {
+            log(`Unverified quotes in #${flagged.indices.join(', #')} → retry once`);
+            const response = await requestChunkSummary(flagged, settings, isBatchMode);
+            parts.push({ chunk: flagged, response, quoteRetry: true });
+        }
+    }
+    
+    return parts;
+}
+
+/**
+ * 응답들(재요청 포함)을 파싱해서 인덱스별 요약으로 합침
+ * 앞선 응답의 실패/누락은 뒤의 결과로 덮어쓰고, 인용 재요청 결과는 원문에 없는 인용이 줄어든 경우에만 사용
+ * @param {Array<{chunk: Object, response: string, quoteRetry?: boolean}>} parts - summarizeChunk 결과
+ * @param {boolean} isBatchMode
+ * @param {{extractCatalogs?: boolean}} [options] - 파싱 옵션 (false면 카탈로그 저장 없이 파싱만)
+ * @returns {Object} - { 인덱스: 요약 내용 }
+ */
+function mergeChunkParts(parts, isBatchMode, options = {}) {
+    const merged = {};
+    
+    for (const part of parts) {
+        if (!part.response) continue;
+        const indices = part.chunk.indices;
+        // 인용 재요청은 같은 범위를 다시 받은 것이므로 도감 항목은 첫 응답 것만 저장 (이벤트 중복 방지)
+        const partOptions = part.quoteRetry ? { ...options, extractCatalogs: false } : options;
+        const parsed = isBatchMode
+            ? parseBatchGroupsResponse(part.response, part.chunk.groups, partOptions)
+            : parseApiResponse(part.response, indices[0], indices[indices.length - 1], partOptions);
+        for (const [index, content] of Object.entries(parsed)) {
+            const current = merged[index];
+            const fillsGap = current === undefined || (isRetryableSummary(current) && !isRetryableSummary(content));
+            const fewerUnverified = part.quoteRetry && current !== undefined && !isRetryableSummary(content)
+                && findSummaryUnverifiedQuotes(parseInt(index), content).length < findSummaryUnverifiedQuotes(parseInt(index), current).length;
+            if (fillsGap || fewerUnverified) {
+                merged[index] = content;
+            }
+        }
+    }
+    
+    return merged;
+}
+
+/**
+ * 원문에 없는 인용이 있는 메시지(개별) 또는 그룹(배치)만 모은 청크 (없으면 null)
+ * @param {{messages: Array, indices: number[], groups?: Array}} chunk
+ * @param {Array<{chunk: Object, response: string}>} parts - 지금까지의 응답
+ * @param {boolean} isBatchMode
+ * @returns {{messages: Array, indices: number[], groups?: Array}|null}
+ */
+function findUnverifiedQuoteChunkPart(chunk, parts, isBatchMode) {
+    const merged = mergeChunkParts(parts, isBatchMode, { extractCatalogs: false });
+    const hasUnverified = (index) => {
+        const content = merged[index];
+        return !isRetryableSummary(content) && findSummaryUnverifiedQuotes(index, content).length > 0;
+    };
+    
+    if (isBatchMode) {
+        const flaggedGroups = chunk.groups.filter(group => hasUnverified(group.indices[0]));
+        if (flaggedGroups.length === 0) return null;
+        return {
+            messages: flaggedGroups.flatMap(group => group.messages),
+            indices: flaggedGroups.flatMap(group => group.indices),
+            groups: flaggedGroups
+        };
+    }
+    
+    const flagged = [];
+    chunk.indices.forEach((idx, i) => {
+        if (hasUnverified(idx)) flagged.push(i);
+    });
+    if (flagged.length === 0) return null;
+    return {
+        messages: flagged.map(i => chunk.messages[i]),
+        indices: flagged.map(i => chunk.indices[i])
+    };
+}
+
+/**
+ * 요약 1개(개별 모드: 메시지 1개, 배치 모드: 그룹 1개)의 예상 출력 토큰
+ * 이 채팅의 기존 요약 평균을 쓰고, 요약이 적으면 기본값 사용
+ * @returns {number}
+ */
+function estimateSummaryOutputTokens() {
+    const data = getSummaryData();
+    const samples = Object.values(data?.summaries || {})
+        .map(summary => String(summary?.content ?? summary ?? ''))
+        .filter(content => content && !isGroupIncludedContent(content) && !isParsingFailedContent(content))
+        .slice(-30);
+    
+    if (samples.length < 3) return DEFAULT_OUTPUT_TOKENS_PER_SUMMARY;
+    return Math.ceil(samples.reduce((sum, content) => sum + estimateTokens(content), 0) / samples.length);
+}
+
+/**
+ * 메시지 전송 시각 파싱 (ST send_date: 타임스탬프 / "October 19, 2026 8:23am" / "2026-10-19 @8h 23m 5s 0ms")
+ * @param {*} sendDate
+ * @returns {number} - ms (파싱 실패 시 NaN)
+ */
+function parseSendDate(sendDate) {
+    if (typeof sendDate === 'number') return sendDate;
+    
+    const text = String(sendDate || '').trim();
+    const humanized = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2}) @(\d{1,2})h ?(\d{1,2})m ?(\d{1,2})s/);
+    if (humanized) {
+        const [, year, month, day, hour, minute, second] = humanized.map(Number);
+        return new Date(year, month - 1, day, hour, minute, second).getTime();
+    }
+    return Date.parse(text.replace(/(\d)\s*(am|pm)$/i, '$1 $2'));
+}
+
+/**
+ * 범위 내 장면 경계 감지 (배치 모드 장면 단위 묶음용)
+ * - 메시지 안의 장면 전환 표시 (***, [장면 전환] 등)
+ * - ST 체크포인트(북마크)가 걸린 메시지의 다음 메시지
+ * - 앞 메시지와의 send_date 간격이 sceneTimeGapMinutes 이상
+ * - 이미 요약된 메시지(재요약 시)는 앞 요약과 장소/날짜가 달라지는 곳
+ * @param {number} startIndex - 시작 인덱스
+ * @param {number} endIndex - 끝 인덱스
+ * @returns {Map<number, string>} - 새 장면이 시작되는 메시지 인덱스 → 감지 사유
+ */
+export function detectSceneBoundaries(startIndex, endIndex) {
+    const chat = getContext().chat || [];
+    const settings = getSettings();
+    const gapMs = (settings.sceneTimeGapMinutes ?? 60) * 60 * 1000;
+    const boundaries = new Map();
+    const mark = (index, reason) => {
+        if (index > startIndex && index <= endIndex && !boundaries.has(index)) {
+            boundaries.set(index, reason);
+        }
+    };
+    
+    let prevFields = null;
+    for (let i = startIndex; i <= endIndex; i++) {
+        const msg = chat[i];
+        if (!msg) continue;
+        const text = preprocessMessageText(msg);
+        
+        // 전환 표시 뒤 내용이 더 많으면 이 메시지부터, 적으면 다음 메시지부터 새 장면
+        const breakMatch = text.match(SCENE_BREAK_PATTERN);
+        if (breakMatch) {
+            const before = text.slice(0, breakMatch.index).trim().length;
+            const after = text.slice(breakMatch.index + breakMatch[0].length).trim().length;
+            mark(before <= after ? i : i + 1, '장면 전환 표시');
+        }
+        
+        if (msg.extra?.bookmark_link) {
+            mark(i + 1, '체크포인트');
+        }
+        
+        if (gapMs > 0 && i > startIndex) {
+            const gap = parseSendDate(msg.send_date) - parseSendDate(chat[i - 1]?.send_date);
+            if (gap >= gapMs) {
+                mark(i, `시간 간격 ${Math.round(gap / 60000)}분`);
+            }
+        }
+        
+        const fields = getSummarySceneFields(i);
+        if (fields && prevFields) {
+            if (fields.location && prevFields.location && fields.location !== prevFields.location) {
+                mark(i, '장소 변경');
+            } else if (fields.date && prevFields.date && fields.date !== prevFields.date) {
+                mark(i, '날짜 변경');
+            }
+        }
+        if (fields) {
+            prevFields = {
+                location: fields.location || prevFields?.location || null,
+                date: fields.date || prevFields?.date || null
+            };
+        }
+    }
+    
+    return boundaries;
+}
+
+/**
+ * 월드인포 항목 목록 합치기 (같은 로어북의 같은 uid는 한 번만, order 내림차순)
+ * @param {Array} entries - 기존 항목
+ * @param {Array} added - 추가할 항목
+ * @returns {Array}
+ */
+function mergeWorldInfoEntries(entries, added) {
+    const merged = new Map();
+    for (const entry of [...entries, ...added]) {
+        const key = `${entry.book}:${entry.uid}`;
+        if (!merged.has(key)) merged.set(key, entry);
+    }
+    return [...merged.values()].sort((a, b) => (b.order ?? 100) - (a.order ?? 100));
+}
+
+/**
+ * 프롬프트에 들어갈 월드인포 섹션의 토큰 수 (getProfileInfo와 같은 형식, 항목별 캐시 사용)
+ * @param {Array<{title: string, content: string}>} entries - 월드인포 항목
+ * @param {Function|null} tokenCounter - 비동기 토큰 카운터
+ * @returns {Promise<number>}
+ */
+async function countWorldInfoTokens(entries, tokenCounter) {
+    if (entries.length === 0) return 0;
+    const texts = ['## World Info / Lorebook (activated: )\n', ...entries.map(entry => `${entry.title}, ### ${entry.title}\n${entry.content}\n\n`)];
+    const { counts } = await countTokensCached(texts, tokenCounter);
+    return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * 요약 범위를 API 호출 단위(청크)로 분할
+ * - 개별 모드: 메시지 단위, 배치 모드: 그룹(batchGroupSize, 입력 한도 초과 시 조기 분할) 단위로 청크에 담음
+ * - 장면 단위 묶음(batchGroupStrategy = "scene"): 장면 경계에서 그룹을 자르되 sceneGroupMinSize~MaxSize 유지
+ * - 청크 한도: batchSize(메시지 수) + chunkMaxInputTokens(프롬프트 포함 입력) + chunkMaxOutputTokens(예상 출력), 0 = 제한 없음
+ * - 토큰 수는 현재 토크나이저로 계산하고, 입력에는 청크가 활성화하는 월드인포도 포함 (요청 시 chunk.worldInfo를 그대로 사용)
+ * @param {number} startIndex - 시작 인덱스
+ * @param {number} endIndex - 끝 인덱스
+ * @param {Object} [options]
+ * @param {'individual'|'batch'} [options.mode] - 요약 모드 (없으면 현재 설정)
+ * @returns {Promise<Array<{start: number, end: number, messages: Array, indices: number[], groups?: Array, worldInfo: Array, inputTokens: number, outputTokens: number}>>}
+ */
+export async function planSummaryChunks(startIndex, endIndex, options = {}) {
+    const context = getContext();
+    const settings = getSettings();
+    const isBatchMode = (options.mode || settings.summaryMode) === 'batch';
+    // batchSize = API 호출 당 처리할 메시지 수
+    // batchGroupSize = 배치 모드에서 몇 개씩 그룹핑할지 (하나의 API 호출 내에서)
+    const maxMessages = settings.batchSize || 10;
+    const sceneMode = isBatchMode && settings.batchGroupStrategy === 'scene';
+    const groupSize = Math.min((sceneMode ? settings.sceneGroupMaxSize : settings.batchGroupSize) || 10, maxMessages);
+    const minGroupSize = sceneMode ? Math.min(settings.sceneGroupMinSize || 1, groupSize) : 0;
+    const boundaries = sceneMode ? detectSceneBoundaries(startIndex, endIndex) : new Map();
+    const maxOutput = settings.chunkMaxOutputTokens || 0;
+    const outputPerSummary = estimateSummaryOutputTokens();
+    const tokenCounter = getTokenCounter();
+    
+    // 1. 요약 대상 메시지 모으기 (유저가 숨긴 메시지 제외)
+    const targets = [];
+    let sceneBreak = null;
+    for (let i = startIndex; i <= endIndex; i++) {
+        // 경계가 숨긴 메시지에 걸리면 다음 메시지로 넘김
+        sceneBreak = boundaries.get(i) || sceneBreak;
+        
+        const msg = context.chat[i];
+        if (!msg || msg._userHidden || isUserHiddenMessage(msg, i)) continue;
+        
+        targets.push({ index: i, msg, sceneBreak });
+        sceneBreak = null;
+    }
+    
+    // 프롬프트 고정 부분(지침/프로필/이전 요약/도감)을 뺀 나머지가 메시지 예산
+    const overheadPrompt = isBatchMode ? buildBatchGroupsPrompt([{ indices: [startIndex], messages: [] }], settings) : buildSummaryPrompt([], startIndex);
+    const { counts } = await countTokensCached([
+        overheadPrompt,
+        ...targets.map(({ index, msg }) => `[#${index}] ${msg.name || ''}: ${preprocessMessageText(msg)}`)
+    ], tokenCounter);
+    const overheadTokens = counts[0];
+    const inputBudget = settings.chunkMaxInputTokens > 0
+        ? Math.max(1, settings.chunkMaxInputTokens - overheadTokens)
+        : Infinity;
+    
+    // 2. 요약 단위 만들기
+    const units = [];
+    let group = null;
+    targets.forEach(({ index: i, msg, sceneBreak: unitBreak }, k) => {
+        const tokens = counts[k + 1];
+        if (!isBatchMode) {
+            units.push({ indices: [i], messages: [msg], tokens });
+            return;
+        }
+        
+        // 장면 경계: 최소 크기를 채운 그룹만 자름 (짧은 장면은 다음 장면과 합침)
+        const cutAtScene = unitBreak && group && group.indices.length >= minGroupSize;
+        if (group && (cutAtScene || group.indices.length >= groupSize || group.tokens + tokens > inputBudget)) {
+            units.push(group);
+            group = null;
+        }
+        if (!group) {
+            group = { indices: [], messages: [], tokens: 0 };
+            if (cutAtScene) group.sceneBreak = unitBreak;
+        }
+        group.indices.push(i);
+        group.messages.push(msg);
+        group.tokens += tokens;
+    });
+    if (group) {
+        units.push(group);
+    }
+    
+    // 요약 단위별로 활성화되는 월드인포 (월드인포 포함 설정이 꺼져 있으면 빈 배열)
+    for (const unit of units) {
+        unit.worldInfo = await getWorldInfoForMessages(unit.messages);
+    }
+    
+    // 3. 한도 안에서 요약 단위를 청크로 묶기 (단위 하나가 한도를 넘으면 단독 청크)
+    const chunks = [];
+    let chunk = null;
+    const closeChunk = () => {
+        chunk.end = chunk.indices[chunk.indices.length - 1];
+        chunk.inputTokens += overheadTokens + chunk.worldInfoTokens;
+        chunks.push(chunk);
+        chunk = null;
+    };
+    
+    for (const unit of units) {
+        // 청크의 월드인포는 단위별 활성화 항목의 합 (새 항목이 늘어나는 만큼 입력 비용에 포함)
+        let worldInfo = chunk ? mergeWorldInfoEntries(chunk.worldInfo, unit.worldInfo) : unit.worldInfo;
+        let worldInfoTokens = await countWorldInfoTokens(worldInfo, tokenCounter);
+        if (chunk) {
+            const overCount = chunk.indices.length + unit.indices.length > maxMessages;
+            const overInput = chunk.inputTokens + unit.tokens + worldInfoTokens > inputBudget;
+            const overOutput = maxOutput > 0 && chunk.outputTokens + outputPerSummary > maxOutput;
+            if (overCount || overInput || overOutput) {
+                closeChunk();
+                worldInfo = unit.worldInfo;
+                worldInfoTokens = await countWorldInfoTokens(worldInfo, tokenCounter);
+            }
+        }
+        if (!chunk) {
+            chunk = { start: chunks.length > 0 ? chunks[chunks.length - 1].end + 1 : startIndex, messages: [], indices: [], inputTokens: 0, outputTokens: 0 };
+            if (isBatchMode) chunk.groups = [];
+        }
+        chunk.indices.push(...unit.indices);
+        chunk.messages.push(...unit.messages);
+        chunk.inputTokens += unit.tokens;
+        chunk.outputTokens += outputPerSummary;
+        chunk.worldInfo = worldInfo;
+        chunk.worldInfoTokens = worldInfoTokens;
+        if (isBatchMode) chunk.groups.push({ indices: unit.indices, messages: unit.messages, ...(unit.sceneBreak ? { sceneBreak: unit.sceneBreak } : {}) });
+    }
+    if (chunk) {
+        closeChunk();
+    }
+    
+    // 마지막 청크는 범위 끝까지 (끝쪽 숨겨진 메시지도 진행률에 포함)
+    if (chunks.length > 0) {
+        chunks[chunks.length - 1].end = endIndex;
+    }
+    
+    log(`Chunk plan: ${chunks.length} chunks (${chunks.map(c => `${c.indices.length}msg/${c.inputTokens}tok`).join(', ')})`);
+    return chunks;
+}
+
+/**
+ * 청크 응답(재요청 포함)을 파싱해서 요약 저장 (저장은 호출 측에서)
+ * 앞선 응답의 실패/누락은 뒤의 재요청 결과로 덮어쓰고, 모든 재요청이 실패한 경우에만 실패 마커를 남김
+ * @param {{indices: number[]}} chunk
+ * @param {Array<{chunk: Object, response: string}>} parts - summarizeChunk 결과
+ * @param {{isBatchMode: boolean, reducedContext: boolean}} options
+ * @returns {number} - 처리된 메시지 수
+ */
+function applyChunkSummaries(chunk, parts, { isBatchMode, reducedContext }) {
+    const meta = { reducedContext, source: 'auto', model: getSummaryModelLabel() };
+    const merged = mergeChunkParts(parts, isBatchMode);
+    
+    let count = 0;
+    
+    if (isBatchMode) {
+        for (const [index, content] of Object.entries(merged)) {
+            setSummaryForMessage(parseInt(index), content, meta);
+            count++;
+        }
+        return count;
+    }
+    
+    // 개별 모드: 파싱 성공한 것만 저장, 실패한 것은 마커
+    for (const idx of chunk.indices) {
+        if (merged[idx]) {
+            // 파싱 성공: 개별 불완전 여부 체크
+            if (isIncompleteSummary(merged[idx])) {
+                setSummaryForMessage(idx, `[⚠️ 불완전한 요약 - 재요약 권장]\n${merged[idx]}`, meta);
+            } else {
+                setSummaryForMessage(idx, merged[idx], meta);
+            }
+        } else {
+            // 파싱 실패: 실패 마커 저장
+            setSummaryForMessage(idx, PARSING_FAILED_MARKER);
+        }
+        count++;
+    }
+    return count;
+}
+
+/**
+ * 응답을 하나도 받지 못한 청크에 실패 마커 저장 (오류 카운트에 잡혀 일괄 재요약 대상이 되도록)
+ * 이미 요약이 있는 메시지는 덮어쓰지 않고 그대로 둠
+ * @param {{indices: number[], groups?: Array}} chunk
+ * @param {boolean} isBatchMode
+ * @returns {number} - 실패 마커를 남긴 메시지 수
+ */
+function markChunkFailed(chunk, isBatchMode) {
+    const data = getSummaryData();
+    const isEmpty = (idx) => !data?.summaries[idx];
+    let count = 0;
+    
+    if (isBatchMode) {
+        for (const group of chunk.groups || []) {
+            if (!group.indices.every(isEmpty)) continue;
+            const startNum = group.indices[0];
+            const endNum = group.indices[group.indices.length - 1];
+            setSummaryForMessage(startNum, `#${startNum}-${endNum}\n${PARSING_FAILED_MARKER}`);
+            for (let i = 1; i < group.indices.length; i++) {
+                setSummaryForMessage(group.indices[i], makeGroupIncludedMarker(startNum, endNum));
+            }
+            count += group.indices.length;
+        }
+        return count;
+    }
+    
+    for (const idx of chunk.indices) {
+        if (!isEmpty(idx)) continue;
+        setSummaryForMessage(idx, PARSING_FAILED_MARKER);
+        count++;
+    }
+    return count;
+}
+
+/**
+ * 요약 범위 결정 (커스텀 범위가 없으면 요약 안 된 메시지부터 끝까지)
+ * @param {Object} data - 요약 데이터
+ * @param {Array} chat - 채팅 메시지 배열
+ * @param {number|null} customStart
+ * @param {number|null} customEnd
+ * @returns {{startIndex: number, endIndex: number}}
+ */
+function resolveSummaryRange(data, chat, customStart, customEnd) {
+    if (customStart !== null && customEnd !== null) {
+        return { startIndex: customStart, endIndex: Math.min(customEnd, chat.length - 1) };
+    }
+    return { startIndex: findFirstUnsummarizedIndex(data, chat), endIndex: chat.length - 1 };
+}
+
+/**
+ * 요약 드라이런: runSummary가 보낼 프롬프트를 API 호출 없이 생성
+ * - 청크 분할/월드인포/전처리는 실제 실행과 동일
+ * - 두 번째 청크부터의 이전 상태·최근 요약은 현재 저장된 요약 기준 (실제 실행에서는 앞 청크 결과가 반영됨)
+ * - JSON 출력 모드의 스키마는 프롬프트와 별도로 전송되므로 집계에서 제외
+ * - 토큰 수는 현재 토크나이저로 계산하고, 토크나이저를 불러오지 못했으면 추정치 (estimated = true)
+ * @param {number|null} [customStart=null] - 커스텀 시작 인덱스
+ * @param {number|null} [customEnd=null] - 커스텀 끝 인덱스
+ * @param {Object} [options]
+ * @param {'individual'|'batch'} [options.mode] - 요약 모드 (없으면 현재 설정)
+ * @returns {Promise<{success: boolean, error?: string, startIndex?: number, endIndex?: number, isBatchMode?: boolean, estimated?: boolean, prompts?: Array<{start: number, end: number, messageCount: number, groupCount: number, worldInfo: string[], sections: Array<{key: string, label: string, text: string, tokens: number}>, prompt: string, tokens: number}>, totalTokens?: number}>}
+ */
+export async function dryRunSummary(customStart = null, customEnd = null, options = {}) {
+    const context = getContext();
+    if (!context.chat || context.chat.length === 0) {
+        return { success: false, error: "채팅이 없습니다" };
+    }
+    
+    const settings = getSettings();
+    const data = getSummaryData();
+    if (!data) {
+        return { success: false, error: "데이터 접근 실패" };
+    }
+    
+    const mode = options.mode || settings.summaryMode;
+    const isBatchMode = mode === 'batch';
+    const { startIndex, endIndex } = resolveSummaryRange(data, context.chat, customStart, customEnd);
+    if (startIndex > endIndex || startIndex >= context.chat.length) {
+        return { success: false, error: "요약할 메시지가 없습니다" };
+    }
+    
+    const chunks = await planSummaryChunks(startIndex, endIndex, { mode });
+    const { prefix, suffix } = getSummaryPromptWrapper();
+    const tokenCounter = getTokenCounter();
+    const estimated = !tokenCounter || getTokenizerId() === 'estimate';
+    const prompts = [];
+    
+    for (const chunk of chunks) {
+        const worldInfoEntries = chunk.worldInfo;
+        const bodySections = isBatchMode
+            ? buildBatchGroupsPromptSections(chunk.groups, settings, worldInfoEntries)
+            : buildSummaryPromptSections(chunk.messages, chunk.indices[0], worldInfoEntries, chunk.indices);
+        const rawSections = [{ key: 'wrapper', text: prefix }, ...bodySections, { key: 'prefill', text: suffix }];
+        const { counts } = await countTokensCached(rawSections.map(section => section.text), tokenCounter);
+        const sections = rawSections.map((section, i) => ({
+            ...section,
+            label: PROMPT_SECTION_LABELS[section.key] || section.key,
+            tokens: section.text ? counts[i] : 0
+        }));
+        
+        prompts.push({
+            start: chunk.start,
+            end: chunk.end,
+            messageCount: chunk.indices.length,
+            groupCount: chunk.groups ? chunk.groups.length : 0,
+            worldInfo: worldInfoEntries.map(entry => entry.title),
+            sections,
+            prompt: joinPromptSections(sections),
+            tokens: sections.reduce((sum, section) => sum + section.tokens, 0)
+        });
+    }
+    
+    log(`Dry run: ${prompts.length} prompts for messages ${startIndex}-${endIndex} (mode: ${isBatchMode ? 'batch' : 'individual'})`);
+    
+    return {
+        success: true,
+        startIndex,
+        endIndex,
+        isBatchMode,
+        estimated,
+        prompts,
+        totalTokens: prompts.reduce((sum, prompt) => sum + prompt.tokens, 0)
+    };
+}
+
 /**
  * 요약 실행 (메인 함수)
  * @param {number|null} customStart - 커스텀 시작 인덱스
  * @param {number|null} customEnd - 커스텀 끝 인덱스
  * @param {Function} onProgress - 진행 콜백 (current, total)
- * @returns {Promise<{success: boolean, processed: number, error?: string}>}
+ * @returns {Promise<{success: boolean, processed: number, failedChunks?: number, error?: string}>} - failedChunks: 응답이 없어 실패 마커를 남긴 청크 수
  */
 export async function runSummary(customStart = null, customEnd = null, onProgress = null) {
     if (isSummarizing()) {
@@ -1092,24 +1870,17 @@ export async function runSummary(customStart = null, customEnd = null, onProgres
     
     startSummarizing();
     
+    // 오류로 중단돼도 이미 반영·저장된 청크 수는 그대로 보고
+    let processedCount = 0;
+    // 응답이 모두 비어 실패 처리된 청크 수
+    let failedChunks = 0;
+    
     try {
         const totalMessages = context.chat.length;
         const isBatchMode = settings.summaryMode === 'batch';
-        // batchSize = API 호출 당 처리할 메시지 수
-        // batchGroupSize = 배치 모드에서 몇 개씩 그룹핑할지 (하나의 API 호출 내에서)
-        const messagesPerApiCall = settings.batchSize || 10;
-        const groupSize = settings.batchGroupSize || 10;
         
         // 시작/끝 인덱스 결정
-        let startIndex, endIndex;
-        if (customStart !== null && customEnd !== null) {
-            startIndex = customStart;
-            endIndex = Math.min(customEnd, totalMessages - 1);
-        } else {
-            // 요약 안 된 메시지부터 시작
-            startIndex = findFirstUnsummarizedIndex(data, context.chat);
-            endIndex = totalMessages - 1;
-        }
+        const { startIndex, endIndex } = resolveSummaryRange(data, context.chat, customStart, customEnd);
         
         if (startIndex > endIndex || startIndex >= totalMessages) {
             stopSummarizing();
@@ -1118,92 +1889,99 @@ export async function runSummary(customStart = null, customEnd = null, onProgres
         
         log(`Summarizing messages ${startIndex + 1} to ${endIndex + 1} (mode: ${isBatchMode ? 'batch' : 'individual'})`);
         
-        let processedCount = 0;
-        let currentStart = startIndex;
+        // API 호출 단위(청크)로 미리 나눔 (숨겨진 메시지 제외, 토큰 한도 반영)
+        const chunks = await planSummaryChunks(startIndex, endIndex);
         
-        while (currentStart <= endIndex && !shouldStop()) {
-            // API 호출 당 messagesPerApiCall 만큼 처리
-            const currentEnd = Math.min(currentStart + messagesPerApiCall - 1, endIndex);
-            
-            // 숨겨진 메시지 필터링 (유저가 숨긴 메시지 제외)
-            const messagesToSummarize = [];
-            const indicesToProcess = [];
-            
-            for (let i = currentStart; i <= currentEnd; i++) {
-                const msg = context.chat[i];
-                // 유저가 숨긴 메시지가 아니면 요약 대상
-                if (!msg._userHidden && !isUserHiddenMessage(msg, i)) {
-                    messagesToSummarize.push(msg);
-                    indicesToProcess.push(i);
+        const concurrency = Math.max(1, Math.min(settings.summaryConcurrency || 1, chunks.length));
+        const totalCount = endIndex - startIndex + 1;
+        let completedCount = 0;
+        let nextChunk = 0;
+        let nextToApply = 0;
+        let workerError = null;
+        const results = new Map();
+        
+        if (concurrency > 1) {
+            log(`Parallel summary: ${chunks.length} chunks, ${concurrency} workers`);
+        }
+        
+        // 응답이 하나도 없는 청크는 실패로 집계하고 마커를 남김 (메시지가 없는 청크는 제외)
+        const applyEmptyChunk = (chunk) => {
+            if (chunk.messages.length === 0) return false;
+            failedChunks++;
+            const marked = markChunkFailed(chunk, isBatchMode);
+            log(`Chunk #${chunk.indices[0]}-${chunk.indices[chunk.indices.length - 1]} got no response (${marked} messages marked as failed)`);
+            return marked > 0;
+        };
+        
+        // 완료된 청크를 메시지 순서대로 반영 (앞 청크가 끝나기 전까지 뒤 청크는 대기)
+        const applyReadyChunks = async () => {
+            let applied = false;
+            while (results.has(nextToApply)) {
+                const { chunk, parts, reducedContext } = results.get(nextToApply);
+                results.delete(nextToApply);
+                nextToApply++;
+                if (!parts.some(part => part.response)) {
+                    applied = applyEmptyChunk(chunk) || applied;
+                    continue;
                 }
+                processedCount += applyChunkSummaries(chunk, parts, { isBatchMode, reducedContext });
+                applied = true;
             }
-            
-            if (messagesToSummarize.length > 0) {
-                // 진행 콜백
-                if (onProgress) {
-                    onProgress(currentEnd - startIndex + 1, endIndex - startIndex + 1);
-                }
+            if (applied) {
+                await saveSummaryData();
+            }
+        };
+        
+        const worker = async () => {
+            while (!shouldStop() && !workerError) {
+                const chunkIndex = nextChunk++;
+                if (chunkIndex >= chunks.length) return;
+                const chunk = chunks[chunkIndex];
                 
-                // 배치 모드에서만 그룹으로 처리, 개별 모드는 항상 개별 처리
-                if (isBatchMode) {
-                    // 그룹들 생성: 하나의 API 호출에서 여러 그룹 요약 생성
-                    const groups = [];
-                    
-                    // 배치 모드: groupSize로 나눔
-                    for (let i = 0; i < indicesToProcess.length; i += groupSize) {
-                        const groupIndices = indicesToProcess.slice(i, Math.min(i + groupSize, indicesToProcess.length));
-                        const groupMessages = messagesToSummarize.slice(i, Math.min(i + groupSize, messagesToSummarize.length));
-                        groups.push({ indices: groupIndices, messages: groupMessages });
-                    }
-                    
-                    // 여러 그룹을 위한 프롬프트 생성
-                    const prompt = buildBatchGroupsPrompt(groups, settings);
-                    const response = await callSummaryAPI(prompt);
-                    
-                    if (shouldStop()) break;
-                    
-                    if (response) {
-                        const parsed = parseBatchGroupsResponse(response, groups);
-                        
-                        for (const [index, content] of Object.entries(parsed)) {
-                            setSummaryForMessage(parseInt(index), content);
-                            processedCount++;
-                        }
-                        
-                        await saveSummaryData();
+                let parts = [];
+                // 앞 청크가 아직 반영되지 않았다면 연속성 컨텍스트(이전 요약)가 부족한 상태로 요약됨
+                const reducedContext = chunkIndex > nextToApply;
+                
+                if (chunk.messages.length > 0) {
+                    try {
+                        parts = await summarizeChunk(chunk, settings, isBatchMode);
+                    } catch (error) {
+                        workerError = workerError || error;
+                        return;
                     }
+                    if (shouldStop()) return;
+                }
+                
+                results.set(chunkIndex, { chunk, parts, reducedContext });
+                completedCount += chunk.end - chunk.start + 1;
+                if (onProgress) {
+                    onProgress(completedCount, totalCount);
+                }
+                await applyReadyChunks();
+            }
+        };
+        
+        if (onProgress) {
+            onProgress(0, totalCount);
+        }
+        await Promise.all(Array.from({ length: concurrency }, () => worker()));
+        
+        // 중단/오류로 순서가 끊겨도 이미 완료된 청크의 요약은 버리지 않음
+        if (results.size > 0) {
+            for (const chunkIndex of [...results.keys()].sort((x, y) => x - y)) {
+                const { chunk, parts } = results.get(chunkIndex);
+                if (parts.some(part => part.response)) {
+                    processedCount += applyChunkSummaries(chunk, parts, { isBatchMode, reducedContext: true });
                 } else {
-                    // 개별 모드: 파싱 성공한 것만 저장, 실패한 것은 마커
-                    const prompt = buildSummaryPrompt(messagesToSummarize, indicesToProcess[0]);
-                    const response = await callSummaryAPI(prompt);
-                    
-                    if (shouldStop()) break;
-                    
-                    if (response) {
-                        const parsed = parseApiResponse(response, indicesToProcess[0], indicesToProcess[indicesToProcess.length - 1]);
-                        
-                        // 각 인덱스별로 처리: 파싱 성공/실패 구분
-                        for (const idx of indicesToProcess) {
-                            if (parsed[idx]) {
-                                // 파싱 성공: 개별 불완전 여부 체크
-                                if (isIncompleteSummary(parsed[idx])) {
-                                    setSummaryForMessage(idx, `[⚠️ 불완전한 요약 - 재요약 권장]\n${parsed[idx]}`);
-                                } else {
-                                    setSummaryForMessage(idx, parsed[idx]);
-                                }
-                            } else {
-                                // 파싱 실패: 실패 마커 저장
-                                setSummaryForMessage(idx, PARSING_FAILED_MARKER);
-                            }
-                            processedCount++;
-                        }
-                        
-                        await saveSummaryData();
-                    }
+                    applyEmptyChunk(chunk);
                 }
             }
-            
-            currentStart = currentEnd + 1;
+            results.clear();
+            await saveSummaryData();
+        }
+        
+        if (workerError) {
+            throw workerError;
         }
         
         // 완료 후 처리
@@ -1213,16 +1991,22 @@ export async function runSummary(customStart = null, customEnd = null, onProgres
         stopSummarizing();
         
         if (shouldStop()) {
-            return { success: false, processed: processedCount, error: "중단됨" };
+            return { success: false, processed: processedCount, failedChunks, error: "중단됨" };
         }
         
-        return { success: true, processed: processedCount };
+        scheduleArcRollupUpdate();
+        autoSyncLorebook();
+        
+        if (failedChunks > 0) {
+            log(`Summary finished with ${failedChunks} failed chunks (no response)`);
+        }
+        return { success: true, processed: processedCount, failedChunks };
         
     } catch (error) {
         stopSummarizing();
         log(`Summary error: ${error.message}`);
         logError('runSummary', error, { customStart, customEnd });
-        return { success: false, processed: 0, error: error.message };
+        return { success: false, processed: processedCount, failedChunks, error: error.message };
     }
 }
 
@@ -1258,6 +2042,28 @@ export async function runAutoSummary() {
     if (unsummarizedCount >= interval) {
         log(`Auto-summary triggered: ${unsummarizedCount} >= ${interval}`);
         
+        // 장면 단위 묶음: 마지막 그룹은 장면이 이어지는 중일 수 있으므로 최대 크기를 채운 경우만 포함
+        if (settings.summaryMode === 'batch' && settings.batchGroupStrategy === 'scene') {
+            const startIndex = findFirstUnsummarizedIndex(data, context.chat, true);
+            const groups = (await planSummaryChunks(startIndex, startIndex + unsummarizedCount - 1)).flatMap(chunk => chunk.groups || []);
+            const maxGroupSize = Math.min(settings.sceneGroupMaxSize || 10, settings.batchSize || 10);
+            if (groups.length > 0 && groups[groups.length - 1].indices.length < maxGroupSize) {
+                groups.pop();
+            }
+            
+            if (groups.length === 0) {
+                log(`Auto-summary deferred: current scene is still open (${unsummarizedCount} messages)`);
+                return false;
+            }
+            
+            const lastGroup = groups[groups.length - 1];
+            const endIndex = lastGroup.indices[lastGroup.indices.length - 1];
+            log(`Auto-summary processing (scene groups): indices ${startIndex} to ${endIndex} (${groups.length} groups)`);
+            
+            const result = await runSummary(startIndex, endIndex);
+            return result.success;
+        }
+        
         // 그룹 크기의 배수만큼만 요약하도록 제한 (남은 메시지는 다음에 처리)
         // 이렇게 하면 #5~5 같은 단일 메시지 요약이 방지됨
         const messagesToProcess = Math.floor(unsummarizedCount / groupSize) * groupSize;
@@ -1404,22 +2210,24 @@ export async function resummarizeMessage(messageIndex) {
         // 그룹 모드인지 확인 (2개 이상 메시지면 그룹)
         const isGroupMode = messages.length > 1;
         
+        const worldInfoEntries = await getWorldInfoForMessages(messages);
+        
         let response;
         if (isGroupMode) {
             // 그룹 요약: buildBatchGroupsPrompt 사용
             const groups = [{ indices, messages }];
-            const prompt = buildBatchGroupsPrompt(groups, settings);
-            response = await callSummaryAPI(prompt);
+            const prompt = buildBatchGroupsPrompt(groups, settings, worldInfoEntries);
+            response = await requestSummary(prompt);
         } else {
             // 개별 요약: buildSummaryPrompt 사용
-            const prompt = buildSummaryPrompt(messages, startIdx);
-            response = await callSummaryAPI(prompt);
+            const prompt = buildSummaryPrompt(messages, startIdx, worldInfoEntries);
+            response = await requestSummary(prompt);
         }
         
         if (response) {
             if (isGroupMode) {
                 // 캐릭터 JSON 추출 및 제거 (빈 {}도 제거됨)
-                const cleanedResponse = extractAndSaveCharacters(response, startIdx);
+                const cleanedResponse = extractAndSaveCharacters(response, startIdx, { start: startIdx, end: endIdx });
                 
                 // 그룹 요약 저장 - 응답에서 #X-Y 패턴 제거하고 저장 (0-indexed)
                 const groupStartNum = startIdx;
@@ -1429,7 +2237,7 @@ export async function resummarizeMessage(messageIndex) {
                 let finalContent = cleanedResponse.trim();
                 finalContent = finalContent.replace(REGEX_GROUP_HEADER, '').trim();
                 
-                setSummaryForMessage(startIdx, `#${groupStartNum}-${groupEndNum}\n${finalContent}`);
+                setSummaryForMessage(startIdx, `#${groupStartNum}-${groupEndNum}\n${finalContent}`, { source: 'resummarize', model: getSummaryModelLabel() });
                 
                 // 나머지 인덱스는 그룹에 포함됨 표시
                 for (let i = startIdx + 1; i <= endIdx; i++) {
@@ -1439,11 +2247,13 @@ export async function resummarizeMessage(messageIndex) {
                 // 개별 요약 저장
                 const parsed = parseApiResponse(response, startIdx, endIdx);
                 const content = parsed[messageIndex] || response.trim();
-                setSummaryForMessage(messageIndex, content);
+                setSummaryForMessage(messageIndex, content, { source: 'resummarize', model: getSummaryModelLabel() });
             }
             
             await saveSummaryData();
             injectSummaryToPrompt();
+            scheduleArcRollupUpdate();
+            autoSyncLorebook();
             return { success: true, startIdx, endIdx };
         }
         
@@ -1489,8 +2299,9 @@ export async function resummarizeMultipleGroups(groupRanges) {
         }
         
         // 배치 그룹 프롬프트 생성 및 API 호출
-        const prompt = buildBatchGroupsPrompt(groups, settings);
-        const response = await callSummaryAPI(prompt);
+        const worldInfoEntries = await getWorldInfoForMessages(groups.flatMap(group => group.messages));
+        const prompt = buildBatchGroupsPrompt(groups, settings, worldInfoEntries);
+        const response = await requestSummary(prompt);
         
         if (!response) {
             return { success: false, successCount: 0, failCount: groups.length, error: "응답 없음" };
@@ -1510,8 +2321,9 @@ export async function resummarizeMultipleGroups(groupRanges) {
             
             if (summary && !isParsingFailedContent(summary)) {
                 // 성공: 모든 인덱스에 저장
+                const meta = { source: 'resummarize', model: getSummaryModelLabel() };
                 for (const idx of group.indices) {
-                    setSummaryForMessage(idx, parsed[idx]);
+                    setSummaryForMessage(idx, parsed[idx], meta);
                 }
                 successCount++;
             } else {
@@ -1522,6 +2334,8 @@ export async function resummarizeMultipleGroups(groupRanges) {
         
         await saveSummaryData();
         injectSummaryToPrompt();
+        scheduleArcRollupUpdate();
+        autoSyncLorebook();
         
         return { success: true, successCount, failCount };
         
@@ -1993,12 +2807,14 @@ function parseCompressedResponse(response, batch) {
  */
 export async function applyCompressedSummaries(compressedSummaries) {
     try {
+        const meta = { source: 'compress', model: getSummaryModelLabel() };
         for (const [key, content] of Object.entries(compressedSummaries)) {
-            setSummaryForMessage(parseInt(key), content);
+            setSummaryForMessage(parseInt(key), content, meta);
         }
         
         await saveSummaryData();
         injectSummaryToPrompt();
+        scheduleArcRollupUpdate();
         
         log(`[압축 적용] ${Object.keys(compressedSummaries).length}개 요약 적용 완료`);
         return true;
@@ -2008,3 +2824,203 @@ export async function applyCompressedSummaries(compressedSummaries) {
         return false;
     }
 }
+
+// ===== 아크 롤업 기능 =====
+
+// 아크 갱신 작업 상태
+const arcState = {
+    isRunning: false,
+    shouldCancel: false
+};
+
+export function isArcRollupRunning() {
+    return arcState.isRunning;
+}
+
+export function cancelArcRollup() {
+    arcState.shouldCancel = true;
+}
+
+/**
+ * 아크 생성 프롬프트 구성
+ * @param {Array<{start: number, end: number, content: string}>} children - 시간순 하위 항목
+ * @param {Object} settings - 확장 설정
+ * @returns {string}
+ */
+function buildArcPrompt(children, settings) {
+    const language = settings.summaryLanguage || 'ko';
+    const langInstruction = LANG_INSTRUCTIONS[language] || LANG_INSTRUCTIONS['ko'];
+    
+    const childrenText = children
+        .map(c => `#${c.start}-${c.end}\n${cleanJsonBlocks(c.content.replace(/^#\d+(?:-\d+)?\s*\n?/, '')).trim()}`)
+        .join('\n\n');
+    
+    return `${DEFAULT_ARC_PROMPT_TEMPLATE}\n\n${langInstruction}\n\n---\n\n${childrenText}`;
+}
+
+/**
+ * 하위 항목들을 하나의 아크 요약으로 생성 (API 호출)
+ * @param {Array} children - 시간순 하위 항목
+ * @param {Object} settings - 확장 설정
+ * @returns {Promise<string|null>} - 생성된 아크 내용 (실패 시 null)
+ */
+async function generateArcContent(children, settings) {
+    try {
+        const response = await callSummaryAPI(buildArcPrompt(children, settings));
+        const content = String(response || '')
+            .trim()
+            .replace(/^#\d+(?:[-~]\d+)?\s*\n?/, '')
+            .trim();
+        return content || null;
+    } catch (error) {
+        log(`[아크] 생성 실패 (#${children[0]?.start}-${children[children.length - 1]?.end}): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * 단일 아크 재생성 (현재 하위 항목 기준)
+ * @param {string} arcId - 아크 ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function regenerateArc(arcId) {
+    const arc = getArc(arcId);
+    if (!arc) {
+        return { success: false, error: '아크를 찾을 수 없습니다.' };
+    }
+    
+    const children = getArcChildren(arc);
+    if (!children) {
+        return { success: false, error: '하위 요약이 삭제/숨김/무효화되어 재생성할 수 없습니다.' };
+    }
+    
+    const chatId = getCurrentChatId();
+    const content = await generateArcContent(children, getSettings());
+    if (!content) {
+        return { success: false, error: '응답 없음' };
+    }
+    if (getCurrentChatId() !== chatId) {
+        return { success: false, error: '채팅이 변경되어 저장하지 않았습니다.' };
+    }
+    
+    updateArc(arcId, { content, sourceHash: computeArcSourceHash(children), edited: false });
+    await saveSummaryData();
+    injectSummaryToPrompt();
+    return { success: true };
+}
+
+/**
+ * 아크 갱신: 고아 아크 제거 → 오래된(stale) 아크 재생성 → 새 아크 생성 (하위 단계부터 순서대로)
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - true면 아크 롤업이 꺼져 있어도 실행 (수동 갱신)
+ * @param {Function} [options.onProgress] - 진행 상황 콜백 (status 문자열)
+ * @returns {Promise<{success: boolean, created: number, regenerated: number, removed: number, failed: number, error?: string}>}
+ */
+export async function updateArcRollups(options = {}) {
+    const { force = false, onProgress = null } = options;
+    const settings = getSettings();
+    const result = { success: false, created: 0, regenerated: 0, removed: 0, failed: 0 };
+    
+    if (!settings.arcRollupEnabled && !force) {
+        return { ...result, error: '아크 롤업이 비활성화되어 있습니다.' };
+    }
+    if (arcState.isRunning) {
+        return { ...result, error: '이미 아크 갱신이 진행 중입니다.' };
+    }
+    
+    arcState.isRunning = true;
+    arcState.shouldCancel = false;
+    const chatId = getCurrentChatId();
+    const spanSize = Math.max(2, settings.arcSpanSize || 10);
+    const maxTier = Math.max(1, settings.arcMaxTier || 1);
+    const isInterrupted = () => arcState.shouldCancel || getCurrentChatId() !== chatId;
+    
+    try {
+        for (let tier = 1; tier <= maxTier; tier++) {
+            // 1) 하위 항목이 사라진 아크 제거
+            const summaries = getRelevantSummaries();
+            for (const arc of [...getArcs()].filter(a => a.tier === tier)) {
+                if (getArcStatus(arc, summaries) === 'orphaned') {
+                    deleteArc(arc.id);
+                    result.removed++;
+                }
+            }
+            
+            // 2) 하위 항목이 수정/재요약된 아크 재생성
+            const staleArcs = getArcs().filter(a => a.tier === tier && ['stale', 'pending'].includes(getArcStatus(a, summaries)));
+            for (const arc of staleArcs) {
+                if (isInterrupted()) break;
+                if (onProgress) onProgress(`${tier}단계 아크 재생성 중... (#${arc.startIndex}~${arc.endIndex})`);
+                
+                const children = getArcChildren(arc);
+                const content = children ? await generateArcContent(children, settings) : null;
+                if (!content || isInterrupted()) {
+                    result.failed++;
+                    continue;
+                }
+                updateArc(arc.id, { content, sourceHash: computeArcSourceHash(children), edited: false });
+                result.regenerated++;
+                await saveSummaryData();
+            }
+            
+            // 3) 아직 아크로 묶이지 않은 연속 항목으로 새 아크 생성
+            for (const children of getArcCandidateSpans(tier, spanSize)) {
+                if (isInterrupted()) break;
+                const startIndex = children[0].start;
+                const endIndex = children[children.length - 1].end;
+                if (onProgress) onProgress(`${tier}단계 아크 생성 중... (#${startIndex}~${endIndex})`);
+                
+                const content = await generateArcContent(children, settings);
+                if (!content || isInterrupted()) {
+                    result.failed++;
+                    continue;
+                }
+                addArc({
+                    tier,
+                    childKeys: children.map(c => c.key),
+                    startIndex,
+                    endIndex,
+                    content,
+                    sourceHash: computeArcSourceHash(children)
+                });
+                result.created++;
+                await saveSummaryData();
+            }
+            
+            if (isInterrupted()) break;
+        }
+        
+        if (getCurrentChatId() !== chatId) {
+            return { ...result, error: '채팅이 변경되어 중단되었습니다.' };
+        }
+        if (arcState.shouldCancel) {
+            return { ...result, error: '사용자에 의해 취소되었습니다.' };
+        }
+        
+        if (result.removed > 0) {
+            await saveSummaryData();
+        }
+        if (result.created + result.regenerated + result.removed > 0) {
+            injectSummaryToPrompt();
+            log(`[아크] 갱신 완료: 생성 ${result.created}, 재생성 ${result.regenerated}, 제거 ${result.removed}, 실패 ${result.failed}`);
+        }
+        
+        return { ...result, success: true };
+    } catch (error) {
+        logError('updateArcRollups', error);
+        return { ...result, error: error.message };
+    } finally {
+        arcState.isRunning = false;
+        arcState.shouldCancel = false;
+    }
+}
+
+/**
+ * 요약 변경 후 아크 갱신 예약 (아크 롤업 활성화 시에만, 백그라운드 실행)
+ */
+export function scheduleArcRollupUpdate() {
+    const settings = getSettings();
+    if (!settings.enabled || !settings.arcRollupEnabled) return;
+    
+    updateArcRollups().catch(error => logError('scheduleArcRollupUpdate', error));
+}
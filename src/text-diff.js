@@ -0,0 +1,89 @@
+/**
+ * Scenario Summarizer - 단어 단위 텍스트 비교
+ * 요약 변경 기록에서 두 버전의 차이를 표시할 때 사용
+ */
+
+// LCS 표 크기 상한 (초과하면 공통 앞/뒤를 뺀 가운데를 통째로 교체로 표시)
+const MAX_DIFF_CELLS = 400000;
+
+/**
+ * 단어/공백 토큰으로 분리 (공백도 토큰으로 유지해 원문 그대로 재구성 가능)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return String(text || '').split(/(\s+)/).filter(token => token !== '');
+}
+
+/**
+ * 같은 종류의 연속된 조각 합치기
+ * @param {Array<{type: string, text: string}>} parts
+ * @returns {Array<{type: string, text: string}>}
+ */
+function mergeParts(parts) {
+    const merged = [];
+    for (const part of parts) {
+        const last = merged[merged.length - 1];
+        if (last && last.type === part.type) {
+            last.text += part.text;
+        } else if (part.text) {
+            merged.push({ ...part });
+        }
+    }
+    return merged;
+}
+
+/**
+ * 두 텍스트의 단어 단위 차이
+ * @param {string} oldText - 이전 텍스트
+ * @param {string} newText - 새 텍스트
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+export function diffWords(oldText, newText) {
+    const a = tokenize(oldText);
+    const b = tokenize(newText);
+    
+    // 공통 앞/뒤는 LCS 계산에서 제외
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix
+        && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+    
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const parts = [{ type: 'equal', text: a.slice(0, prefix).join('') }];
+    
+    if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+        parts.push({ type: 'delete', text: midA.join('') }, { type: 'insert', text: midB.join('') });
+    } else {
+        // lcs[i][j] = midA[i..], midB[j..]의 최장 공통 부분열 길이
+        const cols = midB.length + 1;
+        const lcs = new Uint32Array((midA.length + 1) * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                lcs[i * cols + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                parts.push({ type: 'equal', text: midA[i] });
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+                parts.push({ type: 'delete', text: midA[i++] });
+            } else {
+                parts.push({ type: 'insert', text: midB[j++] });
+            }
+        }
+        parts.push({ type: 'delete', text: midA.slice(i).join('') }, { type: 'insert', text: midB.slice(j).join('') });
+    }
+    
+    parts.push({ type: 'equal', text: a.slice(a.length - suffix).join('') });
+    return mergeParts(parts);
+}
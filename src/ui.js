@@ -3,9 +3,10 @@
  */
 
 import { getContext, extension_settings } from "../../../../extensions.js";
-import { saveSettingsDebounced } from "../../../../../script.js";
+import { saveSettingsDebounced, main_api } from "../../../../../script.js";
 import { 
-    extensionName, defaultSettings, 
+    extensionName, defaultSettings, INJECTION_SLOTS,
+    INJECTION_CONTENT_MACROS, DEFAULT_INJECTION_TEMPLATES, DEFAULT_INJECTION_ENTRY_FORMAT, DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT,
     DEFAULT_PROMPT_TEMPLATE, 
     DEFAULT_BATCH_PROMPT_TEMPLATE,
     DEFAULT_CHARACTER_PROMPT_TEMPLATE,
@@ -18,28 +19,37 @@ import {
     isParsingFailedContent,
     GROUP_INCLUDED_TEXT,
     PARSING_FAILED_TEXT,
+    SUMMARY_SOURCE_LABELS,
     cleanJsonBlocks,
     cleanCatalogSections,
     extractJsonBlocks,
-    extractCatalogSections
+    extractCatalogSections,
+    parseSummaryFields,
+    replaceSummaryField
 } from './constants.js';
 import { log, getSettings, requestStop, isSummarizing, getErrorLogs, getLastError, clearErrorLogs, logError } from './state.js';
 import { 
     getSummaryData, saveSummaryData, getRelevantSummaries, 
     setSummaryForMessage, deleteSummaryForMessage, clearAllSummaries,
-    exportSummaries, importSummaries, importSummariesFull, searchSummaries, searchLegacySummaries, getCharacterName, getCurrentChatId,
+    exportSummaries, importSummaries, importSummariesFull, searchSummaries, parseFieldSearchQuery, searchLegacySummaries, getCharacterName, getCurrentChatId,
     getCharacters, getRelevantCharacters, getCharacter, setCharacter, deleteCharacter, clearCharactersData,
     formatCharactersText, mergeExtractedCharacters, cleanupOrphanedSummaries,
     getLegacySummaries, addLegacySummary, updateLegacySummary, deleteLegacySummary,
     clearLegacySummaries, importAsLegacySummaries, exportLegacySummaries, estimateLegacyTokens,
     getEvents, getRelevantEvents, getEvent, addEvent, updateEvent, deleteEvent, clearEvents,
-    getItems, getRelevantItems, getItem, addItem, updateItem, deleteItem, clearItems
+    getItems, getRelevantItems, getItem, addItem, updateItem, deleteItem, clearItems,
+    getArcs, getArc, updateArc, deleteArc, getArcStatus,
+    getBoundLorebook, setBoundLorebook, getNotes, deleteNote,
+    getSummaryHistory, restoreSummaryVersion
 } from './storage.js';
-import { runSummary, resummarizeMessage, resummarizeMultipleGroups, compressSummaries, applyCompressedSummaries, getCompressState, cancelCompress } from './summarizer.js';
+import { runSummary, planSummaryChunks, dryRunSummary, resummarizeMessage, resummarizeMultipleGroups, compressSummaries, applyCompressedSummaries, getCompressState, cancelCompress, updateArcRollups, regenerateArc, isArcRollupRunning, scheduleArcRollupUpdate } from './summarizer.js';
 import { applyMessageVisibility, restoreAllVisibility, getVisibilityStats } from './visibility.js';
-import { injectSummaryToPrompt, clearInjection, getInjectionPreview, getSkippedSummaryIndices, invalidateTokenCache } from './injection.js';
+import { injectSummaryToPrompt, clearInjection, getInjectionPreview, getSkippedSummaryIndices, getRelevanceSelectedIndices, getArcCoveredIndices, invalidateTokenCache, getSlotSettings, getInjectionTemplate, getCatalogExclusions } from './injection.js';
 import { updateEventListeners } from './events.js';
+import { exportCatalogsAsLorebook, getLorebookNames, createLorebook, syncCatalogsToLorebook, collectLorebookImportCandidates, applyLorebookImport } from './lorebook.js';
 import { loadModels, testApiConnection, getApiStatus } from './api.js';
+import { compilePreprocessRule, getPreprocessSteps } from './preprocess.js';
+import { diffWords } from './text-diff.js';
 
 // 현재 페이지 (페이지네이션)
 let currentPage = 0;
@@ -48,12 +58,15 @@ const ITEMS_PER_PAGE = 10;
 // 정렬 순서 (요약 보기): 'newest' = 최신순, 'oldest' = 오래된순
 let summarySortOrder = 'newest';
 
-// 필터 모드: 'all' = 전체, 'pinned' = 핀 고정만, 'hidden' = 숨긴 요약만
+// 필터 모드: 'all' = 전체, 'pinned' = 핀 고정만, 'hidden' = 숨긴 요약만, 'quotes' = 원문에 없는 인용이 있는 요약만
 let summaryFilterMode = 'all';
 
 // 토큰 카운터 함수 (동적 로드)
 let getTokenCountAsync = null;
 
+// 현재 토크나이저 이름 조회 함수 (동적 로드, 토큰 캐시 키에 사용)
+let getFriendlyTokenizerName = null;
+
 /**
  * 토큰 카운터 함수 초기화
  */
@@ -65,6 +78,7 @@ export async function initTokenCounter() {
         // 상대 경로를 절대 경로로 변경
         const tokenizersModule = await import('/scripts/tokenizers.js');
         getTokenCountAsync = tokenizersModule.getTokenCountAsync;
+        getFriendlyTokenizerName = tokenizersModule.getFriendlyTokenizerName || null;
         console.log(`[${extensionName}] Token counter initialized successfully`);
     } catch (e) {
         console.warn(`[${extensionName}] Failed to load tokenizers module:`, e);
@@ -85,6 +99,21 @@ export function getTokenCounter() {
     return getTokenCountAsync;
 }
 
+/**
+ * 현재 사용 중인 토크나이저 ID (토큰 수 캐시 구분용)
+ * 토크나이저를 불러오지 못했으면 폴백 추정치 ID 반환
+ * @returns {string}
+ */
+export function getTokenizerId() {
+    if (!getFriendlyTokenizerName) return 'estimate';
+    try {
+        const { tokenizerId, tokenizerName } = getFriendlyTokenizerName(main_api);
+        return String(tokenizerId ?? tokenizerName ?? 'unknown');
+    } catch (e) {
+        return 'unknown';
+    }
+}
+
 /**
  * 설정 저장
  */
@@ -106,15 +135,284 @@ function escapeHtml(text) {
 }
 
 /**
- * 주입 깊이 설정 표시/숨김
+ * 주입 슬롯 설정 목록 렌더링
+ */
+function renderInjectionSlots() {
+    const settings = getSettings();
+    const $container = $("#summarizer-injection-slots");
+    
+    let html = '';
+    for (const [slotId, meta] of Object.entries(INJECTION_SLOTS)) {
+        const slot = getSlotSettings(settings, slotId);
+        const isInChat = slot.position === 'in-chat';
+        
+        html += `
+            <div class="summarizer-slot-item ${slot.enabled ? '' : 'disabled'}" data-slot="${slotId}">
+                <div class="summarizer-slot-header">
+                    <span class="summarizer-slot-label">${meta.icon} ${meta.label}</span>
+                    <label class="summarizer-toggle">
+                        <input type="checkbox" class="summarizer-slot-enabled" ${slot.enabled ? 'checked' : ''} />
+                        <span class="summarizer-toggle-slider"></span>
+                    </label>
+                </div>
+                <div class="summarizer-slot-fields">
+                    <select class="summarizer-select summarizer-slot-position" title="주입 위치">
+                        <option value="in-chat" ${slot.position === 'in-chat' ? 'selected' : ''}>In-Chat</option>
+                        <option value="before-main" ${slot.position === 'before-main' ? 'selected' : ''}>Before Main</option>
+                        <option value="after-main" ${slot.position === 'after-main' ? 'selected' : ''}>After Main</option>
+                    </select>
+                    <input type="number" class="summarizer-slot-depth" min="0" max="100" step="1" value="${slot.depth}" title="주입 깊이 (In-Chat)" ${isInChat ? '' : 'disabled'} />
+                    <select class="summarizer-select summarizer-slot-role" title="역할 (In-Chat)" ${isInChat ? '' : 'disabled'}>
+                        <option value="system" ${slot.role === 'system' ? 'selected' : ''}>System</option>
+                        <option value="user" ${slot.role === 'user' ? 'selected' : ''}>User</option>
+                        <option value="assistant" ${slot.role === 'assistant' ? 'selected' : ''}>Assistant</option>
+                    </select>
+                    <input type="number" class="summarizer-slot-budget" min="0" max="200000" step="100" value="${slot.tokenBudget}" title="서브 토큰 예산 (0 = 제한 없음)" />
+                </div>
+            </div>
+        `;
+    }
+    
+    $container.html(html);
+}
+
+/**
+ * 주입 슬롯 설정 변경 저장 후 재주입
+ * @param {string} slotId - 슬롯 키
+ * @param {Object} changes - 변경할 값
+ */
+async function updateInjectionSlot(slotId, changes) {
+    const settings = getSettings();
+    settings.injectionSlots = settings.injectionSlots || {};
+    settings.injectionSlots[slotId] = { ...getSlotSettings(settings, slotId), ...changes };
+    saveSettings();
+    renderInjectionSlots();
+    await injectSummaryToPrompt();
+    updateTokenUsage();
+}
+
+/**
+ * 요약 선택 방식에 따라 관련도 옵션 표시/숨김
+ */
+function toggleRelevanceOptionsVisibility() {
+    const mode = $("#summarizer-retrieval-mode").val();
+    if (mode === "relevance") {
+        $("#summarizer-relevance-options").show();
+    } else {
+        $("#summarizer-relevance-options").hide();
+    }
+}
+
+/**
+ * 아크 롤업 활성화 여부에 따라 아크 옵션 표시/숨김
+ */
+function toggleArcOptionsVisibility() {
+    if ($("#summarizer-arc-rollup").prop("checked")) {
+        $("#summarizer-arc-options").show();
+    } else {
+        $("#summarizer-arc-options").hide();
+    }
+}
+
+/**
+ * 세부 정보 감쇠 활성화 여부에 따라 단계 옵션 표시/숨김
+ */
+function toggleDetailDecayOptionsVisibility() {
+    if ($("#summarizer-detail-decay").prop("checked")) {
+        $("#summarizer-detail-decay-options").show();
+    } else {
+        $("#summarizer-detail-decay-options").hide();
+    }
+}
+
+/**
+ * 현재 상태 블록 활성화 여부에 따라 항목 옵션 표시/숨김
+ */
+function toggleCurrentStateOptionsVisibility() {
+    if ($("#summarizer-current-state").prop("checked")) {
+        $("#summarizer-current-state-options").show();
+    } else {
+        $("#summarizer-current-state-options").hide();
+    }
+}
+
+/**
+ * 장면 관련 등장인물 필터 활성화 여부에 따라 옵션 표시/숨김
+ */
+function toggleCharacterSceneOptionsVisibility() {
+    if ($("#summarizer-character-scene-filter").prop("checked")) {
+        $("#summarizer-character-scene-options").show();
+    } else {
+        $("#summarizer-character-scene-options").hide();
+    }
+}
+
+/**
+ * 이벤트/아이템 주입 규칙 활성화 여부에 따라 옵션 표시/숨김
  */
-function toggleInjectionDepthVisibility() {
-    const position = $("#summarizer-injection-position").val();
-    if (position === "in-chat") {
-        $("#injection-depth-container").show();
+function toggleCatalogRulesOptionsVisibility() {
+    if ($("#summarizer-catalog-rules").prop("checked")) {
+        $("#summarizer-catalog-rules-options").show();
     } else {
-        $("#injection-depth-container").hide();
+        $("#summarizer-catalog-rules-options").hide();
+    }
+}
+
+/**
+ * 이벤트/아이템 주입 규칙 변경 후 재주입 + 도감 배지 갱신
+ */
+async function applyCatalogRulesChange() {
+    saveSettings();
+    await injectSummaryToPrompt();
+    updateTokenUsage();
+    renderEventsList();
+    renderItemsList();
+}
+
+/**
+ * 세부 정보 감쇠 단계 목록 렌더링
+ */
+function renderDetailDecayTiers() {
+    const settings = getSettings();
+    const cats = settings.categories || {};
+    const tiers = Array.isArray(settings.detailDecayTiers) ? settings.detailDecayTiers : [];
+    const orderedKeys = getCategoryOrder(settings);
+    
+    let html = '';
+    tiers.forEach((tier, tierIndex) => {
+        const isAll = !Array.isArray(tier.categories);
+        const selected = new Set(isAll ? [] : tier.categories);
+        
+        const catHtml = orderedKeys.map(key => {
+            const cat = cats[key];
+            if (!cat || typeof cat !== 'object') return '';
+            return `
+                <label class="summarizer-decay-cat-label ${isAll ? 'disabled' : ''}">
+                    <input type="checkbox" class="summarizer-decay-cat" data-key="${escapeHtml(key)}" ${isAll || selected.has(key) ? 'checked' : ''} ${isAll ? 'disabled' : ''} />
+                    ${escapeHtml(cat.icon || '')} ${escapeHtml(cat.label || key)}
+                </label>
+            `;
+        }).join('');
+        
+        html += `
+            <div class="summarizer-decay-tier" data-tier="${tierIndex}">
+                <div class="summarizer-decay-tier-header">
+                    <span class="summarizer-decay-tier-label">${tierIndex + 1}단계</span>
+                    <input type="number" class="summarizer-decay-count" min="0" max="1000" step="1" value="${tier.count || 0}" title="적용할 요약 개수 (0 = 나머지 전체)" />
+                    <span class="summarizer-hint">${tier.count > 0 ? '개' : '개 (나머지 전체)'}</span>
+                    <label class="summarizer-decay-cat-label">
+                        <input type="checkbox" class="summarizer-decay-all" ${isAll ? 'checked' : ''} />
+                        전체
+                    </label>
+                    ${tiers.length > 1 ? '<button class="summarizer-decay-remove" title="단계 삭제">✕</button>' : ''}
+                </div>
+                <div class="summarizer-decay-cats">${catHtml}</div>
+            </div>
+        `;
+    });
+    
+    $("#summarizer-detail-decay-tiers").html(html);
+}
+
+/**
+ * 세부 정보 감쇠 단계 변경 저장 후 재주입
+ * @param {Function} mutate - 단계 배열을 수정하는 함수
+ */
+async function updateDetailDecayTiers(mutate) {
+    const settings = getSettings();
+    const tiers = Array.isArray(settings.detailDecayTiers)
+        ? settings.detailDecayTiers.map(tier => ({ ...tier }))
+        : [];
+    mutate(tiers);
+    settings.detailDecayTiers = tiers;
+    saveSettings();
+    renderDetailDecayTiers();
+    await injectSummaryToPrompt();
+    updateTokenUsage();
+}
+
+/**
+ * 메시지 전처리 규칙 목록 렌더링
+ */
+function renderPreprocessRules() {
+    const settings = getSettings();
+    const rules = Array.isArray(settings.preprocessRules) ? settings.preprocessRules : [];
+    
+    const html = rules.map((rule, ruleIndex) => {
+        const { error } = compilePreprocessRule(rule);
+        return `
+            <div class="summarizer-preprocess-rule ${rule.enabled === false ? 'disabled' : ''}" data-rule="${ruleIndex}">
+                <div class="summarizer-preprocess-rule-header">
+                    <input type="checkbox" class="summarizer-preprocess-enabled" ${rule.enabled !== false ? 'checked' : ''} title="사용" />
+                    <input type="text" class="summarizer-preprocess-label" value="${escapeHtml(rule.label || '')}" placeholder="규칙 ${ruleIndex + 1}" />
+                    <button class="summarizer-preprocess-move" data-dir="-1" title="위로" ${ruleIndex === 0 ? 'disabled' : ''}>▲</button>
+                    <button class="summarizer-preprocess-move" data-dir="1" title="아래로" ${ruleIndex === rules.length - 1 ? 'disabled' : ''}>▼</button>
+                    <button class="summarizer-preprocess-test" title="테스트 메시지에 이 규칙 적용 전/후 보기"><i class="fa-solid fa-flask"></i></button>
+                    <button class="summarizer-preprocess-remove" title="규칙 삭제">✕</button>
+                </div>
+                <div class="summarizer-preprocess-rule-fields">
+                    <input type="text" class="summarizer-preprocess-pattern" value="${escapeHtml(rule.pattern || '')}" placeholder="정규식 패턴" />
+                    <input type="text" class="summarizer-preprocess-flags" value="${escapeHtml(rule.flags ?? 'g')}" placeholder="플래그" title="정규식 플래그 (g, i, m, s, u)" />
+                    <input type="text" class="summarizer-preprocess-replacement" value="${escapeHtml(rule.replacement || '')}" placeholder="바꿀 내용 (비우면 삭제)" />
+                </div>
+                ${error ? `<small class="summarizer-preprocess-error">⚠️ ${escapeHtml(error)} (요약 시 건너뜀)</small>` : ''}
+                <div class="summarizer-preprocess-test-output" style="display: none;"></div>
+            </div>
+        `;
+    }).join('');
+    
+    $("#summarizer-preprocess-rules").html(html);
+}
+
+/**
+ * 메시지 전처리 규칙 변경 저장
+ * @param {Function} mutate - 규칙 배열을 수정하는 함수
+ */
+function updatePreprocessRules(mutate) {
+    const settings = getSettings();
+    const rules = Array.isArray(settings.preprocessRules)
+        ? settings.preprocessRules.map(rule => ({ ...rule }))
+        : [];
+    mutate(rules);
+    settings.preprocessRules = rules;
+    saveSettings();
+    renderPreprocessRules();
+}
+
+/**
+ * 전처리 테스트에 사용할 메시지 (번호를 비우면 마지막 메시지)
+ * @returns {{index: number, msg: Object}|null}
+ */
+function getPreprocessTestMessage() {
+    const chat = getContext()?.chat || [];
+    const inputVal = $("#summarizer-preprocess-test-index").val();
+    const index = inputVal === '' ? chat.length - 1 : parseInt(inputVal);
+    if (isNaN(index) || !chat[index]) {
+        showToast('warning', chat.length > 0 ? `0~${chat.length - 1} 사이의 메시지 번호를 입력하세요.` : '테스트할 메시지가 없습니다.');
+        return null;
     }
+    return { index, msg: chat[index] };
+}
+
+/**
+ * 전처리 테스트 결과(적용 전/후) 표시
+ * @param {jQuery} $output - 결과를 표시할 요소
+ * @param {number} index - 메시지 번호
+ * @param {{label: string, text: string}} before
+ * @param {{label: string, text: string, error?: string}} after
+ */
+function showPreprocessTestResult($output, index, before, after) {
+    const changed = before.text !== after.text;
+    $output.html(`
+        <div class="summarizer-preprocess-test-meta">
+            #${index} · ${escapeHtml(before.label)} → ${escapeHtml(after.label)} · ${before.text.length.toLocaleString()}자 → ${after.text.length.toLocaleString()}자${changed ? '' : ' (변경 없음)'}
+        </div>
+        ${after.error ? `<small class="summarizer-preprocess-error">⚠️ ${escapeHtml(after.error)}</small>` : ''}
+        <div class="summarizer-preprocess-test-label">적용 전</div>
+        <pre>${escapeHtml(before.text)}</pre>
+        <div class="summarizer-preprocess-test-label">적용 후</div>
+        <pre>${escapeHtml(after.text)}</pre>
+    `).show();
 }
 
 /**
@@ -123,7 +421,7 @@ function toggleInjectionDepthVisibility() {
  * @param {string} message - 표시할 메시지
  * @param {Object} options - 추가 옵션 { error, context }
  */
-function showToast(type, message, options = {}) {
+export function showToast(type, message, options = {}) {
     // 에러인 경우 로그에 기록
     if (type === 'error' && options.error) {
         logError(options.context || 'UI', options.error, options.details || {});
@@ -232,14 +530,30 @@ export function updateUIFromSettings() {
     $("#summarizer-automatic").prop("checked", settings.automaticMode);
     $("#summarizer-interval").val(settings.summaryInterval);
     $("#summarizer-batch-size").val(settings.batchSize || 10);
+    $("#summarizer-concurrency").val(settings.summaryConcurrency || 1);
+    $("#summarizer-history-limit").val(settings.summaryHistoryLimit ?? 10);
+    $("#summarizer-chunk-max-input").val(settings.chunkMaxInputTokens || 0);
+    $("#summarizer-chunk-max-output").val(settings.chunkMaxOutputTokens || 0);
+    $("#summarizer-retry-count").val(settings.summaryRetryCount ?? 2);
+    $("#summarizer-retry-delay").val(settings.summaryRetryDelay ?? 2);
+    $("#summarizer-json-output").prop("checked", settings.jsonOutputMode === true);
+    $("#summarizer-quote-verification").prop("checked", settings.quoteVerification !== false);
+    $("#summarizer-quote-retry").prop("checked", settings.quoteVerificationRetry === true);
     $("#summarizer-preserve").val(settings.preserveRecentMessages);
     
     // Auto-Hide
     $("#summarizer-auto-hide").prop("checked", settings.autoHideEnabled);
+    $("#summarizer-resummarize-on-edit").prop("checked", settings.resummarizeOnEdit !== false);
     
     // 월드인포 포함
     $("#summarizer-include-worldinfo").prop("checked", settings.includeWorldInfo !== false);
     
+    // 메시지 전처리
+    $("#summarizer-preprocess-reasoning").prop("checked", settings.preprocessStripReasoning === true);
+    $("#summarizer-preprocess-code").prop("checked", settings.preprocessStripCodeBlocks === true);
+    $("#summarizer-preprocess-html").prop("checked", settings.preprocessStripHtml === true);
+    renderPreprocessRules();
+    
     // 등장인물 추적
     $("#summarizer-character-tracking").prop("checked", settings.characterTrackingEnabled !== false);
     
@@ -248,13 +562,53 @@ export function updateUIFromSettings() {
     $("#summarizer-item-tracking").prop("checked", settings.itemTrackingEnabled === true);
     
     // 주입 위치 설정
-    $("#summarizer-injection-position").val(settings.injectionPosition || "in-chat");
-    $("#summarizer-injection-depth").val(settings.injectionDepth !== undefined ? settings.injectionDepth : 0);
-    toggleInjectionDepthVisibility();
+    renderInjectionSlots();
     
     // 토큰 예산
     $("#summarizer-token-budget").val(settings.tokenBudget || 20000);
     
+    // 요약 선택 방식
+    $("#summarizer-retrieval-mode").val(settings.injectionRetrievalMode || "recency");
+    $("#summarizer-relevance-query").val(settings.relevanceQueryMessages ?? 5);
+    $("#summarizer-relevance-keep-recent").val(settings.relevanceKeepRecent ?? 5);
+    toggleRelevanceOptionsVisibility();
+    
+    // 아크 롤업
+    $("#summarizer-arc-rollup").prop("checked", settings.arcRollupEnabled === true);
+    $("#summarizer-arc-span").val(settings.arcSpanSize || 10);
+    $("#summarizer-arc-max-tier").val(String(settings.arcMaxTier || 2));
+    toggleArcOptionsVisibility();
+    
+    // 현재 상태 블록
+    $("#summarizer-current-state").prop("checked", settings.currentStateEnabled === true);
+    const currentStateFields = { ...defaultSettings.currentStateFields, ...(settings.currentStateFields || {}) };
+    $(".summarizer-current-state-field").each(function() {
+        $(this).prop("checked", currentStateFields[$(this).data("field")] !== false);
+    });
+    toggleCurrentStateOptionsVisibility();
+    
+    // 장면 관련 등장인물 필터
+    $("#summarizer-character-scene-filter").prop("checked", settings.characterSceneFilterEnabled === true);
+    $("#summarizer-character-scene-messages").val(settings.characterSceneMessageCount ?? 10);
+    $("#summarizer-character-scene-summaries").val(settings.characterSceneSummaryCount ?? 3);
+    $("#summarizer-character-scene-others").val(settings.characterSceneOthersMode || "stub");
+    toggleCharacterSceneOptionsVisibility();
+    
+    // 이벤트/아이템 주입 규칙
+    $("#summarizer-catalog-rules").prop("checked", settings.catalogRulesEnabled === true);
+    $("#summarizer-event-min-importance").val(settings.eventMinImportance || "low");
+    const eventMaxPerImportance = { ...defaultSettings.eventMaxPerImportance, ...(settings.eventMaxPerImportance || {}) };
+    $(".summarizer-event-max").each(function() {
+        $(this).val(eventMaxPerImportance[$(this).data("importance")] || 0);
+    });
+    $("#summarizer-item-excluded-statuses").val((settings.itemExcludedStatuses ?? defaultSettings.itemExcludedStatuses).join(", "));
+    $("#summarizer-catalog-recency").val(settings.catalogRecencyWindow || 0);
+    toggleCatalogRulesOptionsVisibility();
+    
+    // 세부 정보 감쇠
+    $("#summarizer-detail-decay").prop("checked", settings.detailDecayEnabled === true);
+    toggleDetailDecayOptionsVisibility();
+    
     // 요약 컨텍스트 (이전 요약 참조 수)
     const contextCount = settings.summaryContextCount !== undefined ? settings.summaryContextCount : 5;
     updateContextCountDisplay(contextCount);
@@ -263,6 +617,10 @@ export function updateUIFromSettings() {
     const summaryMode = settings.summaryMode || "individual";
     $(`input[name='summary-mode'][value='${summaryMode}']`).prop("checked", true);
     $("#summarizer-batch-group-size").val(settings.batchGroupSize || 10);
+    $("#summarizer-batch-group-strategy").val(settings.batchGroupStrategy || "fixed");
+    $("#summarizer-scene-group-min").val(settings.sceneGroupMinSize || 3);
+    $("#summarizer-scene-group-max").val(settings.sceneGroupMaxSize || 10);
+    $("#summarizer-scene-time-gap").val(settings.sceneTimeGapMinutes ?? 60);
     $("#summarizer-language").val(settings.summaryLanguage || "ko");
     $("#summarizer-ui-theme").val(settings.uiTheme || "mono-gray");
     toggleSummaryModeOptions();
@@ -278,6 +636,7 @@ export function updateUIFromSettings() {
     $("#summarizer-custom-key").val(settings.customApiKey);
     $("#summarizer-custom-max-tokens").val(settings.customApiMaxTokens || 8000);
     $("#summarizer-custom-timeout").val(settings.customApiTimeout || 60);
+    $("#summarizer-custom-json-schema").prop("checked", settings.customApiJsonSchema !== false);
     
     // Custom API Temperature / Top P / Top K
     const customTemp = settings.customApiTemperature !== undefined ? settings.customApiTemperature : 1;
@@ -351,6 +710,9 @@ export function updateUIFromSettings() {
     const itemPromptTemplate = settings.customItemPromptTemplate || DEFAULT_ITEM_PROMPT_TEMPLATE;
     $("#summarizer-item-prompt-template").val(itemPromptTemplate);
     
+    // 주입 템플릿
+    loadInjectionTemplateEditor();
+    
     // 프롬프트 프리셋 로드
     populatePromptPresets();
 }
@@ -380,12 +742,17 @@ function toggleCustomApiSection() {
  */
 function toggleSummaryModeOptions() {
     const mode = $("input[name='summary-mode']:checked").val();
+    const sceneStrategy = $("#summarizer-batch-group-strategy").val() === 'scene';
     if (mode === 'batch') {
         $("#batch-mode-options").show();
-        $("#batch-group-size-container").show();
+        $("#batch-group-strategy-container").show();
+        $("#batch-group-size-container").toggle(!sceneStrategy);
+        $("#summarizer-scene-group-options").toggle(sceneStrategy);
     } else {
         $("#batch-mode-options").hide();
+        $("#batch-group-strategy-container").hide();
         $("#batch-group-size-container").hide();
+        $("#summarizer-scene-group-options").hide();
     }
 }
 
@@ -499,7 +866,8 @@ export function saveApiPreset() {
     // 기존 프리셋 찾기
     const existingIndex = settings.apiPresets.findIndex(p => p.name === name);
     
-    const preset = { name, url, key, model };
+    const jsonSchema = $("#summarizer-custom-json-schema").prop("checked");
+    const preset = { name, url, key, model, jsonSchema };
     
     if (existingIndex >= 0) {
         // 기존 프리셋 업데이트
@@ -571,6 +939,7 @@ export function loadSelectedPreset() {
     if (preset) {
         $("#summarizer-custom-url").val(preset.url || '');
         $("#summarizer-custom-key").val(preset.key || '');
+        $("#summarizer-custom-json-schema").prop("checked", preset.jsonSchema !== false);
         $("#summarizer-preset-name").val(preset.name);
         
         // 모델 설정
@@ -685,7 +1054,7 @@ async function updateTokenUsage() {
     await initTokenCounter();
     
     // getInjectionPreview가 내부에서 이미 토큰을 계산하여 반환
-    const { tokens: currentTokens } = await getInjectionPreview();
+    const { tokens: currentTokens, slots = [] } = await getInjectionPreview();
     
     const percentage = Math.min(100, (currentTokens / maxTokens) * 100);
     
@@ -700,6 +1069,22 @@ async function updateTokenUsage() {
     } else if (percentage >= 70) {
         $fill.addClass("warning");
     }
+    
+    // 슬롯별 토큰 사용량
+    const positionLabels = { 'in-chat': 'In-Chat', 'before-main': 'Before Main', 'after-main': 'After Main' };
+    let slotsHtml = '';
+    for (const slot of slots) {
+        const placement = slot.position === 'in-chat'
+            ? `${positionLabels[slot.position]} @${slot.depth} · ${slot.role}`
+            : (positionLabels[slot.position] || slot.position);
+        const budgetLabel = slot.tokenBudget > 0 ? ` / ${slot.tokenBudget.toLocaleString()}` : '';
+        const value = slot.enabled ? `${slot.tokens.toLocaleString()}${budgetLabel}` : '꺼짐';
+        slotsHtml += `<div class="summarizer-token-slot ${slot.enabled ? '' : 'disabled'}">
+            <span>${INJECTION_SLOTS[slot.id]?.icon || ''} ${escapeHtml(slot.label)} <small>${escapeHtml(placement)}</small></span>
+            <span>${value}</span>
+        </div>`;
+    }
+    $("#token-usage-slots").html(slotsHtml);
 }
 
 // ===== 요약 실행 =====
@@ -725,20 +1110,13 @@ export async function runManualSummary() {
     let endIndex = null;
     
     if (useCustomRange) {
-        const context = getContext();
-        const totalMessages = context?.chat?.length || 0;
-        
-        const startInput = $("#summarizer-range-start").val().trim();
-        const endInput = $("#summarizer-range-end").val().trim();
-        
-        // 0-indexed: 사용자가 입력한 값을 그대로 사용
-        startIndex = startInput ? parseInt(startInput) : 0;
-        endIndex = endInput ? parseInt(endInput) : totalMessages - 1;
-        
-        if (isNaN(startIndex) || isNaN(endIndex) || startIndex < 0 || endIndex < startIndex || endIndex >= totalMessages) {
-            showToast('warning', `올바른 범위를 입력하세요. (0 ~ ${totalMessages - 1})`);
+        const range = readCustomRangeInputs();
+        if (!range.valid) {
+            showToast('warning', `올바른 범위를 입력하세요. (0 ~ ${range.totalMessages - 1})`);
             return;
         }
+        startIndex = range.startIndex;
+        endIndex = range.endIndex;
     }
     
     showProgress(true);
@@ -754,6 +1132,9 @@ export async function runManualSummary() {
         
         if (result.success) {
             showToast('success', `요약 완료! ${result.processed}개 메시지 처리됨`);
+            if (result.failedChunks > 0) {
+                showToast('warning', `${result.failedChunks}개 구간은 응답이 없어 실패로 표시되었습니다. 오류 카운트에서 다시 요약하세요.`);
+            }
             
             // 도감 목록 새로고침 (요약 시 추출된 데이터 반영)
             renderCharactersList();
@@ -768,7 +1149,8 @@ export async function runManualSummary() {
         } else if (result.error === '중단됨') {
             showToast('warning', '요약이 중단되었습니다.');
         } else {
-            showToast('error', result.error || '요약 실패');
+            const savedNote = result.processed > 0 ? ` (${result.processed}개 메시지는 저장됨)` : '';
+            showToast('error', `${result.error || '요약 실패'}${savedNote}`);
         }
         
         updateStatusDisplay();
@@ -778,6 +1160,171 @@ export async function runManualSummary() {
     }
 }
 
+/**
+ * 범위 직접 지정 입력값 읽기 (0-indexed: 사용자가 입력한 값을 그대로 사용)
+ * @returns {{valid: boolean, startIndex: number, endIndex: number, totalMessages: number}}
+ */
+function readCustomRangeInputs() {
+    const context = getContext();
+    const totalMessages = context?.chat?.length || 0;
+    
+    const startInput = $("#summarizer-range-start").val().trim();
+    const endInput = $("#summarizer-range-end").val().trim();
+    
+    const startIndex = startInput ? parseInt(startInput) : 0;
+    const endIndex = endInput ? parseInt(endInput) : totalMessages - 1;
+    const valid = !isNaN(startIndex) && !isNaN(endIndex) && startIndex >= 0 && endIndex >= startIndex && endIndex < totalMessages;
+    
+    return { valid, startIndex, endIndex, totalMessages };
+}
+
+let chunkPlanTimer = null;
+let chunkPlanSeq = 0;
+
+/**
+ * 범위 직접 지정 시 청크 계획 미리보기 (API 호출 수, 청크별 메시지 수와 예상 토큰)
+ */
+function renderChunkPlan() {
+    clearTimeout(chunkPlanTimer);
+    chunkPlanTimer = setTimeout(async () => {
+        const seq = ++chunkPlanSeq;
+        const $plan = $("#summarizer-chunk-plan");
+        const range = readCustomRangeInputs();
+        if (!$("#summarizer-custom-range").prop("checked") || !range.valid) {
+            $plan.empty();
+            return;
+        }
+        
+        const settings = getSettings();
+        await initTokenCounter();
+        const chunks = await planSummaryChunks(range.startIndex, range.endIndex);
+        // 계산 중에 범위/설정이 바뀌었으면 이전 결과는 버림
+        if (seq !== chunkPlanSeq) return;
+        if (chunks.length === 0) {
+            $plan.html('<div class="summarizer-chunk-plan-summary">요약할 메시지가 없습니다</div>');
+            return;
+        }
+        
+        const maxInput = settings.chunkMaxInputTokens || 0;
+        const maxOutput = settings.chunkMaxOutputTokens || 0;
+        const totalMessages = chunks.reduce((sum, c) => sum + c.indices.length, 0);
+        const totalInput = chunks.reduce((sum, c) => sum + c.inputTokens, 0);
+        const totalOutput = chunks.reduce((sum, c) => sum + c.outputTokens, 0);
+        
+        const MAX_ROWS = 50;
+        let rowsHtml = '';
+        chunks.slice(0, MAX_ROWS).forEach((chunk, i) => {
+            const first = chunk.indices[0];
+            const last = chunk.indices[chunk.indices.length - 1];
+            const groupLabel = chunk.groups ? ` (${chunk.groups.length}묶음)` : '';
+            // 장면 단위 묶음: 그룹 범위와 경계 사유를 툴팁으로
+            const groupTitle = settings.batchGroupStrategy === 'scene' && chunk.groups
+                ? chunk.groups.map(g => `#${g.indices[0]}~${g.indices[g.indices.length - 1]}${g.sceneBreak ? ` (${g.sceneBreak})` : ''}`).join('\n')
+                : '';
+            // 메시지/그룹 하나가 한도보다 커서 단독 청크가 된 경우
+            const overLimit = (maxInput > 0 && chunk.inputTokens > maxInput) || (maxOutput > 0 && chunk.outputTokens > maxOutput);
+            const rowTitle = [overLimit ? '메시지(묶음) 하나가 한도보다 커서 단독으로 요청됩니다' : '', groupTitle].filter(Boolean).join('\n');
+            rowsHtml += `<div class="summarizer-chunk-plan-row${overLimit ? ' over-limit' : ''}"${rowTitle ? ` title="${escapeHtml(rowTitle)}"` : ''}>
+                <span>${i + 1}. #${first}${last !== first ? `~${last}` : ''} · ${chunk.indices.length}개${groupLabel}</span>
+                <span>~${chunk.inputTokens.toLocaleString()} / ~${chunk.outputTokens.toLocaleString()}</span>
+            </div>`;
+        });
+        if (chunks.length > MAX_ROWS) {
+            rowsHtml += `<div class="summarizer-chunk-plan-row"><span>... 외 ${chunks.length - MAX_ROWS}개</span></div>`;
+        }
+        
+        $plan.html(`
+            <div class="summarizer-chunk-plan-summary">API 호출 ${chunks.length}회 · 메시지 ${totalMessages}개 · 입력 ~${totalInput.toLocaleString()} / 예상 출력 ~${totalOutput.toLocaleString()} 토큰</div>
+            <div class="summarizer-chunk-plan-list">${rowsHtml}</div>
+        `);
+    }, 300);
+}
+
+/**
+ * 요약 드라이런: '지금 요약'이 보낼 프롬프트를 API 호출 없이 섹션별 토큰과 함께 표시
+ */
+async function runDryRun() {
+    const $btn = $("#summarizer-dry-run");
+    const $result = $("#summarizer-dry-run-result");
+    
+    let startIndex = null;
+    let endIndex = null;
+    if ($("#summarizer-custom-range").prop("checked")) {
+        const range = readCustomRangeInputs();
+        if (!range.valid) {
+            showToast('warning', `올바른 범위를 입력하세요. (0 ~ ${range.totalMessages - 1})`);
+            return;
+        }
+        startIndex = range.startIndex;
+        endIndex = range.endIndex;
+    }
+    
+    $btn.prop("disabled", true);
+    try {
+        await initTokenCounter();
+        const mode = $("#summarizer-dry-run-mode").val() || undefined;
+        const result = await dryRunSummary(startIndex, endIndex, { mode });
+        if (!result.success) {
+            $result.hide().empty();
+            showToast('warning', result.error || '미리보기 실패');
+            return;
+        }
+        
+        const settings = getSettings();
+        const contextCount = settings.summaryContextCount !== undefined ? settings.summaryContextCount : 5;
+        // 토크나이저를 불러오지 못한 경우에만 추정치 표시
+        const approx = result.estimated ? '~' : '';
+        const notes = [];
+        if (result.estimated) {
+            notes.push('토크나이저를 불러오지 못해 글자 수 기반 추정치로 표시합니다');
+        }
+        if (result.prompts.length > 1) {
+            notes.push('두 번째 프롬프트부터의 이전 상태·최근 요약은 현재 저장된 요약 기준입니다 (실제 실행 시 앞 청크 결과가 반영됨)');
+        }
+        if (settings.jsonOutputMode) {
+            notes.push('JSON 출력 모드의 스키마는 프롬프트와 별도로 전송되어 집계에서 제외됩니다');
+        }
+        
+        const MAX_PROMPTS = 20;
+        const promptsHtml = result.prompts.slice(0, MAX_PROMPTS).map((prompt, i) => {
+            const rows = prompt.sections.map(section => {
+                let label = section.label;
+                if (section.key === 'recent') label += ` (${contextCount}개)`;
+                const title = section.key === 'worldInfo' && prompt.worldInfo.length > 0 ? prompt.worldInfo.join(', ') : '';
+                const percent = prompt.tokens > 0 ? Math.round(section.tokens / prompt.tokens * 100) : 0;
+                return `<tr class="${section.tokens === 0 ? 'empty' : ''}"${title ? ` title="${escapeHtml(title)}"` : ''}>
+                    <td>${escapeHtml(label)}</td>
+                    <td>${approx}${section.tokens.toLocaleString()}</td>
+                    <td>${percent}%</td>
+                </tr>`;
+            }).join('');
+            const groupLabel = result.isBatchMode ? ` · ${prompt.groupCount}묶음` : '';
+            return `<details class="summarizer-dry-run-prompt"${i === 0 ? ' open' : ''}>
+                <summary>${i + 1}. #${prompt.start}${prompt.end !== prompt.start ? `~${prompt.end}` : ''} · ${prompt.messageCount}개${groupLabel} · ${approx}${prompt.tokens.toLocaleString()} 토큰</summary>
+                <table class="summarizer-dry-run-table">${rows}</table>
+                <details class="summarizer-dry-run-text">
+                    <summary>전체 프롬프트 보기</summary>
+                    <pre>${escapeHtml(prompt.prompt)}</pre>
+                </details>
+            </details>`;
+        }).join('');
+        const moreHtml = result.prompts.length > MAX_PROMPTS
+            ? `<div class="summarizer-dry-run-note">... 외 ${result.prompts.length - MAX_PROMPTS}개 프롬프트 (합계에는 포함)</div>`
+            : '';
+        
+        $result.html(`
+            <div class="summarizer-dry-run-summary">#${result.startIndex}~${result.endIndex} · ${result.isBatchMode ? '묶음' : '개별'} 요약 · API 호출 ${result.prompts.length}회 · 입력 합계 ${approx}${result.totalTokens.toLocaleString()} 토큰${result.estimated ? ' (추정치)' : ` (${escapeHtml(getTokenizerId())})`}</div>
+            ${notes.map(note => `<div class="summarizer-dry-run-note">${escapeHtml(note)}</div>`).join('')}
+            ${promptsHtml}${moreHtml}
+        `).show();
+    } catch (error) {
+        logError('runDryRun', error);
+        showToast('error', `미리보기 실패: ${error.message}`);
+    } finally {
+        $btn.prop("disabled", false);
+    }
+}
+
 /**
  * 요약 중단
  */
@@ -944,14 +1491,13 @@ let currentViewMode = 'current';
  * 보기 모드 버튼 활성화 상태 업데이트
  */
 function updateViewModeButtons() {
-    if (currentViewMode === 'current') {
-        $("#summarizer-view-current").addClass('active');
-        $("#summarizer-view-legacy").removeClass('active');
-        $("#summarizer-search-input").attr('placeholder', '현재 요약에서 검색...');
-    } else {
-        $("#summarizer-view-current").removeClass('active');
-        $("#summarizer-view-legacy").addClass('active');
+    $("#summarizer-view-current").toggleClass('active', currentViewMode === 'current');
+    $("#summarizer-view-legacy").toggleClass('active', currentViewMode === 'legacy');
+    $("#summarizer-view-arcs").toggleClass('active', currentViewMode === 'arcs');
+    if (currentViewMode === 'legacy') {
         $("#summarizer-search-input").attr('placeholder', '인계된 요약에서 검색...');
+    } else {
+        $("#summarizer-search-input").attr('placeholder', '현재 요약에서 검색...');
     }
 }
 
@@ -972,11 +1518,13 @@ export async function viewSummaries() {
  * 핀 고정 필터 토글
  */
 async function togglePinnedMemoFilter() {
-    // all -> pinned -> hidden -> all 순환
+    // all -> pinned -> hidden -> quotes -> all 순환
     if (summaryFilterMode === 'all') {
         summaryFilterMode = 'pinned';
     } else if (summaryFilterMode === 'pinned') {
         summaryFilterMode = 'hidden';
+    } else if (summaryFilterMode === 'hidden') {
+        summaryFilterMode = 'quotes';
     } else {
         summaryFilterMode = 'all';
     }
@@ -984,15 +1532,19 @@ async function togglePinnedMemoFilter() {
     
     const $btn = $("#summarizer-filter-pinned-memo");
     if (summaryFilterMode === 'pinned') {
-        $btn.addClass('active').removeClass('active-hidden');
+        $btn.addClass('active').removeClass('active-hidden active-quotes');
         $btn.attr('title', '📌 핀 고정만 보기 중 (클릭: 숨긴 요약만)');
         $btn.find('i').attr('class', 'fa-solid fa-thumbtack');
     } else if (summaryFilterMode === 'hidden') {
-        $btn.addClass('active-hidden').removeClass('active');
-        $btn.attr('title', '숨긴 요약만 보기 중 (클릭: 전체 보기)');
+        $btn.addClass('active-hidden').removeClass('active active-quotes');
+        $btn.attr('title', '숨긴 요약만 보기 중 (클릭: 인용 확인 필요만)');
         $btn.find('i').attr('class', 'fa-solid fa-eye-slash');
+    } else if (summaryFilterMode === 'quotes') {
+        $btn.addClass('active-quotes').removeClass('active active-hidden');
+        $btn.attr('title', '💬 원문에 없는 인용이 있는 요약만 보기 중 (클릭: 전체 보기)');
+        $btn.find('i').attr('class', 'fa-solid fa-quote-right');
     } else {
-        $btn.removeClass('active active-hidden');
+        $btn.removeClass('active active-hidden active-quotes');
         $btn.attr('title', '📌 핀 고정만 모아보기');
         $btn.find('i').attr('class', 'fa-solid fa-bookmark');
     }
@@ -1011,6 +1563,19 @@ export async function viewLegacySummaries() {
     $("#summarizer-preview").show();
 }
 
+/**
+ * 아크 요약 보기
+ */
+export async function viewArcSummaries() {
+    currentPage = 0;
+    currentViewMode = 'arcs';
+    updateViewModeButtons();
+    // 주입 중인 아크 표시를 최신 상태로 갱신
+    await injectSummaryToPrompt();
+    await renderArcListInPreview();
+    $("#summarizer-preview").show();
+}
+
 /**
  * 정렬 순서 토글 (최신순 <-> 오래된순)
  */
@@ -1031,6 +1596,8 @@ async function toggleSortOrder() {
     currentPage = 0;
     if (currentViewMode === 'legacy') {
         await renderLegacySummaryListInPreview();
+    } else if (currentViewMode === 'arcs') {
+        await renderArcListInPreview();
     } else {
         await renderSummaryList();
     }
@@ -1038,6 +1605,80 @@ async function toggleSortOrder() {
     showToast('info', summarySortOrder === 'newest' ? '최신순으로 정렬' : '오래된순으로 정렬');
 }
 
+/**
+ * 요약 수정 영역의 카테고리별 입력칸 HTML (활성 카테고리 + 요약에 이미 있는 카테고리)
+ * @param {string} content - 수정할 요약 내용
+ * @returns {string}
+ */
+function renderSummaryFieldInputs(content) {
+    const categories = getSettings().categories || {};
+    const fields = parseSummaryFields(content, categories);
+    const keys = Object.keys(categories).filter(key => categories[key]?.enabled);
+    for (const key of Object.keys(fields)) {
+        if (!keys.includes(key)) keys.push(key);
+    }
+    if (keys.length === 0) return '';
+    
+    const rows = keys.map(key => {
+        const category = categories[key];
+        const label = category?.label || key;
+        const icon = category?.icon ? `${category.icon} ` : '';
+        return `<label class="summarizer-field-row">
+            <span class="summarizer-field-label">${escapeHtml(icon + label)}</span>
+            <textarea class="summarizer-field-input" data-key="${escapeHtml(key)}" rows="1">${escapeHtml(fields[key] || '')}</textarea>
+        </label>`;
+    }).join('');
+    
+    return `<div class="summarizer-field-editor">${rows}</div>`;
+}
+
+/**
+ * 요약 변경 기록 팝오버 렌더링 (선택한 버전과 현재 내용의 단어 단위 비교)
+ * @param {jQuery} $entry - 요약 항목 요소
+ * @param {number} idx - 요약 인덱스
+ * @param {number} selectedVersion - 비교할 버전 (getSummaryHistory 인덱스)
+ */
+function renderSummaryHistory($entry, idx, selectedVersion) {
+    const current = getSummaryData()?.summaries?.[idx];
+    const history = getSummaryHistory(idx);
+    const $history = $entry.find(".summarizer-entry-history");
+    if (!current || history.length === 0) {
+        $history.hide();
+        return;
+    }
+    
+    const describe = (version) => {
+        const source = SUMMARY_SOURCE_LABELS[version.source] || SUMMARY_SOURCE_LABELS.unknown;
+        const time = version.timestamp ? new Date(version.timestamp).toLocaleString("ko-KR") : '';
+        return `<span class="summarizer-history-source">${escapeHtml(source)}</span>
+            <span class="summarizer-history-meta">${escapeHtml([time, version.model].filter(Boolean).join(' · '))}</span>`;
+    };
+    
+    // 최신 버전부터 표시
+    let itemsHtml = '';
+    for (let v = history.length - 1; v >= 0; v--) {
+        itemsHtml += `
+            <div class="summarizer-history-item ${v === selectedVersion ? 'selected' : ''}" data-idx="${idx}" data-version="${v}">
+                ${describe(history[v])}
+                <button class="summarizer-btn summarizer-btn-tiny summarizer-history-restore" data-idx="${idx}" data-version="${v}" title="이 버전으로 복원">
+                    <i class="fa-solid fa-rotate-left"></i> 복원
+                </button>
+            </div>`;
+    }
+    
+    const diffHtml = diffWords(cleanJsonBlocks(String(current.content ?? '')), cleanJsonBlocks(String(history[selectedVersion]?.content ?? '')))
+        .map(part => part.type === 'equal' ? escapeHtml(part.text)
+            : `<${part.type === 'delete' ? 'del' : 'ins'}>${escapeHtml(part.text)}</${part.type === 'delete' ? 'del' : 'ins'}>`)
+        .join('');
+    
+    $history.html(`
+        <div class="summarizer-history-current">현재: ${describe(current)}</div>
+        <div class="summarizer-history-list">${itemsHtml}</div>
+        <div class="summarizer-history-legend">현재 → 선택한 버전: <del>사라지는 내용</del> <ins>되돌아오는 내용</ins></div>
+        <pre class="summarizer-history-diff">${diffHtml}</pre>
+    `).show();
+}
+
 /**
  * 요약 목록 렌더링
  */
@@ -1066,6 +1707,11 @@ async function renderSummaryList() {
             const summary = summaries[index];
             return summary?.hidden === true;
         });
+    } else if (summaryFilterMode === 'quotes') {
+        indices = indices.filter(index => {
+            const summary = summaries[index];
+            return Array.isArray(summary?.unverifiedQuotes) && summary.unverifiedQuotes.length > 0;
+        });
     }
     
     const $content = $("#summarizer-preview-content");
@@ -1076,6 +1722,8 @@ async function renderSummaryList() {
             ? '핀 고정된 요약이 없습니다.'
             : summaryFilterMode === 'hidden'
             ? '숨긴 요약이 없습니다.'
+            : summaryFilterMode === 'quotes'
+            ? '원문에 없는 인용이 있는 요약이 없습니다.'
             : '저장된 요약이 없습니다.';
         $content.html(`<p class="summarizer-placeholder">${emptyMsg}</p>`);
         $pagination.hide();
@@ -1110,7 +1758,8 @@ async function renderSummaryList() {
     
     // 필터 모드 표시
     const filterLabel = summaryFilterMode === 'pinned' ? ' · <i class="fa-solid fa-filter"></i> 핀 고정만' 
-        : summaryFilterMode === 'hidden' ? ' · <i class="fa-solid fa-filter"></i> 숨긴 요약만' : '';
+        : summaryFilterMode === 'hidden' ? ' · <i class="fa-solid fa-filter"></i> 숨긴 요약만'
+        : summaryFilterMode === 'quotes' ? ' · <i class="fa-solid fa-filter"></i> 인용 확인 필요만' : '';
     
     let html = `<div class="summarizer-summary-header">
         <strong>${getCharacterName()} 시나리오 요약</strong>
@@ -1122,6 +1771,13 @@ async function renderSummaryList() {
     const skippedCount = pageIndices.filter(i => skippedIndices.has(i)).length;
     const includedCount = pageIndices.length - skippedCount;
     
+    // relevance 모드: 관련도로 선택된 과거 요약 (미전달 요약이 흩어져 있으므로 구분선 대신 개별 배지 사용)
+    const isRelevanceMode = getSettings().injectionRetrievalMode === 'relevance';
+    const relevanceIndices = getRelevanceSelectedIndices();
+    
+    // 아크 롤업: 예산 절약을 위해 아크로 대체되어 전달되는 요약
+    const arcCoveredIndices = getArcCoveredIndices();
+    
     // 구분선 삽입을 위해 첫 번째 skipped 항목 감지
     let skippedDividerInserted = false;
     
@@ -1133,6 +1789,7 @@ async function renderSummaryList() {
         const isPinned = summary?.pinned === true;
         const isHidden = summary?.hidden === true;
         const memo = summary?.memo || '';
+        const historyCount = Array.isArray(summary?.history) ? summary.history.length : 0;
         const isSkipped = skippedIndices.has(index);
         
         // 날짜(요일) 포맷팅
@@ -1172,10 +1829,22 @@ async function renderSummaryList() {
         
         // 잘린 요약 스타일
         const skippedClass = isSkipped ? ' summarizer-entry-skipped' : '';
-        const skippedBadge = isSkipped ? '<span class="summarizer-skipped-badge" title="토큰 예산 초과로 AI에게 전달되지 않는 요약입니다">미전달</span>' : '';
-        
-        // 구분선: 첫 번째 미전달 요약 앞에 삽입
-        if (isSkipped && !skippedDividerInserted && includedCount > 0) {
+        const skippedTitle = isRelevanceMode
+            ? '최근 대화와의 관련도가 낮아 토큰 예산 안에 들지 못한 요약입니다'
+            : '토큰 예산 초과로 AI에게 전달되지 않는 요약입니다';
+        const skippedBadge = isSkipped ? `<span class="summarizer-skipped-badge" title="${skippedTitle}">미전달</span>` : '';
+        const relevanceBadge = (isRelevanceMode && !isSkipped && relevanceIndices.has(index))
+            ? '<span class="summarizer-relevance-badge" title="최근 대화와 관련되어 우선 포함된 과거 요약입니다">🔎 관련</span>' : '';
+        const reducedContextBadge = summary?.reducedContext === true
+            ? '<span class="summarizer-reduced-context-badge" title="병렬 요약 중 앞 구간의 요약 없이 생성되어 흐름(날짜/장소/관계)이 어긋날 수 있습니다. 필요하면 재요약하세요">⚡ 병렬</span>' : '';
+        const unverifiedQuotes = Array.isArray(summary?.unverifiedQuotes) ? summary.unverifiedQuotes : [];
+        const quoteBadge = unverifiedQuotes.length > 0
+            ? `<span class="summarizer-quote-badge" title="${escapeHtml(`원문에서 찾을 수 없는 인용:\n${unverifiedQuotes.map(q => `"${q}"`).join('\n')}`)}">💬 인용 ${unverifiedQuotes.length}</span>` : '';
+        const arcBadge = (!isSkipped && arcCoveredIndices.has(index))
+            ? '<span class="summarizer-arc-badge" title="토큰 예산 절약을 위해 이 요약 대신 상위 아크 요약이 전달됩니다">📚 아크</span>' : '';
+        
+        // 구분선: 첫 번째 미전달 요약 앞에 삽입 (최신순 모드에서만 의미 있음)
+        if (!isRelevanceMode && isSkipped && !skippedDividerInserted && includedCount > 0) {
             html += `<div class="summarizer-skipped-divider">
                 <span class="summarizer-skipped-divider-line"></span>
                 <span class="summarizer-skipped-divider-label">이하 미전달 (토큰 예산 초과)</span>
@@ -1199,7 +1868,7 @@ async function renderSummaryList() {
         html += `
         <div class="summarizer-entry${invalidatedClass}${errorClass}${pinnedClass}${hiddenClass}${skippedClass}" data-msg-index="${index}">
             <div class="summarizer-entry-header">
-                <span class="summarizer-entry-number">${displayNumber}${invalidatedBadge}${errorBadge}${hiddenBadge}${skippedBadge}</span>
+                <span class="summarizer-entry-number">${displayNumber}${invalidatedBadge}${errorBadge}${hiddenBadge}${skippedBadge}${relevanceBadge}${arcBadge}${reducedContextBadge}${quoteBadge}</span>
                 <div class="summarizer-entry-actions">
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-pin-entry ${isPinned ? 'active' : ''}" data-idx="${index}" title="${isPinned ? '핀 해제' : '핀 고정 (토큰 예산 초과 시에도 우선 포함)'}">
                         <i class="${pinnedIcon} fa-thumbtack"></i>
@@ -1210,6 +1879,9 @@ async function renderSummaryList() {
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-memo-toggle" data-idx="${index}" title="${memo ? '메모 수정' : '메모 추가'}">
                         <i class="fa-${memo ? 'solid' : 'regular'} fa-sticky-note"></i>
                     </button>
+                    ${historyCount > 0 ? `<button class="summarizer-btn summarizer-btn-tiny summarizer-history-toggle" data-idx="${index}" title="변경 기록 ${historyCount}개">
+                        <i class="fa-solid fa-clock-rotate-left"></i>
+                    </button>` : ''}
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-edit-entry" data-idx="${index}" title="수정">
                         <i class="fa-solid fa-pen"></i>
                     </button>
@@ -1237,7 +1909,9 @@ async function renderSummaryList() {
                     </button>` : ''}
                 </div>
             </div>
+            <div class="summarizer-entry-history" style="display:none;"></div>
             <div class="summarizer-entry-edit-area" style="display:none;">
+                ${hasParsingError ? '' : renderSummaryFieldInputs(cleanJsonBlocks(content))}
                 <textarea class="summarizer-entry-textarea">${escapeHtml(cleanJsonBlocks(content))}</textarea>
                 <div class="summarizer-entry-edit-buttons">
                     <button class="summarizer-btn summarizer-btn-small summarizer-btn-success summarizer-save-entry" data-idx="${index}">
@@ -1339,15 +2013,31 @@ function bindEntryEventsDelegated() {
         const hiddenBlocks = extractJsonBlocks(originalContent);
         const newContent = hiddenBlocks ? editedText + '\n' + hiddenBlocks : editedText;
         
-        setSummaryForMessage(idx, newContent);
+        setSummaryForMessage(idx, newContent, { source: 'manual' });
         await saveSummaryData();
         invalidateTokenCache();
         await injectSummaryToPrompt();
+        scheduleArcRollupUpdate();
         
         showToast('success', `#${idx} 요약이 수정되었습니다.`);
         await renderSummaryList();
     });
     
+    // 카테고리 입력칸 → 본문 반영
+    $container.on("input", ".summarizer-field-input", function() {
+        const $textarea = $(this).closest(".summarizer-entry-edit-area").find(".summarizer-entry-textarea");
+        $textarea.val(replaceSummaryField($textarea.val(), $(this).data("key"), $(this).val(), getSettings().categories));
+    });
+    
+    // 본문 직접 수정 → 카테고리 입력칸 반영
+    $container.on("input", ".summarizer-entry-textarea", function() {
+        const $area = $(this).closest(".summarizer-entry-edit-area");
+        const fields = parseSummaryFields($(this).val(), getSettings().categories);
+        $area.find(".summarizer-field-input").each(function() {
+            $(this).val(fields[$(this).data("key")] || '');
+        });
+    });
+    
     // 취소
     $container.on("click", ".summarizer-cancel-entry", function() {
         const idx = $(this).data("idx");
@@ -1415,27 +2105,67 @@ function bindEntryEventsDelegated() {
         }
     });
     
-    // 메모 저장
-    $container.on("click", ".summarizer-save-memo", async function() {
+    // 변경 기록 토글
+    $container.on("click", ".summarizer-history-toggle", function() {
         const idx = parseInt($(this).data("idx"));
         const $entry = $(`.summarizer-entry[data-msg-index="${idx}"]`);
-        const memoVal = $entry.find(".summarizer-memo-input").val().trim();
-        
-        const data = getSummaryData();
-        if (!data || !data.summaries[idx]) return;
-        
-        data.summaries[idx].memo = memoVal;
-        data.lastUpdate = new Date().toLocaleString("ko-KR");
-        
-        await saveSummaryData();
-        showToast('success', memoVal ? `#${idx} 메모 저장됨` : `#${idx} 메모 삭제됨`);
-        await renderSummaryList();
+        const $history = $entry.find(".summarizer-entry-history");
+        if ($history.is(":visible")) {
+            $history.hide();
+        } else {
+            renderSummaryHistory($entry, idx, getSummaryHistory(idx).length - 1);
+        }
     });
     
-    // 메모 취소
-    $container.on("click", ".summarizer-cancel-memo", function() {
-        const idx = $(this).data("idx");
-        const $entry = $(`.summarizer-entry[data-msg-index="${idx}"]`);
+    // 변경 기록: 비교할 버전 선택
+    $container.on("click", ".summarizer-history-item", function() {
+        const idx = parseInt($(this).data("idx"));
+        renderSummaryHistory($(`.summarizer-entry[data-msg-index="${idx}"]`), idx, parseInt($(this).data("version")));
+    });
+    
+    // 변경 기록: 버전 복원
+    $container.on("click", ".summarizer-history-restore", async function(e) {
+        e.stopPropagation();
+        const idx = parseInt($(this).data("idx"));
+        const version = parseInt($(this).data("version"));
+        if (!confirm(`#${idx} 요약을 선택한 버전으로 복원하시겠습니까?\n현재 내용은 변경 기록에 남습니다.`)) return;
+        
+        const result = restoreSummaryVersion(idx, version);
+        if (!result.success) {
+            showToast('warning', result.error);
+            return;
+        }
+        
+        await saveSummaryData();
+        invalidateTokenCache();
+        await injectSummaryToPrompt();
+        scheduleArcRollupUpdate();
+        
+        showToast('success', `#${idx} 요약을 이전 버전으로 복원했습니다.`);
+        await renderSummaryList();
+    });
+    
+    // 메모 저장
+    $container.on("click", ".summarizer-save-memo", async function() {
+        const idx = parseInt($(this).data("idx"));
+        const $entry = $(`.summarizer-entry[data-msg-index="${idx}"]`);
+        const memoVal = $entry.find(".summarizer-memo-input").val().trim();
+        
+        const data = getSummaryData();
+        if (!data || !data.summaries[idx]) return;
+        
+        data.summaries[idx].memo = memoVal;
+        data.lastUpdate = new Date().toLocaleString("ko-KR");
+        
+        await saveSummaryData();
+        showToast('success', memoVal ? `#${idx} 메모 저장됨` : `#${idx} 메모 삭제됨`);
+        await renderSummaryList();
+    });
+    
+    // 메모 취소
+    $container.on("click", ".summarizer-cancel-memo", function() {
+        const idx = $(this).data("idx");
+        const $entry = $(`.summarizer-entry[data-msg-index="${idx}"]`);
         $entry.find(".summarizer-entry-memo-area").hide();
     });
     
@@ -1652,7 +2382,7 @@ async function executeBulkCategoryDelete() {
     }
     
     const labelText = selectedLabels.join(', ');
-    if (!confirm(`선택한 항목 [${labelText}]을(를) 모든 요약에서 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.`)) return;
+    if (!confirm(`선택한 항목 [${labelText}]을(를) 모든 요약에서 삭제하시겠습니까?\n항목이 남는 요약은 변경 기록에서 이전 버전으로 복원할 수 있습니다.`)) return;
     
     const summaries = getRelevantSummaries();
     let totalRemoved = 0;
@@ -1685,7 +2415,7 @@ async function executeBulkCategoryDelete() {
                 deleteSummaryForMessage(parseInt(index));
                 deletedCount++;
             } else {
-                setSummaryForMessage(parseInt(index), newContent);
+                setSummaryForMessage(parseInt(index), newContent, { source: 'manual' });
             }
             modifiedCount++;
         }
@@ -1708,8 +2438,9 @@ export function closePreview() {
     $("#summarizer-preview").hide();
     // 필터 초기화
     summaryFilterMode = 'all';
-    $("#summarizer-filter-pinned-memo").removeClass('active')
-        .attr('title', '📌 핀 고정만 모아보기');
+    $("#summarizer-filter-pinned-memo").removeClass('active active-hidden active-quotes')
+        .attr('title', '📌 핀 고정만 모아보기')
+        .find('i').attr('class', 'fa-solid fa-bookmark');
 }
 
 // ===== 검색 =====
@@ -1746,8 +2477,15 @@ function doSearchCurrent(query) {
     
     const $content = $("#summarizer-preview-content");
     
+    // "라벨:검색어" 형식이면 카테고리 값 검색
+    const fieldQuery = parseFieldSearchQuery(query);
+    const highlightTerm = fieldQuery ? fieldQuery.term : query;
+    const queryLabel = fieldQuery
+        ? `${escapeHtml(fieldQuery.label)} 항목에서 "${escapeHtml(fieldQuery.term)}"`
+        : `"${escapeHtml(query)}"`;
+    
     let html = `<div class="summarizer-summary-header">
-        <strong>현재 요약 검색: "${escapeHtml(query)}"</strong>
+        <strong>현재 요약 검색: ${queryLabel}</strong>
         <small>${results.length}개 발견</small>
     </div>`;
     
@@ -1758,7 +2496,7 @@ function doSearchCurrent(query) {
         }
         
         const highlighted = displayContent.replace(
-            new RegExp(escapeHtml(query), 'gi'),
+            new RegExp(escapeHtml(highlightTerm), 'gi'),
             match => `<mark>${match}</mark>`
         );
         
@@ -2618,6 +3356,258 @@ function bindPaginationEventsForLegacy() {
     });
 }
 
+/**
+ * 아크 요약 목록 preview 렌더링
+ */
+async function renderArcListInPreview() {
+    const settings = getSettings();
+    const arcs = getArcs();
+    const $content = $("#summarizer-preview-content");
+    const $pagination = $("#summarizer-pagination");
+    
+    const updateButton = `<button id="summarizer-arc-update" class="summarizer-btn summarizer-btn-small summarizer-btn-secondary" title="새 아크 생성 및 변경된 아크 재생성" ${isArcRollupRunning() ? 'disabled' : ''}>
+            <i class="fa-solid fa-layer-group"></i> 아크 갱신
+        </button>`;
+    const disabledHint = settings.arcRollupEnabled
+        ? ''
+        : '<small class="summarizer-hint">아크 롤업이 꺼져 있어 주입에 사용되지 않습니다 (프롬프트 주입 설정에서 활성화)</small>';
+    
+    if (arcs.length === 0) {
+        $content.html(`<div class="summarizer-summary-header">
+            <strong>${getCharacterName()} 아크 요약</strong>
+            ${updateButton}
+        </div>
+        ${disabledHint}
+        <p class="summarizer-placeholder">생성된 아크가 없습니다. 요약이 ${settings.arcSpanSize || 10}개 이상 쌓이면 아크로 묶을 수 있습니다.</p>`);
+        $pagination.hide();
+        $("#summarizer-page-jump").hide();
+        bindArcPreviewEntryEvents();
+        return;
+    }
+    
+    // 시작 인덱스 기준 정렬 (같은 범위면 상위 단계 먼저)
+    const sorted = [...arcs].sort((a, b) => {
+        const diff = summarySortOrder === 'newest' ? b.startIndex - a.startIndex : a.startIndex - b.startIndex;
+        return diff || (b.tier - a.tier);
+    });
+    
+    await initTokenCounter();
+    
+    const allContent = sorted.map(arc => String(arc.content ?? '')).join('\n');
+    const totalTokens = allContent.length > 0 ? await getTokenCountAsync(allContent) : 0;
+    
+    // 페이지네이션
+    const totalPages = Math.ceil(sorted.length / ITEMS_PER_PAGE);
+    const startIdx = currentPage * ITEMS_PER_PAGE;
+    const endIdx = Math.min(startIdx + ITEMS_PER_PAGE, sorted.length);
+    const pageItems = sorted.slice(startIdx, endIdx);
+    
+    // 현재 주입에 사용 중인 아크
+    const injectedArcIds = new Set(getArcCoveredIndices().values());
+    const summaries = getRelevantSummaries();
+    
+    let html = `<div class="summarizer-summary-header">
+        <strong>${getCharacterName()} 아크 요약</strong>
+        <small>총 ${sorted.length}개 · ${totalTokens.toLocaleString()} 토큰</small>
+        ${updateButton}
+    </div>
+    ${disabledHint}`;
+    
+    for (const arc of pageItems) {
+        const status = getArcStatus(arc, summaries);
+        const statusBadge = status === 'stale'
+            ? '<span class="summarizer-warning-badge" title="하위 요약이 수정되어 재생성이 필요합니다 (갱신 전까지 주입에 사용되지 않음)">⚠️ 갱신 필요</span>'
+            : status === 'orphaned'
+            ? '<span class="summarizer-invalidated-badge" title="하위 요약이 삭제/숨김/무효화되었습니다. 다음 갱신 때 제거됩니다">⚠️ 하위 변경됨</span>'
+            : status === 'pending'
+            ? '<span class="summarizer-warning-badge" title="아직 내용이 생성되지 않았습니다">대기</span>'
+            : '';
+        const editedBadge = arc.edited ? '<span class="summarizer-hidden-badge" title="직접 수정한 아크 (하위 요약이 바뀌면 재생성됨)">수정됨</span>' : '';
+        const injectedBadge = injectedArcIds.has(arc.id)
+            ? '<span class="summarizer-arc-badge" title="토큰 예산 절약을 위해 하위 요약 대신 전달되고 있습니다">주입 중</span>' : '';
+        const childLabel = arc.tier === 1 ? `요약 ${arc.childKeys.length}개` : `${arc.tier - 1}단계 아크 ${arc.childKeys.length}개`;
+        
+        html += `
+        <div class="summarizer-entry summarizer-arc-entry${status !== 'ok' ? ' summarizer-entry-skipped' : ''}" data-arc-id="${arc.id}">
+            <div class="summarizer-entry-header">
+                <span class="summarizer-entry-number">📚 ${arc.tier}단계 #${arc.startIndex}~${arc.endIndex}${statusBadge}${editedBadge}${injectedBadge}</span>
+                <span class="summarizer-legacy-entry-badge">${childLabel}</span>
+                <div class="summarizer-entry-actions">
+                    <button class="summarizer-btn summarizer-btn-tiny summarizer-arc-edit" data-arc-id="${arc.id}" title="수정">
+                        <i class="fa-solid fa-pen"></i>
+                    </button>
+                    <button class="summarizer-btn summarizer-btn-tiny summarizer-arc-regenerate" data-arc-id="${arc.id}" title="재생성">
+                        <i class="fa-solid fa-rotate"></i>
+                    </button>
+                    <button class="summarizer-btn summarizer-btn-tiny summarizer-arc-delete" data-arc-id="${arc.id}" title="삭제">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <pre class="summarizer-entry-content">${escapeHtml(arc.content || '')}</pre>
+            <div class="summarizer-entry-edit-area" style="display:none;">
+                <textarea class="summarizer-entry-textarea">${escapeHtml(arc.content || '')}</textarea>
+                <div class="summarizer-entry-edit-buttons">
+                    <button class="summarizer-btn summarizer-btn-small summarizer-btn-success summarizer-arc-save" data-arc-id="${arc.id}">
+                        <i class="fa-solid fa-check"></i> 저장
+                    </button>
+                    <button class="summarizer-btn summarizer-btn-small summarizer-btn-secondary summarizer-arc-cancel" data-arc-id="${arc.id}">
+                        <i class="fa-solid fa-xmark"></i> 취소
+                    </button>
+                </div>
+            </div>
+        </div>`;
+    }
+    
+    $content.html(html);
+    
+    // 페이지네이션 UI
+    if (totalPages > 1) {
+        $pagination.html(`
+            <button id="summarizer-prev-page" class="summarizer-btn summarizer-btn-small" ${currentPage === 0 ? 'disabled' : ''}>
+                <i class="fa-solid fa-chevron-left"></i>
+            </button>
+            <span>${currentPage + 1} / ${totalPages}</span>
+            <button id="summarizer-next-page" class="summarizer-btn summarizer-btn-small" ${currentPage >= totalPages - 1 ? 'disabled' : ''}>
+                <i class="fa-solid fa-chevron-right"></i>
+            </button>
+        `).show();
+        $("#summarizer-page-jump").show();
+    } else {
+        $pagination.hide();
+        $("#summarizer-page-jump").hide();
+    }
+    
+    bindArcPreviewEntryEvents();
+    bindPaginationEventsForArcs();
+}
+
+/**
+ * 아크 요약 preview 이벤트 바인딩
+ */
+function bindArcPreviewEntryEvents() {
+    // 아크 갱신 (수동 실행은 설정과 무관하게 허용)
+    $("#summarizer-arc-update").off("click").on("click", async function() {
+        $(this).prop("disabled", true);
+        showToast('info', '아크 갱신 중...');
+        const result = await updateArcRollups({ force: true });
+        
+        if (result.success) {
+            const changed = result.created + result.regenerated + result.removed;
+            showToast(result.failed > 0 ? 'warning' : 'success', changed > 0
+                ? `아크 갱신 완료: 생성 ${result.created}개, 재생성 ${result.regenerated}개, 제거 ${result.removed}개${result.failed > 0 ? `, 실패 ${result.failed}개` : ''}`
+                : (result.failed > 0 ? `아크 생성 실패 ${result.failed}개` : '갱신할 아크가 없습니다.'));
+        } else {
+            showToast('error', result.error || '아크 갱신 실패');
+        }
+        await renderArcListInPreview();
+    });
+    
+    // 수정
+    $(".summarizer-arc-edit").off("click").on("click", function() {
+        const arcId = $(this).data("arc-id");
+        const $entry = $(`.summarizer-arc-entry[data-arc-id="${arcId}"]`);
+        $entry.find(".summarizer-entry-content").hide();
+        $entry.find(".summarizer-entry-edit-area").show();
+    });
+    
+    // 저장 (하위 요약 해시는 유지 → 하위 요약이 바뀌기 전까지 수정본 사용)
+    $(".summarizer-arc-save").off("click").on("click", async function() {
+        const arcId = $(this).data("arc-id");
+        const $entry = $(`.summarizer-arc-entry[data-arc-id="${arcId}"]`);
+        const editedText = $entry.find(".summarizer-entry-textarea").val().trim();
+        const arc = getArc(arcId);
+        if (!arc) return;
+        
+        if (!editedText) {
+            showToast('warning', '아크 내용을 입력하세요.');
+            return;
+        }
+        
+        updateArc(arcId, { content: editedText, edited: true });
+        await saveSummaryData();
+        invalidateTokenCache();
+        await injectSummaryToPrompt();
+        
+        showToast('success', `아크 #${arc.startIndex}~${arc.endIndex}이(가) 수정되었습니다.`);
+        await renderArcListInPreview();
+    });
+    
+    // 취소
+    $(".summarizer-arc-cancel").off("click").on("click", function() {
+        const arcId = $(this).data("arc-id");
+        const $entry = $(`.summarizer-arc-entry[data-arc-id="${arcId}"]`);
+        $entry.find(".summarizer-entry-content").show();
+        $entry.find(".summarizer-entry-edit-area").hide();
+    });
+    
+    // 재생성
+    $(".summarizer-arc-regenerate").off("click").on("click", async function() {
+        const arcId = $(this).data("arc-id");
+        const arc = getArc(arcId);
+        if (!arc) return;
+        
+        if (!confirm(`아크 #${arc.startIndex}~${arc.endIndex}을(를) 하위 요약으로부터 재생성하시겠습니까?`)) return;
+        
+        showToast('info', '재생성 중...');
+        const result = await regenerateArc(arcId);
+        
+        if (result.success) {
+            showToast('success', `아크 #${arc.startIndex}~${arc.endIndex}이(가) 재생성되었습니다.`);
+            invalidateTokenCache();
+            await renderArcListInPreview();
+        } else {
+            showToast('error', result.error || '재생성 실패');
+        }
+    });
+    
+    // 삭제
+    $(".summarizer-arc-delete").off("click").on("click", async function() {
+        const arcId = $(this).data("arc-id");
+        const arc = getArc(arcId);
+        if (!arc) return;
+        
+        if (!confirm(`아크 #${arc.startIndex}~${arc.endIndex}을(를) 삭제하시겠습니까?\n(아크 롤업이 켜져 있으면 다음 갱신 때 다시 생성됩니다)`)) return;
+        
+        deleteArc(arcId);
+        await saveSummaryData();
+        invalidateTokenCache();
+        await injectSummaryToPrompt();
+        
+        showToast('success', '아크가 삭제되었습니다.');
+        await renderArcListInPreview();
+    });
+}
+
+/**
+ * 아크 요약용 페이지네이션 이벤트
+ */
+function bindPaginationEventsForArcs() {
+    const totalPages = Math.ceil(getArcs().length / ITEMS_PER_PAGE);
+    
+    $("#summarizer-prev-page").off("click").on("click", async () => {
+        if (currentPage > 0) {
+            currentPage--;
+            await renderArcListInPreview();
+        }
+    });
+    
+    $("#summarizer-next-page").off("click").on("click", async () => {
+        if (currentPage < totalPages - 1) {
+            currentPage++;
+            await renderArcListInPreview();
+        }
+    });
+    
+    $("#summarizer-page-go").off("click").on("click", async () => {
+        const inputPage = parseInt($("#summarizer-page-input").val());
+        if (inputPage >= 1 && inputPage <= totalPages) {
+            currentPage = inputPage - 1;
+            await renderArcListInPreview();
+        }
+    });
+}
+
 /**
  * 인계된 요약 목록 렌더링
  */
@@ -3262,6 +4252,9 @@ function renderCategoryList() {
     // 이벤트 바인딩
     bindCategoryEvents();
     bindCategoryDragEvents();
+    
+    // 감쇠 단계의 카테고리 선택지도 갱신
+    renderDetailDecayTiers();
 }
 
 /**
@@ -3784,6 +4777,77 @@ export function resetItemPromptTemplate() {
     showToast('success', '아이템 추출 프롬프트가 초기화되었습니다.');
 }
 
+/**
+ * 주입 템플릿 편집기에 현재 슬롯의 템플릿/항목 포맷 로드
+ */
+function loadInjectionTemplateEditor() {
+    const settings = getSettings();
+    const slotId = $("#summarizer-injection-template-slot").val() || 'summaries';
+    
+    $("#summarizer-injection-template").val(getInjectionTemplate(settings, slotId));
+    $("#summarizer-injection-entry-format").val(settings.injectionEntryFormat || DEFAULT_INJECTION_ENTRY_FORMAT);
+    $("#summarizer-injection-legacy-format").val(settings.injectionLegacyEntryFormat || DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT);
+}
+
+/**
+ * 주입 템플릿 저장
+ */
+export async function saveInjectionTemplate() {
+    const settings = getSettings();
+    const slotId = $("#summarizer-injection-template-slot").val() || 'summaries';
+    const template = $("#summarizer-injection-template").val();
+    const entryFormat = $("#summarizer-injection-entry-format").val();
+    const legacyFormat = $("#summarizer-injection-legacy-format").val();
+    
+    if (!template || !template.trim()) {
+        showToast('error', '템플릿을 입력하세요');
+        return;
+    }
+    
+    // 콘텐츠 매크로가 하나도 없으면 요약이 없어도 고정 텍스트만 주입되므로 거부
+    const hasContentMacro = INJECTION_CONTENT_MACROS.some(name => template.includes(`{{${name}}}`));
+    if (!hasContentMacro) {
+        showToast('error', '템플릿에 {{summaries}}, {{characters}} 등 내용 매크로가 하나 이상 필요합니다');
+        return;
+    }
+    
+    if (!entryFormat.includes('{{content}}') || !legacyFormat.includes('{{content}}')) {
+        showToast('error', '항목 포맷에 {{content}} 매크로가 필요합니다');
+        return;
+    }
+    
+    // 기본값과 같으면 null로 저장
+    settings.injectionTemplates = settings.injectionTemplates || {};
+    settings.injectionTemplates[slotId] = template.trim() === DEFAULT_INJECTION_TEMPLATES[slotId].trim() ? null : template;
+    settings.injectionEntryFormat = entryFormat === DEFAULT_INJECTION_ENTRY_FORMAT ? null : entryFormat;
+    settings.injectionLegacyEntryFormat = legacyFormat === DEFAULT_INJECTION_LEGACY_ENTRY_FORMAT ? null : legacyFormat;
+    
+    saveSettings();
+    await injectSummaryToPrompt();
+    showToast('success', `${INJECTION_SLOTS[slotId].label} 주입 템플릿이 저장되었습니다.`);
+}
+
+/**
+ * 주입 템플릿 초기화 (현재 슬롯 + 항목 포맷)
+ */
+export async function resetInjectionTemplate() {
+    const slotId = $("#summarizer-injection-template-slot").val() || 'summaries';
+    if (!confirm(`${INJECTION_SLOTS[slotId].label} 주입 템플릿과 항목 포맷을 기본값으로 초기화하시겠습니까?`)) {
+        return;
+    }
+    
+    const settings = getSettings();
+    settings.injectionTemplates = settings.injectionTemplates || {};
+    settings.injectionTemplates[slotId] = null;
+    settings.injectionEntryFormat = null;
+    settings.injectionLegacyEntryFormat = null;
+    saveSettings();
+    
+    loadInjectionTemplateEditor();
+    await injectSummaryToPrompt();
+    showToast('success', `${INJECTION_SLOTS[slotId].label} 주입 템플릿이 초기화되었습니다.`);
+}
+
 /**
  * 프롬프트 서브탭 전환
  */
@@ -3842,6 +4906,15 @@ function getPromptTypeConfig(promptType) {
                 textareaId: '#summarizer-event-prompt-template',
                 label: '이벤트 추출'
             };
+        case 'injection':
+            return {
+                settingKey: 'injectionTemplates',
+                presetKey: 'injectionTemplatePresets',
+                selectedKey: 'selectedInjectionTemplatePreset',
+                defaultTemplate: DEFAULT_INJECTION_TEMPLATES[$("#summarizer-injection-template-slot").val() || 'summaries'],
+                textareaId: '#summarizer-injection-template',
+                label: '주입 템플릿'
+            };
         case 'item':
             return {
                 settingKey: 'customItemPromptTemplate',
@@ -4052,6 +5125,7 @@ export function saveApiSettings() {
     settings.customApiModel = $("#summarizer-custom-model").val();
     settings.customApiMaxTokens = parseInt($("#summarizer-custom-max-tokens").val()) || 8000;
     settings.customApiTimeout = parseInt($("#summarizer-custom-timeout").val()) || 60;
+    settings.customApiJsonSchema = $("#summarizer-custom-json-schema").prop("checked");
     settings.customApiTemperature = parseFloat($("#summarizer-custom-temperature").val());
     settings.customApiTopP = parseFloat($("#summarizer-custom-top-p").val());
     settings.customApiTopK = parseInt($("#summarizer-custom-top-k").val());
@@ -4090,6 +5164,8 @@ export function bindUIEvents() {
             renderCharactersList();
             renderEventsList();
             renderItemsList();
+            renderNotesList();
+            renderLorebookSelect();
         }
     });
     
@@ -4119,41 +5195,189 @@ export function bindUIEvents() {
         if (value >= 1 && value <= 50) {
             settings.batchSize = value;
             saveSettings();
+            renderChunkPlan();
         }
     });
     
-    $("#summarizer-preserve").on("change", function() {
+    $("#summarizer-chunk-max-input").on("change", function() {
         const value = parseInt($(this).val());
-        if (value >= 1 && value <= 50) {
-            settings.preserveRecentMessages = value;
+        if (value >= 0) {
+            settings.chunkMaxInputTokens = value;
             saveSettings();
+            renderChunkPlan();
         }
     });
     
-    $("#summarizer-auto-hide").on("change", function() {
-        settings.autoHideEnabled = $(this).prop("checked");
-        saveSettings();
-        applyMessageVisibility();
+    $("#summarizer-chunk-max-output").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 0) {
+            settings.chunkMaxOutputTokens = value;
+            saveSettings();
+            renderChunkPlan();
+        }
     });
     
-    $("#summarizer-include-worldinfo").on("change", function() {
-        settings.includeWorldInfo = $(this).prop("checked");
-        saveSettings();
+    $("#summarizer-concurrency").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 1 && value <= 5) {
+            settings.summaryConcurrency = value;
+            saveSettings();
+        }
     });
     
-    $("#summarizer-character-tracking").on("change", function() {
-        settings.characterTrackingEnabled = $(this).prop("checked");
-        saveSettings();
+    $("#summarizer-history-limit").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 0 && value <= 50) {
+            settings.summaryHistoryLimit = value;
+            saveSettings();
+        }
     });
     
-    $("#summarizer-event-tracking").on("change", function() {
-        settings.eventTrackingEnabled = $(this).prop("checked");
-        saveSettings();
+    $("#summarizer-retry-count").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 0 && value <= 5) {
+            settings.summaryRetryCount = value;
+            saveSettings();
+        }
     });
     
-    $("#summarizer-item-tracking").on("change", function() {
-        settings.itemTrackingEnabled = $(this).prop("checked");
-        saveSettings();
+    $("#summarizer-retry-delay").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 0 && value <= 60) {
+            settings.summaryRetryDelay = value;
+            saveSettings();
+        }
+    });
+    
+    $("#summarizer-json-output").on("change", function() {
+        settings.jsonOutputMode = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-quote-verification").on("change", function() {
+        settings.quoteVerification = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-quote-retry").on("change", function() {
+        settings.quoteVerificationRetry = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-preserve").on("change", function() {
+        const value = parseInt($(this).val());
+        if (value >= 1 && value <= 50) {
+            settings.preserveRecentMessages = value;
+            saveSettings();
+        }
+    });
+    
+    $("#summarizer-auto-hide").on("change", function() {
+        settings.autoHideEnabled = $(this).prop("checked");
+        saveSettings();
+        applyMessageVisibility();
+    });
+    
+    $("#summarizer-resummarize-on-edit").on("change", function() {
+        settings.resummarizeOnEdit = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-include-worldinfo").on("change", function() {
+        settings.includeWorldInfo = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    // 메시지 전처리
+    $("#summarizer-preprocess-reasoning").on("change", function() {
+        settings.preprocessStripReasoning = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-preprocess-code").on("change", function() {
+        settings.preprocessStripCodeBlocks = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-preprocess-html").on("change", function() {
+        settings.preprocessStripHtml = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    const $preprocessRules = $("#summarizer-preprocess-rules");
+    const ruleFieldKeys = {
+        "summarizer-preprocess-label": "label",
+        "summarizer-preprocess-pattern": "pattern",
+        "summarizer-preprocess-flags": "flags",
+        "summarizer-preprocess-replacement": "replacement"
+    };
+    
+    $preprocessRules.on("change", "input[type=text]", function() {
+        const ruleIndex = $(this).closest(".summarizer-preprocess-rule").data("rule");
+        const field = ruleFieldKeys[Object.keys(ruleFieldKeys).find(cls => $(this).hasClass(cls))];
+        const value = field === 'flags' ? $(this).val().trim() : $(this).val();
+        updatePreprocessRules(rules => { rules[ruleIndex][field] = value; });
+    });
+    
+    $preprocessRules.on("change", ".summarizer-preprocess-enabled", function() {
+        const ruleIndex = $(this).closest(".summarizer-preprocess-rule").data("rule");
+        const checked = $(this).prop("checked");
+        updatePreprocessRules(rules => { rules[ruleIndex].enabled = checked; });
+    });
+    
+    $preprocessRules.on("click", ".summarizer-preprocess-move", function() {
+        const ruleIndex = $(this).closest(".summarizer-preprocess-rule").data("rule");
+        const target = ruleIndex + parseInt($(this).data("dir"));
+        updatePreprocessRules(rules => {
+            if (target < 0 || target >= rules.length) return;
+            [rules[ruleIndex], rules[target]] = [rules[target], rules[ruleIndex]];
+        });
+    });
+    
+    $preprocessRules.on("click", ".summarizer-preprocess-remove", function() {
+        const ruleIndex = $(this).closest(".summarizer-preprocess-rule").data("rule");
+        updatePreprocessRules(rules => { rules.splice(ruleIndex, 1); });
+    });
+    
+    // 규칙 테스트: 이 규칙 직전/직후 본문 (꺼진 규칙도 켠 것으로 보고 테스트)
+    $preprocessRules.on("click", ".summarizer-preprocess-test", function() {
+        const $rule = $(this).closest(".summarizer-preprocess-rule");
+        const ruleIndex = $rule.data("rule");
+        const target = getPreprocessTestMessage();
+        if (!target) return;
+        
+        const rules = settings.preprocessRules.map((rule, i) => (i === ruleIndex ? { ...rule, enabled: true } : rule));
+        const steps = getPreprocessSteps(target.msg, { ...settings, preprocessRules: rules });
+        const stepIndex = steps.findIndex(step => step.ruleIndex === ruleIndex);
+        showPreprocessTestResult($rule.find(".summarizer-preprocess-test-output"), target.index, steps[stepIndex - 1], steps[stepIndex]);
+    });
+    
+    $("#summarizer-preprocess-add").on("click", function() {
+        updatePreprocessRules(rules => { rules.push({ enabled: true, label: '', pattern: '', flags: 'g', replacement: '' }); });
+    });
+    
+    $("#summarizer-preprocess-test-all").on("click", function() {
+        const target = getPreprocessTestMessage();
+        if (!target) return;
+        
+        const steps = getPreprocessSteps(target.msg);
+        const last = { ...steps[steps.length - 1], label: '최종' };
+        showPreprocessTestResult($("#summarizer-preprocess-test-result"), target.index, steps[0], last);
+    });
+    
+    $("#summarizer-character-tracking").on("change", function() {
+        settings.characterTrackingEnabled = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-event-tracking").on("change", function() {
+        settings.eventTrackingEnabled = $(this).prop("checked");
+        saveSettings();
+    });
+    
+    $("#summarizer-item-tracking").on("change", function() {
+        settings.itemTrackingEnabled = $(this).prop("checked");
+        saveSettings();
     });
     
     $("#summarizer-token-budget").on("change", function() {
@@ -4165,6 +5389,201 @@ export function bindUIEvents() {
         saveSettings();
     });
     
+    // 요약 선택 방식
+    $("#summarizer-retrieval-mode").on("change", async function() {
+        settings.injectionRetrievalMode = $(this).val();
+        saveSettings();
+        toggleRelevanceOptionsVisibility();
+        await injectSummaryToPrompt();
+    });
+    
+    $("#summarizer-relevance-query").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 1) value = 1;
+        if (value > 50) value = 50;
+        $(this).val(value);
+        settings.relevanceQueryMessages = value;
+        saveSettings();
+        await injectSummaryToPrompt();
+    });
+    
+    $("#summarizer-relevance-keep-recent").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 100) value = 100;
+        $(this).val(value);
+        settings.relevanceKeepRecent = value;
+        saveSettings();
+        await injectSummaryToPrompt();
+    });
+    
+    // 아크 롤업
+    $("#summarizer-arc-rollup").on("change", async function() {
+        settings.arcRollupEnabled = $(this).prop("checked");
+        saveSettings();
+        toggleArcOptionsVisibility();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+        scheduleArcRollupUpdate();
+    });
+    
+    $("#summarizer-arc-span").on("change", function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 2) value = 2;
+        if (value > 50) value = 50;
+        $(this).val(value);
+        settings.arcSpanSize = value;
+        saveSettings();
+    });
+    
+    $("#summarizer-arc-max-tier").on("change", async function() {
+        settings.arcMaxTier = parseInt($(this).val()) || 1;
+        saveSettings();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+        scheduleArcRollupUpdate();
+    });
+    
+    // 현재 상태 블록
+    $("#summarizer-current-state").on("change", async function() {
+        settings.currentStateEnabled = $(this).prop("checked");
+        saveSettings();
+        toggleCurrentStateOptionsVisibility();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    $(".summarizer-current-state-field").on("change", async function() {
+        settings.currentStateFields = {
+            ...defaultSettings.currentStateFields,
+            ...(settings.currentStateFields || {}),
+            [$(this).data("field")]: $(this).prop("checked")
+        };
+        saveSettings();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    // 장면 관련 등장인물 필터
+    $("#summarizer-character-scene-filter").on("change", async function() {
+        settings.characterSceneFilterEnabled = $(this).prop("checked");
+        saveSettings();
+        toggleCharacterSceneOptionsVisibility();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    $("#summarizer-character-scene-messages").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 1) value = 1;
+        if (value > 100) value = 100;
+        $(this).val(value);
+        settings.characterSceneMessageCount = value;
+        saveSettings();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    $("#summarizer-character-scene-summaries").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 50) value = 50;
+        $(this).val(value);
+        settings.characterSceneSummaryCount = value;
+        saveSettings();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    $("#summarizer-character-scene-others").on("change", async function() {
+        settings.characterSceneOthersMode = $(this).val();
+        saveSettings();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    // 이벤트/아이템 주입 규칙
+    $("#summarizer-catalog-rules").on("change", async function() {
+        settings.catalogRulesEnabled = $(this).prop("checked");
+        toggleCatalogRulesOptionsVisibility();
+        await applyCatalogRulesChange();
+    });
+    
+    $("#summarizer-event-min-importance").on("change", async function() {
+        settings.eventMinImportance = $(this).val();
+        await applyCatalogRulesChange();
+    });
+    
+    $(".summarizer-event-max").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 500) value = 500;
+        $(this).val(value);
+        settings.eventMaxPerImportance = {
+            ...defaultSettings.eventMaxPerImportance,
+            ...(settings.eventMaxPerImportance || {}),
+            [$(this).data("importance")]: value
+        };
+        await applyCatalogRulesChange();
+    });
+    
+    $("#summarizer-item-excluded-statuses").on("change", async function() {
+        settings.itemExcludedStatuses = $(this).val().split(",").map(s => s.trim()).filter(s => s);
+        await applyCatalogRulesChange();
+    });
+    
+    $("#summarizer-catalog-recency").on("change", async function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        $(this).val(value);
+        settings.catalogRecencyWindow = value;
+        await applyCatalogRulesChange();
+    });
+    
+    // 세부 정보 감쇠
+    $("#summarizer-detail-decay").on("change", async function() {
+        settings.detailDecayEnabled = $(this).prop("checked");
+        saveSettings();
+        toggleDetailDecayOptionsVisibility();
+        await injectSummaryToPrompt();
+        updateTokenUsage();
+    });
+    
+    const $decayTiers = $("#summarizer-detail-decay-tiers");
+    
+    $decayTiers.on("change", ".summarizer-decay-count", function() {
+        const tierIndex = $(this).closest(".summarizer-decay-tier").data("tier");
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 1000) value = 1000;
+        updateDetailDecayTiers(tiers => { tiers[tierIndex].count = value; });
+    });
+    
+    $decayTiers.on("change", ".summarizer-decay-all", function() {
+        const tierIndex = $(this).closest(".summarizer-decay-tier").data("tier");
+        const checked = $(this).prop("checked");
+        // 전체 해제 시 시나리오만 남긴 상태로 시작
+        updateDetailDecayTiers(tiers => { tiers[tierIndex].categories = checked ? null : ["scenario"]; });
+    });
+    
+    $decayTiers.on("change", ".summarizer-decay-cat", function() {
+        const $tier = $(this).closest(".summarizer-decay-tier");
+        const tierIndex = $tier.data("tier");
+        const keys = $tier.find(".summarizer-decay-cat:checked").map(function() {
+            return $(this).data("key");
+        }).get();
+        updateDetailDecayTiers(tiers => { tiers[tierIndex].categories = keys; });
+    });
+    
+    $decayTiers.on("click", ".summarizer-decay-remove", function() {
+        const tierIndex = $(this).closest(".summarizer-decay-tier").data("tier");
+        updateDetailDecayTiers(tiers => { tiers.splice(tierIndex, 1); });
+    });
+    
+    $("#summarizer-detail-decay-add").on("click", function() {
+        updateDetailDecayTiers(tiers => { tiers.push({ count: 0, categories: ["scenario"] }); });
+    });
+    
     $("#summarizer-context-count").on("change input", function() {
         let value = parseInt($(this).val());
         if (isNaN(value) || value < 0) value = 0;
@@ -4225,38 +5644,83 @@ export function bindUIEvents() {
         saveSettings();
     });
     
-    // 요약 언어
-    $("#summarizer-language").on("change", function() {
-        settings.summaryLanguage = $(this).val();
+    $("#summarizer-batch-group-strategy").on("change", function() {
+        settings.batchGroupStrategy = $(this).val();
         saveSettings();
+        toggleSummaryModeOptions();
+        renderChunkPlan();
     });
     
-    // 주입 위치 설정
-    $("#summarizer-injection-position").on("change", function() {
-        settings.injectionPosition = $(this).val();
+    $("#summarizer-scene-group-min").on("change", function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 1) value = 1;
+        if (value > 50) value = 50;
+        $(this).val(value);
+        settings.sceneGroupMinSize = value;
+        saveSettings();
+        renderChunkPlan();
+    });
+    
+    $("#summarizer-scene-group-max").on("change", function() {
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 2) value = 2;
+        if (value > 50) value = 50;
+        $(this).val(value);
+        settings.sceneGroupMaxSize = value;
         saveSettings();
-        toggleInjectionDepthVisibility();
+        renderChunkPlan();
     });
     
-    $("#summarizer-injection-depth").on("change", function() {
+    $("#summarizer-scene-time-gap").on("change", function() {
         let value = parseInt($(this).val());
         if (isNaN(value) || value < 0) value = 0;
-        if (value > 100) value = 100;
+        if (value > 10080) value = 10080;
         $(this).val(value);
-        settings.injectionDepth = value;
+        settings.sceneTimeGapMinutes = value;
         saveSettings();
+        renderChunkPlan();
     });
     
-    $("#summarizer-injection-template").on("change", function() {
-        const template = $(this).val();
-        if (!template.includes("{{summary}}")) {
-            showToast('warning', '주입 템플릿에 {{summary}} 매크로가 필요합니다');
-            return;
-        }
-        settings.injectionTemplate = template;
+    // 요약 언어
+    $("#summarizer-language").on("change", function() {
+        settings.summaryLanguage = $(this).val();
         saveSettings();
     });
     
+    // 주입 슬롯 설정 (위임 방식)
+    const $slots = $("#summarizer-injection-slots");
+    
+    $slots.on("change", ".summarizer-slot-enabled", function() {
+        const slotId = $(this).closest(".summarizer-slot-item").data("slot");
+        updateInjectionSlot(slotId, { enabled: $(this).prop("checked") });
+    });
+    
+    $slots.on("change", ".summarizer-slot-position", function() {
+        const slotId = $(this).closest(".summarizer-slot-item").data("slot");
+        updateInjectionSlot(slotId, { position: $(this).val() });
+    });
+    
+    $slots.on("change", ".summarizer-slot-depth", function() {
+        const slotId = $(this).closest(".summarizer-slot-item").data("slot");
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 100) value = 100;
+        updateInjectionSlot(slotId, { depth: value });
+    });
+    
+    $slots.on("change", ".summarizer-slot-role", function() {
+        const slotId = $(this).closest(".summarizer-slot-item").data("slot");
+        updateInjectionSlot(slotId, { role: $(this).val() });
+    });
+    
+    $slots.on("change", ".summarizer-slot-budget", function() {
+        const slotId = $(this).closest(".summarizer-slot-item").data("slot");
+        let value = parseInt($(this).val());
+        if (isNaN(value) || value < 0) value = 0;
+        if (value > 200000) value = 200000;
+        updateInjectionSlot(slotId, { tokenBudget: value });
+    });
+    
     // UI 테마 변경
     $("#summarizer-ui-theme").on("change", function() {
         const theme = $(this).val();
@@ -4413,9 +5877,11 @@ export function bindUIEvents() {
     
     // 상태 탭
     $("#summarizer-run-now").on("click", runManualSummary);
+    $("#summarizer-dry-run").on("click", runDryRun);
     $("#summarizer-stop").on("click", stopSummary);
     $("#summarizer-view-current").on("click", viewSummaries);
     $("#summarizer-view-legacy").on("click", viewLegacySummaries);
+    $("#summarizer-view-arcs").on("click", viewArcSummaries);
     $("#summarizer-preview-close").on("click", closePreview);
     $("#summarizer-bulk-category-delete").on("click", openBulkCategoryDelete);
     $("#summarizer-filter-pinned-memo").on("click", togglePinnedMemoFilter);
@@ -4448,8 +5914,11 @@ export function bindUIEvents() {
         } else {
             $("#summarizer-range-inputs").hide();
         }
+        renderChunkPlan();
     });
     
+    $("#summarizer-range-start, #summarizer-range-end").on("input", renderChunkPlan);
+    
     // 검색
     $("#summarizer-search-btn").on("click", doSearch);
     $("#summarizer-search-input").on("keypress", function(e) {
@@ -4506,6 +5975,11 @@ export function bindUIEvents() {
     $("#summarizer-save-item-prompt").on("click", saveItemPromptTemplate);
     $("#summarizer-reset-item-prompt").on("click", resetItemPromptTemplate);
     
+    // 프롬프트 탭 - 주입 템플릿
+    $("#summarizer-injection-template-slot").on("change", loadInjectionTemplateEditor);
+    $("#summarizer-save-injection-template").on("click", saveInjectionTemplate);
+    $("#summarizer-reset-injection-template").on("click", resetInjectionTemplate);
+    
     // 프롬프트 서브탭 전환
     $(".summarizer-prompt-subtab").on("click", function() {
         const promptType = $(this).data("prompt-type");
@@ -4576,6 +6050,22 @@ export function bindUIEvents() {
     $("#summarizer-import-items").on("click", () => $("#summarizer-items-file-input").click());
     $("#summarizer-items-file-input").on("change", importItemsFromFile);
     
+    // 로어북 연동
+    $("#summarizer-lorebook-select").on("change", async function() {
+        setBoundLorebook($(this).val() || null);
+        await saveSummaryData();
+    });
+    $("#summarizer-lorebook-autosync").on("change", function() {
+        settings.lorebookAutoSync = $(this).prop("checked");
+        saveSettings();
+    });
+    $("#summarizer-lorebook-create").on("click", createAndBindLorebook);
+    $("#summarizer-lorebook-sync").on("click", syncLorebookNow);
+    $("#summarizer-lorebook-export").on("click", exportLorebookToFile);
+    $("#summarizer-lorebook-import").on("click", showLorebookImportForm);
+    $("#summarizer-lorebook-import-apply").on("click", applyLorebookImportFromForm);
+    $("#summarizer-lorebook-import-cancel").on("click", () => $("#summarizer-lorebook-import-form").slideUp(200));
+    
     // 요약 데이터 변경 시 실시간 UI 업데이트
     window.addEventListener('summaryDataChanged', async () => {
         // 요약 보기 탭이 열려있고, 현재 분기 보기 모드인 경우에만 업데이트
@@ -4585,6 +6075,223 @@ export function bindUIEvents() {
     });
 }
 
+// ===== 로어북 연동 =====
+
+/**
+ * 로어북 선택 목록 갱신 (현재 채팅에 연결된 로어북 선택)
+ */
+async function renderLorebookSelect() {
+    const names = await getLorebookNames();
+    const bound = getBoundLorebook();
+    const $select = $("#summarizer-lorebook-select");
+    
+    let html = '<option value="">(연결 안 함)</option>';
+    for (const name of names) {
+        html += `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`;
+    }
+    // 삭제되었거나 이름이 바뀐 로어북도 연결 상태는 보이도록 유지
+    if (bound && !names.includes(bound)) {
+        html += `<option value="${escapeHtml(bound)}">${escapeHtml(bound)} (찾을 수 없음)</option>`;
+    }
+    $select.html(html).val(bound || "");
+    $("#summarizer-lorebook-autosync").prop("checked", getSettings().lorebookAutoSync !== false);
+}
+
+/**
+ * 새 로어북 생성 후 현재 채팅에 연결하고 동기화
+ */
+async function createAndBindLorebook() {
+    const defaultName = `${getCharacterName()} - Scenario Catalog`;
+    const name = prompt('새 로어북 이름을 입력하세요', defaultName);
+    if (!name || !name.trim()) return;
+    
+    try {
+        const created = await createLorebook(name.trim());
+        if (!created) {
+            showToast('error', '로어북을 만들지 못했습니다 (이미 같은 이름이 있을 수 있습니다)');
+            return;
+        }
+        setBoundLorebook(name.trim());
+        await saveSummaryData();
+        await renderLorebookSelect();
+        await syncLorebookNow();
+    } catch (error) {
+        showToast('error', '로어북 생성 실패', { error, context: 'createAndBindLorebook' });
+    }
+}
+
+/**
+ * 연결된 로어북에 지금 동기화
+ */
+async function syncLorebookNow() {
+    const name = getBoundLorebook();
+    if (!name) {
+        showToast('warning', '먼저 이 채팅에 연결할 로어북을 선택하세요');
+        return;
+    }
+    
+    try {
+        const { added, updated, removed } = await syncCatalogsToLorebook(name);
+        showToast('success', `'${name}' 동기화 완료 (추가 ${added} / 갱신 ${updated} / 삭제 ${removed})`);
+    } catch (error) {
+        showToast('error', '로어북 동기화 실패', { error, context: 'syncLorebookNow', details: { lorebook: name } });
+    }
+}
+
+/**
+ * 도감을 월드인포 JSON 파일로 내보내기
+ */
+function exportLorebookToFile() {
+    const json = exportCatalogsAsLorebook();
+    const count = Object.keys(JSON.parse(json).entries).length;
+    if (count === 0) {
+        showToast('error', '내보낼 도감 항목이 없습니다');
+        return;
+    }
+    
+    downloadJsonFile(json, `lorebook_${getCharacterName()}_${new Date().toISOString().slice(0, 10)}.json`);
+    showToast('success', `${count}개 항목을 로어북 파일로 내보냈습니다`);
+}
+
+let lorebookImportCandidates = []; // 가져오기 폼에 표시 중인 로어북 항목
+
+/**
+ * 로어북 가져오기 폼 표시 (활성 로어북 항목 + 종류 선택)
+ */
+async function showLorebookImportForm() {
+    try {
+        lorebookImportCandidates = await collectLorebookImportCandidates();
+    } catch (error) {
+        showToast('error', '로어북을 불러오지 못했습니다', { error, context: 'showLorebookImportForm' });
+        return;
+    }
+    
+    const $list = $("#summarizer-lorebook-import-list");
+    if (lorebookImportCandidates.length === 0) {
+        $list.html('<p class="summarizer-placeholder">활성화된 로어북 항목이 없습니다.</p>');
+        $("#summarizer-lorebook-import-form").slideDown(200);
+        return;
+    }
+    
+    const statusLabels = { new: '새 항목', changed: '원본 변경됨', same: '가져옴' };
+    const kindOptions = [
+        ['ignore', '가져오지 않음'],
+        ['character', '등장인물'],
+        ['item', '아이템'],
+        ['note', '메모']
+    ];
+    
+    let html = '';
+    lorebookImportCandidates.forEach((candidate, i) => {
+        // 이미 가져온 항목은 기존 종류를 기본값으로
+        const selectedKind = candidate.link ? candidate.link.kind : 'ignore';
+        const preview = candidate.content.length > 160 ? candidate.content.slice(0, 160) + '…' : candidate.content;
+        
+        html += `
+        <div class="summarizer-item-card summarizer-lorebook-import-row" data-idx="${i}">
+            <div class="summarizer-item-header">
+                <div class="summarizer-item-title-row">
+                    <span class="summarizer-item-name">${escapeHtml(candidate.title)}</span>
+                    <span class="summarizer-lorebook-import-status ${candidate.status}">${statusLabels[candidate.status]}</span>
+                </div>
+                <select class="summarizer-select summarizer-lorebook-import-kind">
+                    ${kindOptions.map(([value, label]) => `<option value="${value}" ${value === selectedKind ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="summarizer-item-description">${escapeHtml(preview)}</div>
+            <div class="summarizer-item-meta">
+                <span class="summarizer-item-meta-item"><i class="fa-solid fa-book-atlas"></i> ${escapeHtml(candidate.book)}</span>
+                ${candidate.keys.length > 0 ? `<span class="summarizer-item-meta-item"><i class="fa-solid fa-key"></i> ${escapeHtml(candidate.keys.join(', '))}</span>` : ''}
+            </div>
+        </div>
+        `;
+    });
+    
+    $list.html(html);
+    $("#summarizer-lorebook-import-form").slideDown(200);
+}
+
+/**
+ * 가져오기 폼에서 선택한 종류대로 도감에 반영
+ */
+async function applyLorebookImportFromForm() {
+    const selections = $("#summarizer-lorebook-import-list .summarizer-lorebook-import-row").map(function() {
+        return {
+            candidate: lorebookImportCandidates[$(this).data("idx")],
+            kind: $(this).find(".summarizer-lorebook-import-kind").val()
+        };
+    }).get().filter(selection => selection.candidate && selection.kind !== 'ignore');
+    
+    if (selections.length === 0) {
+        showToast('warning', '가져올 항목의 종류를 선택하세요');
+        return;
+    }
+    
+    const { created, updated } = applyLorebookImport(selections);
+    await saveSummaryData();
+    
+    $("#summarizer-lorebook-import-form").slideUp(200);
+    lorebookImportCandidates = [];
+    renderCharactersList();
+    renderItemsList();
+    renderNotesList();
+    showToast('success', `로어북 가져오기 완료 (추가 ${created} / 갱신 ${updated})`);
+}
+
+// ===== 메모 관리 =====
+
+/**
+ * 메모 목록 렌더링 (로어북에서 가져온 참고 항목, 없으면 섹션 숨김)
+ */
+function renderNotesList() {
+    const notes = getNotes();
+    const $section = $("#summarizer-notes-section");
+    const $list = $("#summarizer-notes-list");
+    
+    if (notes.length === 0) {
+        $section.hide();
+        $list.empty();
+        return;
+    }
+    
+    let html = '';
+    for (const note of notes) {
+        html += `
+        <div class="summarizer-item-card" data-id="${escapeHtml(note.id)}">
+            <div class="summarizer-item-header">
+                <div class="summarizer-item-title-row">
+                    <span class="summarizer-item-name">${escapeHtml(note.title)}</span>
+                </div>
+                <div class="summarizer-item-actions">
+                    <button class="summarizer-btn summarizer-btn-tiny summarizer-delete-note" data-id="${escapeHtml(note.id)}" title="삭제">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="summarizer-item-description">${escapeHtml(note.content)}</div>
+            ${note.source ? `
+                <div class="summarizer-item-meta">
+                    <span class="summarizer-item-meta-item"><i class="fa-solid fa-book-atlas"></i> ${escapeHtml(note.source.book)}</span>
+                </div>
+            ` : ''}
+        </div>
+        `;
+    }
+    
+    $list.html(html);
+    $section.show();
+    
+    $list.find(".summarizer-delete-note").off("click").on("click", async function() {
+        const noteId = $(this).data("id");
+        if (confirm('이 메모를 삭제하시겠습니까?')) {
+            deleteNote(noteId);
+            await saveSummaryData();
+            renderNotesList();
+            showToast('success', '메모가 삭제되었습니다');
+        }
+    });
+}
+
 // ===== 등장인물 관리 =====
 
 let editingCharacterName = null; // 수정 중인 캐릭터 이름
@@ -4642,6 +6349,8 @@ export function renderCharactersList() {
                 <div class="summarizer-character-name-row">
                     <span class="summarizer-character-name">${escapeHtml(name)}</span>
                     ${firstAppearanceText ? `<span class="summarizer-character-first-appearance">${firstAppearanceText}</span>` : ''}
+                    ${char.pinned ? '<span class="summarizer-character-first-appearance" title="장면 필터와 무관하게 항상 주입">📌 항상 주입</span>' : ''}
+                    ${char.source ? `<span class="summarizer-character-first-appearance" title="로어북에서 가져온 인물">📖 ${escapeHtml(char.source.book)}</span>` : ''}
                 </div>
                 <div class="summarizer-character-actions">
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-edit-character" data-name="${escapeHtml(name)}" title="수정">
@@ -4657,6 +6366,7 @@ export function renderCharactersList() {
                     ${metaItems.map(item => `<span class="summarizer-character-meta-item">${escapeHtml(item)}</span>`).join('')}
                 </div>
             ` : ''}
+            ${char.aliases && char.aliases.length > 0 ? `<div class="summarizer-character-description">별칭: ${escapeHtml(char.aliases.join(', '))}</div>` : ''}
             ${char.description ? `<div class="summarizer-character-description">${escapeHtml(char.description)}</div>` : ''}
             ${char.traits && char.traits.length > 0 ? `
                 <div class="summarizer-character-traits">
@@ -4706,6 +6416,8 @@ function showCharacterForm() {
     $("#character-description").val("");
     $("#character-traits").val("");
     $("#character-relationship").val("");
+    $("#character-aliases").val("");
+    $("#character-pinned").prop("checked", false);
     $("#character-first-appearance").val("");
     $("#summarizer-character-form").show();
 }
@@ -4734,6 +6446,8 @@ function editCharacter(name) {
     $("#character-description").val(char.description || "");
     $("#character-traits").val((char.traits || []).join(", "));
     $("#character-relationship").val(char.relationshipWithUser || "");
+    $("#character-aliases").val((char.aliases || []).join(", "));
+    $("#character-pinned").prop("checked", char.pinned === true);
     $("#character-first-appearance").val(char.firstAppearance !== null ? char.firstAppearance : "");
     $("#summarizer-character-form").show();
 }
@@ -4756,6 +6470,9 @@ async function saveCharacterFromForm() {
     const traitsStr = $("#character-traits").val().trim();
     const traits = traitsStr ? traitsStr.split(",").map(t => t.trim()).filter(t => t) : [];
     const relationshipWithUser = $("#character-relationship").val().trim();
+    const aliasesStr = $("#character-aliases").val().trim();
+    const aliases = aliasesStr ? aliasesStr.split(",").map(a => a.trim()).filter(a => a) : [];
+    const pinned = $("#character-pinned").prop("checked");
     const firstAppearanceVal = $("#character-first-appearance").val();
     const firstAppearance = firstAppearanceVal ? parseInt(firstAppearanceVal) : null;
     
@@ -4771,6 +6488,8 @@ async function saveCharacterFromForm() {
         description,
         traits,
         relationshipWithUser,
+        aliases,
+        pinned,
         firstAppearance
     });
     
@@ -5188,6 +6907,7 @@ let editingEventId = null; // 수정 중인 이벤트 ID
  */
 export function renderEventsList() {
     const events = getRelevantEvents();
+    const excludedEvents = getCatalogExclusions().events;
     const $list = $("#summarizer-events-list");
     
     if (events.length === 0) {
@@ -5217,13 +6937,15 @@ export function renderEventsList() {
         const importanceClass = event.importance || 'medium';
         const importanceLabel = { high: '높음', medium: '보통', low: '낮음' }[importanceClass] || '보통';
         const participants = (event.participants || []).join(', ');
+        const excludedReason = excludedEvents.get(event.id);
         
         html += `
-        <div class="summarizer-event-card" data-id="${escapeHtml(event.id)}">
+        <div class="summarizer-event-card${excludedReason ? ' summarizer-catalog-excluded' : ''}" data-id="${escapeHtml(event.id)}">
             <div class="summarizer-event-header">
                 <div class="summarizer-event-title-row">
                     <span class="summarizer-event-title">${escapeHtml(event.title)}</span>
                     <span class="summarizer-importance-badge ${importanceClass}">${importanceLabel}</span>
+                    ${getCatalogExcludedBadge(excludedReason)}
                 </div>
                 <div class="summarizer-event-actions">
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-edit-event" data-id="${escapeHtml(event.id)}" title="수정">
@@ -5262,6 +6984,22 @@ export function renderEventsList() {
     });
 }
 
+/**
+ * 주입 규칙으로 제외된 도감 항목 배지
+ * @param {string|undefined} reason - getCatalogExclusions의 제외 사유
+ * @returns {string}
+ */
+function getCatalogExcludedBadge(reason) {
+    if (!reason) return '';
+    const titles = {
+        importance: '최소 중요도 미만이라 AI에게 전달되지 않습니다',
+        limit: '중요도별 최대 개수를 넘어 AI에게 전달되지 않습니다',
+        status: '제외 상태라 AI에게 전달되지 않습니다',
+        window: '최근 범위 밖이라 AI에게 전달되지 않습니다'
+    };
+    return `<span class="summarizer-skipped-badge" title="${titles[reason] || ''}">미주입</span>`;
+}
+
 /**
  * 이벤트 폼 표시
  */
@@ -5341,6 +7079,7 @@ let editingItemId = null; // 수정 중인 아이템 ID
  */
 export function renderItemsList() {
     const items = getRelevantItems();
+    const excludedItems = getCatalogExclusions().items;
     const $list = $("#summarizer-items-list");
     
     if (items.length === 0) {
@@ -5377,13 +7116,15 @@ export function renderItemsList() {
     let html = '';
     for (const item of sortedItems) {
         const statusClass = statusClassMap[item.status] || 'owned';
+        const excludedReason = excludedItems.get(item.id);
         
         html += `
-        <div class="summarizer-item-card" data-id="${escapeHtml(item.id)}">
+        <div class="summarizer-item-card${excludedReason ? ' summarizer-catalog-excluded' : ''}" data-id="${escapeHtml(item.id)}">
             <div class="summarizer-item-header">
                 <div class="summarizer-item-title-row">
                     <span class="summarizer-item-name">${escapeHtml(item.name)}</span>
                     <span class="summarizer-status-badge ${statusClass}">${escapeHtml(item.status || '보유중')}</span>
+                    ${getCatalogExcludedBadge(excludedReason)}
                 </div>
                 <div class="summarizer-item-actions">
                     <button class="summarizer-btn summarizer-btn-tiny summarizer-edit-item" data-id="${escapeHtml(item.id)}" title="수정">
@@ -5398,6 +7139,7 @@ export function renderItemsList() {
             <div class="summarizer-item-meta">
                 ${item.owner ? `<span class="summarizer-item-meta-item"><i class="fa-solid fa-user"></i> ${escapeHtml(item.owner)}</span>` : ''}
                 ${item.origin ? `<span class="summarizer-item-meta-item"><i class="fa-solid fa-gift"></i> ${escapeHtml(item.origin)}</span>` : ''}
+                ${item.source ? `<span class="summarizer-item-meta-item" title="로어북에서 가져온 아이템"><i class="fa-solid fa-book-atlas"></i> ${escapeHtml(item.source.book)}</span>` : ''}
                 ${item.messageIndex !== null && item.messageIndex !== undefined ? `<span class="summarizer-item-meta-item"><i class="fa-solid fa-clock"></i> 획득 #${item.messageIndex}</span>` : ''}
             </div>
         </div>
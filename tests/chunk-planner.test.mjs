@@ -0,0 +1,99 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { extension_settings, stContext, worldInfoEntries } from './sillytavern-stub.mjs';
+import { defaultSettings, extensionName } from '../src/constants.js';
+import { planSummaryChunks } from '../src/summarizer.js';
+
+function useChat(count, overrides = {}) {
+    stContext.chat = Array.from({ length: count }, (_, i) => ({
+        name: i % 2 === 0 ? 'User' : 'Alice',
+        is_user: i % 2 === 0,
+        mes: `Message number ${i} about the journey.`
+    }));
+    stContext.chatMetadata = {};
+    extension_settings[extensionName] = { ...structuredClone(defaultSettings), ...overrides };
+}
+
+const indicesOf = chunks => chunks.map(chunk => chunk.indices);
+
+beforeEach(() => {
+    worldInfoEntries.length = 0;
+});
+
+test('개별 모드: batchSize 단위로 나누고 청크 범위가 이어짐', async () => {
+    useChat(7, { summaryMode: 'individual', batchSize: 3 });
+    const chunks = await planSummaryChunks(0, 6);
+    
+    assert.deepEqual(indicesOf(chunks), [[0, 1, 2], [3, 4, 5], [6]]);
+    assert.deepEqual(chunks.map(chunk => [chunk.start, chunk.end]), [[0, 2], [3, 5], [6, 6]]);
+});
+
+test('유저가 숨긴 메시지는 건너뛰고 마지막 청크는 범위 끝까지', async () => {
+    useChat(6, { summaryMode: 'individual', batchSize: 2 });
+    stContext.chat[1].is_system = true;
+    stContext.chat[5].is_system = true;
+    const chunks = await planSummaryChunks(0, 5);
+    
+    assert.deepEqual(indicesOf(chunks), [[0, 2], [3, 4]]);
+    assert.equal(chunks[chunks.length - 1].end, 5);
+});
+
+test('배치 모드: batchGroupSize 단위 그룹을 청크에 담음', async () => {
+    useChat(6, { summaryMode: 'batch', batchSize: 6, batchGroupSize: 2 });
+    const chunks = await planSummaryChunks(0, 5);
+    
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0].groups.map(group => group.indices), [[0, 1], [2, 3], [4, 5]]);
+});
+
+test('입력 토큰 한도: 여러 단위를 담은 청크는 한도를 넘지 않음', async () => {
+    useChat(10, { summaryMode: 'individual', batchSize: 10 });
+    const [whole] = await planSummaryChunks(0, 9);
+    
+    const limit = Math.ceil(whole.inputTokens * 0.8);
+    useChat(10, { summaryMode: 'individual', batchSize: 10, chunkMaxInputTokens: limit });
+    const chunks = await planSummaryChunks(0, 9);
+    
+    assert.ok(chunks.length >= 2);
+    assert.deepEqual(chunks.flatMap(chunk => chunk.indices), [...Array(10).keys()]);
+    for (const chunk of chunks) {
+        assert.ok(chunk.inputTokens <= limit || chunk.indices.length === 1, `${chunk.inputTokens} > ${limit}`);
+    }
+});
+
+test('월드인포: 청크가 활성화하는 항목을 입력 토큰에 포함', async () => {
+    worldInfoEntries.push({ uid: 1, world: 'Lore', comment: 'Dragon', key: ['dragon'], content: 'Dragons hoard gold. '.repeat(40) });
+    useChat(10, { summaryMode: 'individual', batchSize: 10 });
+    stContext.chat[4].mes = 'A dragon appears over the hills.';
+    const [withoutWorldInfo] = await planSummaryChunks(0, 9);
+    assert.deepEqual(withoutWorldInfo.worldInfo, []);
+    
+    useChat(10, { summaryMode: 'individual', batchSize: 10, includeWorldInfo: true });
+    stContext.chat[4].mes = 'A dragon appears over the hills.';
+    const [withWorldInfo] = await planSummaryChunks(0, 9);
+    assert.deepEqual(withWorldInfo.worldInfo.map(entry => entry.title), ['Dragon']);
+    assert.ok(withWorldInfo.inputTokens - withoutWorldInfo.inputTokens >= 150);
+    
+    // 메시지만으로는 한 청크에 들어가는 한도라도 월드인포까지 더하면 나뉨
+    const limit = withoutWorldInfo.inputTokens;
+    useChat(10, { summaryMode: 'individual', batchSize: 10, includeWorldInfo: true, chunkMaxInputTokens: limit });
+    stContext.chat[4].mes = 'A dragon appears over the hills.';
+    const chunks = await planSummaryChunks(0, 9);
+    
+    assert.ok(chunks.length >= 2);
+    for (const chunk of chunks) {
+        assert.ok(chunk.inputTokens <= limit || chunk.indices.length === 1, `${chunk.inputTokens} > ${limit}`);
+        assert.equal(chunk.worldInfo.length > 0, chunk.indices.includes(4));
+    }
+});
+
+test('예상 출력 토큰 한도로도 나눔', async () => {
+    useChat(6, { summaryMode: 'individual', batchSize: 10 });
+    const [whole] = await planSummaryChunks(0, 5);
+    const perSummary = whole.outputTokens / 6;
+    
+    useChat(6, { summaryMode: 'individual', batchSize: 10, chunkMaxOutputTokens: perSummary * 2 });
+    const chunks = await planSummaryChunks(0, 5);
+    
+    assert.deepEqual(indicesOf(chunks), [[0, 1], [2, 3], [4, 5]]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonResponse } from '../src/json-output.js';
+
+test('코드펜스와 앞뒤 잡담 제거', () => {
+    const result = parseJsonResponse('Sure! Here it is:\n```json\n{"entries": [{"id": "#3"}]}\n```\nDone.');
+    
+    assert.deepEqual(result, { data: { entries: [{ id: '#3' }] }, truncated: false });
+});
+
+test('끝 콤마 허용', () => {
+    const result = parseJsonResponse('{"entries": [{"id": "#1",}, ],}');
+    
+    assert.deepEqual(result?.data, { entries: [{ id: '#1' }] });
+    assert.equal(result.truncated, false);
+});
+
+test('문자열 중간에서 잘린 응답은 닫아서 파싱', () => {
+    const result = parseJsonResponse('{"entries": [{"id": "#1", "fields": {"Scenario": "Alice opened the do');
+    
+    assert.equal(result?.truncated, true);
+    assert.equal(result.data.entries[0].fields.Scenario, 'Alice opened the do');
+});
+
+test('값 없이 끝난 키와 끝의 콤마 정리', () => {
+    assert.deepEqual(parseJsonResponse('{"entries": [], "characters":')?.data, { entries: [] });
+    assert.deepEqual(parseJsonResponse('{"entries": [1, 2,')?.data, { entries: [1, 2] });
+    assert.deepEqual(parseJsonResponse('{"a": 1, "b"')?.data, { a: 1 });
+    assert.deepEqual(parseJsonResponse('{"a": 1, "b')?.data, { a: 1 });
+});
+
+test('배열 끝의 문자열 값과 객체의 문자열 값은 유지', () => {
+    assert.deepEqual(parseJsonResponse('{"names": ["Alice", "Bob"')?.data, { names: ['Alice', 'Bob'] });
+    assert.deepEqual(parseJsonResponse('{"a": "x", "b": "y"')?.data, { a: 'x', b: 'y' });
+});
+
+test('문자열 안의 괄호와 이스케이프된 따옴표는 구조로 보지 않음', () => {
+    const result = parseJsonResponse('{"text": "she said \\"{[\\" and left", "n": [1');
+    
+    assert.deepEqual(result?.data, { text: 'she said "{[" and left', n: [1] });
+});
+
+test('객체가 없거나 배열뿐이면 null', () => {
+    assert.equal(parseJsonResponse(''), null);
+    assert.equal(parseJsonResponse('no json here'), null);
+    assert.equal(parseJsonResponse('[1, 2, 3]'), null);
+});
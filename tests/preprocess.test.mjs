@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPreprocessSteps, compilePreprocessRule } from '../src/preprocess.js';
+
+const ALL_OFF = { preprocessStripReasoning: false, preprocessStripCodeBlocks: false, preprocessStripHtml: false, preprocessRules: [] };
+const finalText = steps => steps[steps.length - 1].text;
+
+test('전처리가 모두 꺼져 있으면 원본 단계만', () => {
+    const steps = getPreprocessSteps({ mes: 'Hello\n\n\n\nworld' }, ALL_OFF);
+    
+    assert.deepEqual(steps, [{ label: '원본', text: 'Hello\n\n\n\nworld' }]);
+});
+
+test('추론 블록 제거 (닫히지 않은 블록은 끝까지, 본문에 남은 extra.reasoning 포함)', () => {
+    const settings = { ...ALL_OFF, preprocessStripReasoning: true };
+    
+    assert.equal(finalText(getPreprocessSteps({ mes: '<think>plan</think>Alice waves.' }, settings)), 'Alice waves.');
+    assert.equal(finalText(getPreprocessSteps({ mes: 'Alice waves.<thinking>cut off' }, settings)), 'Alice waves.');
+    assert.equal(finalText(getPreprocessSteps({ mes: 'secret plan\nAlice waves.', extra: { reasoning: 'secret plan' } }, settings)), 'Alice waves.');
+});
+
+test('코드 블록과 HTML 태그 제거 후 빈 줄 정리', () => {
+    const settings = { ...ALL_OFF, preprocessStripCodeBlocks: true, preprocessStripHtml: true };
+    const msg = { mes: 'Alice waves.\n```\nHP: 10\n```\n\n\n<div class="status">Bob<br>nods.</div><style>.x{}</style>' };
+    const steps = getPreprocessSteps(msg, settings);
+    
+    assert.deepEqual(steps.map(step => step.label), ['원본', '코드 블록 제거', 'HTML 태그 제거']);
+    assert.equal(finalText(steps), 'Alice waves.\n\nBob\nnods.');
+});
+
+test('사용자 규칙은 순서대로 적용하고 비활성/잘못된 규칙은 건너뜀', () => {
+    const settings = {
+        ...ALL_OFF,
+        preprocessRules: [
+            { label: 'status', pattern: '\\[status:[^\\]]*\\]', flags: 'g', replacement: '' },
+            { label: 'off', pattern: 'Alice', replacement: 'X', enabled: false },
+            { label: 'broken', pattern: '(', flags: 'g' },
+            { pattern: 'waves', flags: 'g', replacement: 'smiles' }
+        ]
+    };
+    const steps = getPreprocessSteps({ mes: 'Alice waves. [status: HP 10]' }, settings);
+    
+    assert.deepEqual(steps.map(step => step.label), ['원본', 'status', 'broken', '규칙 4']);
+    assert.ok(steps[2].error);
+    assert.equal(steps[2].text, steps[1].text);
+    assert.equal(finalText(steps), 'Alice smiles.');
+});
+
+test('규칙 컴파일: 빈 패턴과 지원하지 않는 플래그는 오류', () => {
+    assert.ok(compilePreprocessRule({ pattern: '' }).error);
+    assert.ok(compilePreprocessRule({ pattern: 'a', flags: 'gx' }).error);
+    assert.ok(compilePreprocessRule({ pattern: 'a', flags: 'gi' }).regex instanceof RegExp);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findUnverifiedQuotes, extractQuotedSpans } from '../src/quote-verifier.js';
+
+const SOURCE = [
+    'Alice smiled. "I will wait for you at the old bridge tonight," she said.',
+    'Bob nodded. "Then I will bring the lantern."'
+];
+
+test('원문에 있는 인용은 통과', () => {
+    const summary = '* Scenario: Alice said "I will wait for you at the old bridge tonight" and Bob answered "Then I will bring the lantern."';
+    
+    assert.deepEqual(findUnverifiedQuotes(summary, SOURCE), []);
+});
+
+test('원문에 없는 인용은 반환', () => {
+    const summary = '* Scenario: Bob replied "I never want to see you again."';
+    
+    assert.deepEqual(findUnverifiedQuotes(summary, SOURCE), ['I never want to see you again.']);
+});
+
+test('작은 오탈자와 문장부호 차이는 허용', () => {
+    const summary = 'Alice: "I will wait for you at teh old bridge tonight!"';
+    
+    assert.deepEqual(findUnverifiedQuotes(summary, SOURCE), []);
+});
+
+test('말줄임표로 생략한 인용은 조각별로 대조', () => {
+    assert.deepEqual(findUnverifiedQuotes('"I will wait for you... tonight"', SOURCE), []);
+    assert.deepEqual(findUnverifiedQuotes('"I will wait for you... at the castle gates"', SOURCE), ['I will wait for you... at the castle gates']);
+});
+
+test('원문과 다른 문자 체계의 인용(번역된 대사)은 검사하지 않음', () => {
+    assert.deepEqual(findUnverifiedQuotes('앨리스: "오늘 밤 다리에서 기다릴게"', SOURCE), []);
+});
+
+test('여러 따옴표 형식을 인식하고 너무 짧은 인용은 제외', () => {
+    assert.deepEqual(extractQuotedSpans('“Hello there” 「こんにちは世界」 "Hi"'), ['Hello there', 'こんにちは世界']);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreDocumentsBM25 } from '../src/injection.js';
+
+test('쿼리 단어가 들어 있는 문서만 점수를 받음', () => {
+    const scores = scoreDocumentsBM25([
+        'Alice walked through the quiet forest.',
+        'The dragon attacked the castle gates.',
+        'Bob cooked dinner at home.'
+    ], 'dragon castle');
+    
+    assert.ok(scores[1] > 0);
+    assert.equal(scores[0], 0);
+    assert.equal(scores[2], 0);
+});
+
+test('쿼리 단어가 더 많이 겹치는 문서가 더 높은 점수', () => {
+    const [partial, full] = scoreDocumentsBM25([
+        'The dragon slept.',
+        'The dragon burned the castle.'
+    ], 'dragon castle');
+    
+    assert.ok(full > partial);
+});
+
+test('한글은 조사가 붙어도 2-gram으로 일치', () => {
+    const scores = scoreDocumentsBM25(['마법사는 탑에서 책을 읽었다', '기사가 성문을 지켰다'], '마법사의 탑');
+    
+    assert.ok(scores[0] > 0);
+    assert.equal(scores[1], 0);
+});
+
+test('불용어/짧은 단어만 있는 쿼리와 빈 문서 목록', () => {
+    assert.deepEqual(scoreDocumentsBM25(['the cat and the dog'], 'the and of'), [0]);
+    assert.deepEqual(scoreDocumentsBM25([], 'dragon'), []);
+});
@@ -0,0 +1,18 @@
+/**
+ * 테스트 준비: SillyTavern 모듈 대역 등록, 브라우저 전역 대체, 확장 로그 숨김
+ * 실행: node --import ./tests/setup.mjs --test tests/
+ */
+
+import { register } from 'node:module';
+
+register('./sillytavern-loader.mjs', import.meta.url);
+
+// constants.js의 확장 경로 감지가 document를 참조
+globalThis.document = { querySelectorAll: () => [] };
+
+// 확장 로그([scenario-summarizer] ...)는 테스트 출력에서 제외
+const consoleLog = console.log;
+console.log = (...args) => {
+    if (typeof args[0] === 'string' && args[0].startsWith('[scenario-summarizer]')) return;
+    consoleLog(...args);
+};
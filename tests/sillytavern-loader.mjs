@@ -0,0 +1,23 @@
+/**
+ * 모듈 로더 훅
+ * - SillyTavern 본체 모듈(script.js, extensions.js 등)은 sillytavern-stub.mjs로 연결
+ * - 저장소에 package.json이 없으므로 src/의 .js 파일은 ES 모듈로 불러옴
+ */
+
+const SILLYTAVERN_MODULE_PATTERN = /^(?:\.\.\/)+(?:script|extensions|openai|power-user|world-info|secrets|shared)\.js$|^\/scripts\/tokenizers\.js$/;
+const STUB_URL = new URL('./sillytavern-stub.mjs', import.meta.url).href;
+const SOURCE_URL = new URL('../src/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (SILLYTAVERN_MODULE_PATTERN.test(specifier)) {
+        return { url: STUB_URL, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SOURCE_URL) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,40 @@
+/**
+ * 테스트용 SillyTavern 대역 - 확장이 가져오는 이름만 최소한으로 제공
+ * 채팅/설정/월드인포는 테스트에서 stContext, extension_settings, worldInfoEntries를 직접 채워 사용
+ */
+
+// ===== extensions.js =====
+export const extension_settings = {};
+export const stContext = { chat: [], chatMetadata: {}, characters: [], maxContext: 4096, name1: 'User', name2: 'Alice' };
+export function getContext() {
+    return stContext;
+}
+
+// ===== script.js =====
+export const main_api = 'openai';
+export const eventSource = { on() {}, removeListener() {}, emit: async () => {} };
+export const event_types = {};
+export const extension_prompt_types = { NONE: -1, IN_PROMPT: 0, IN_CHAT: 1, BEFORE_PROMPT: 2 };
+export const extension_prompt_roles = { SYSTEM: 0, USER: 1, ASSISTANT: 2 };
+export function setExtensionPrompt() {}
+export function saveSettingsDebounced() {}
+export async function saveChatConditional() {}
+export async function generateQuietPrompt() { return ''; }
+export async function generateRaw() { return ''; }
+export function getRequestHeaders() { return {}; }
+
+// ===== openai.js / power-user.js =====
+export const oai_settings = {};
+export const power_user = {};
+
+// ===== world-info.js =====
+// 키 중 하나가 스캔한 메시지에 들어 있으면 활성화 ({uid, world, comment, content, key: string[]})
+export const worldInfoEntries = [];
+export const world_names = [];
+export const selected_world_info = [];
+export const world_info = {};
+export async function checkWorldInfo(chat) {
+    const text = chat.join('\n').toLowerCase();
+    const activated = worldInfoEntries.filter(entry => entry.key.some(key => text.includes(key.toLowerCase())));
+    return { allActivatedEntries: new Set(activated) };
+}
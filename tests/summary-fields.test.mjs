@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultSettings, parseSummaryFields, replaceSummaryField, stripCategoryLines } from '../src/constants.js';
+
+const CATEGORIES = defaultSettings.categories;
+
+test('여러 라벨 형식과 다국어 라벨을 카테고리 키로 읽음', () => {
+    const content = [
+        '#12',
+        '* Scenario: Alice met Bob.',
+        '- 장소: 숲속 오두막',
+        '• Time: Night',
+        '**Date:** Day 3',
+        '* **Relationship**: Friends'
+    ].join('\n');
+    
+    assert.deepEqual(parseSummaryFields(content, CATEGORIES), {
+        scenario: 'Alice met Bob.',
+        location: '숲속 오두막',
+        time: 'Night',
+        date: 'Day 3',
+        relationship: 'Friends'
+    });
+});
+
+test('이어지는 줄은 같은 카테고리, 알 수 없는 라벨 줄은 구간을 끝냄', () => {
+    const content = [
+        '* Scenario: Alice met Bob.',
+        '  They talked until dawn.',
+        '* Misc: not a category',
+        '* Location: Park'
+    ].join('\n');
+    
+    assert.deepEqual(parseSummaryFields(content, CATEGORIES), {
+        scenario: 'Alice met Bob.\n  They talked until dawn.',
+        location: 'Park'
+    });
+});
+
+test('도감 섹션과 JSON 블록은 값에 포함하지 않음', () => {
+    const content = '* Scenario: Alice met Bob.\n\n--- CHARACTERS ---\n* Location: should be ignored';
+    
+    assert.deepEqual(parseSummaryFields(content, CATEGORIES), { scenario: 'Alice met Bob.' });
+});
+
+test('값 교체는 라벨 줄 형식과 다음 카테고리와의 간격을 유지', () => {
+    const content = '#3\n- Scenario: Old text\n  more old text\n\n**Location:** Park';
+    
+    assert.equal(
+        replaceSummaryField(content, 'scenario', 'New text', CATEGORIES),
+        '#3\n- Scenario: New text\n\n**Location:** Park'
+    );
+    assert.equal(
+        replaceSummaryField(content, 'location', 'Castle', CATEGORIES),
+        '#3\n- Scenario: Old text\n  more old text\n\n**Location:** Castle'
+    );
+});
+
+test('없는 카테고리는 설정의 라벨로 끝에 추가, 빈 값이면 그대로', () => {
+    const content = '* Scenario: Alice met Bob.';
+    
+    assert.equal(replaceSummaryField(content, 'time', 'Noon', CATEGORIES), '* Scenario: Alice met Bob.\n* Time: Noon');
+    assert.equal(replaceSummaryField(content, 'time', '', CATEGORIES), content);
+});
+
+test('세부 정보 감쇠: 허용된 카테고리 구간만 남기고 헤더와 모르는 줄은 유지', () => {
+    const content = '#3-5\n- Scenario: Alice met Bob.\n  continued\n• Emotion: nervous\n**Location:** Park\n* Misc: kept';
+    
+    assert.equal(
+        stripCategoryLines(content, new Set(['scenario']), CATEGORIES),
+        '#3-5\n- Scenario: Alice met Bob.\n  continued\n* Misc: kept'
+    );
+});
+
+test('세부 정보 감쇠: 남길 카테고리가 없으면 원본 그대로', () => {
+    const content = '* Emotion: nervous\n* Location: Park';
+    
+    assert.equal(stripCategoryLines(content, new Set(['scenario']), CATEGORIES), content);
+    assert.equal(stripCategoryLines('free text summary', new Set(['scenario']), CATEGORIES), 'free text summary');
+    assert.equal(stripCategoryLines(content, null, CATEGORIES), content);
+});
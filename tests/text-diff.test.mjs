@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffWords } from '../src/text-diff.js';
+
+const rebuild = (parts, skip) => parts.filter(part => part.type !== skip).map(part => part.text).join('');
+
+function assertRoundTrip(oldText, newText) {
+    const parts = diffWords(oldText, newText);
+    assert.equal(rebuild(parts, 'insert'), oldText);
+    assert.equal(rebuild(parts, 'delete'), newText);
+    return parts;
+}
+
+test('같은 텍스트는 equal 하나', () => {
+    assert.deepEqual(diffWords('Alice met Bob.', 'Alice met Bob.'), [{ type: 'equal', text: 'Alice met Bob.' }]);
+});
+
+test('바뀐 단어만 delete/insert로 표시', () => {
+    const parts = assertRoundTrip('Alice met Bob at the park.', 'Alice met Carol at the park.');
+    
+    assert.deepEqual(parts, [
+        { type: 'equal', text: 'Alice met ' },
+        { type: 'delete', text: 'Bob' },
+        { type: 'insert', text: 'Carol' },
+        { type: 'equal', text: ' at the park.' }
+    ]);
+});
+
+test('추가/삭제와 빈 텍스트, 공백과 줄바꿈 보존', () => {
+    assertRoundTrip('', 'New summary');
+    assertRoundTrip('Old summary', '');
+    assertRoundTrip('* Scenario: A\n* Time: Night', '* Scenario: A and B\n\n* Time: Noon');
+    assert.deepEqual(diffWords('', ''), []);
+});
+
+test('큰 텍스트는 가운데를 통째로 교체로 표시', () => {
+    const words = count => Array.from({ length: count }, (_, i) => `w${i}`);
+    const oldText = ['start', ...words(400), 'end'].join(' ');
+    const newText = ['start', ...words(400).reverse(), 'end'].join(' ');
+    const parts = assertRoundTrip(oldText, newText);
+    
+    assert.deepEqual(parts.map(part => part.type), ['equal', 'delete', 'insert', 'equal']);
+});